@@ -5,9 +5,10 @@ import "dotenv/config";
 const { Pool } = pkg;
 
 
+// DATABASE_SSL=false for a plain local Postgres (hosted providers need SSL)
 export const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
+  ssl: process.env.DATABASE_SSL === "false" ? false : {
     rejectUnauthorized: false, 
   },
 });
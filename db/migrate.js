@@ -0,0 +1,185 @@
+// db/migrate.js
+// Versioned SQL migrations: db/migrations/NNN_name.up.sql + NNN_name.down.sql
+//
+//   npm run migrate             -> up (apply all pending)
+//   npm run migrate status      -> list applied / pending
+//   npm run migrate down [n]    -> roll back the last n (default 1)
+//   npm run migrate baseline N  -> mark 001..N applied without running them
+//                                  (for databases created before migrations were checked in)
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { pool } from "./db.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+
+// Arbitrary constant so two instances never migrate at the same time
+const LOCK_KEY = 72_410_001;
+
+/** All migrations on disk, ordered by version */
+export function listMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR);
+  return files
+    .map((f) => /^(\d+)_(.+)\.up\.sql$/.exec(f))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const down = `${version}_${name}.down.sql`;
+      return {
+        version,
+        name,
+        upPath: path.join(MIGRATIONS_DIR, file),
+        downPath: files.includes(down) ? path.join(MIGRATIONS_DIR, down) : null,
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     TEXT PRIMARY KEY,
+      name        TEXT        NOT NULL,
+      applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query(`SELECT version FROM schema_migrations ORDER BY version`);
+  return new Set(rows.map((r) => r.version));
+}
+
+/** { applied: [...], pending: [...] } without taking the lock */
+export async function migrationStatus() {
+  const client = await pool.connect();
+  try {
+    const reg = await client.query(`SELECT to_regclass('schema_migrations') AS t`);
+    const applied = reg.rows[0].t ? await appliedVersions(client) : new Set();
+    const all = listMigrations();
+    return {
+      applied: all.filter((m) => applied.has(m.version)),
+      pending: all.filter((m) => !applied.has(m.version)),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/** Throws if any migration on disk has not been applied (called before the server listens) */
+export async function assertSchemaCurrent() {
+  const { pending } = await migrationStatus();
+  if (pending.length) {
+    const list = pending.map((m) => `${m.version}_${m.name}`).join(", ");
+    throw new Error(`Database schema is behind (pending: ${list}). Run "npm run migrate".`);
+  }
+}
+
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    await ensureTable(client);
+    return await fn(client);
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+/** Apply every pending migration, each in its own transaction */
+export function migrateUp() {
+  return withLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const done = [];
+    for (const m of listMigrations()) {
+      if (applied.has(m.version)) continue;
+      try {
+        await client.query("BEGIN");
+        await client.query(fs.readFileSync(m.upPath, "utf8"));
+        await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [m.version, m.name]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Migration ${m.version}_${m.name} failed: ${err.message}`);
+      }
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+/** Roll back the last `steps` applied migrations */
+export function migrateDown(steps = 1) {
+  return withLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const targets = listMigrations().filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+    const done = [];
+    for (const m of targets) {
+      if (!m.downPath) throw new Error(`Migration ${m.version}_${m.name} has no down script`);
+      try {
+        await client.query("BEGIN");
+        await client.query(fs.readFileSync(m.downPath, "utf8"));
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+        await client.query("COMMIT");
+      } catch (err) {
+        await client.query("ROLLBACK").catch(() => {});
+        throw new Error(`Rollback of ${m.version}_${m.name} failed: ${err.message}`);
+      }
+      done.push(m);
+    }
+    return done;
+  });
+}
+
+/** Record migrations up to `version` as applied without running them */
+export function migrateBaseline(version) {
+  return withLock(async (client) => {
+    const marked = [];
+    for (const m of listMigrations()) {
+      if (Number(m.version) > Number(version)) break;
+      const ins = await client.query(
+        `INSERT INTO schema_migrations (version, name) VALUES ($1, $2) ON CONFLICT (version) DO NOTHING`,
+        [m.version, m.name]
+      );
+      if (ins.rowCount) marked.push(m);
+    }
+    return marked;
+  });
+}
+
+/* --------------------------------- CLI --------------------------------- */
+async function main(argv) {
+  const [cmd = "up", arg] = argv;
+  const label = (m) => `${m.version}_${m.name}`;
+
+  if (cmd === "up") {
+    const done = await migrateUp();
+    console.log(done.length ? done.map((m) => `⬆️  applied ${label(m)}`).join("\n") : "✅ Schema is up to date");
+  } else if (cmd === "down") {
+    const steps = Math.max(1, parseInt(arg, 10) || 1);
+    const done = await migrateDown(steps);
+    console.log(done.length ? done.map((m) => `⬇️  rolled back ${label(m)}`).join("\n") : "Nothing to roll back");
+  } else if (cmd === "status") {
+    const { applied, pending } = await migrationStatus();
+    for (const m of applied) console.log(`  [x] ${label(m)}`);
+    for (const m of pending) console.log(`  [ ] ${label(m)}`);
+    console.log(pending.length ? `${pending.length} pending` : "✅ Schema is up to date");
+  } else if (cmd === "baseline") {
+    if (!/^\d+$/.test(String(arg || ""))) throw new Error("Usage: migrate baseline <version>");
+    const marked = await migrateBaseline(arg);
+    console.log(marked.length ? marked.map((m) => `📌 marked ${label(m)}`).join("\n") : "Nothing to mark");
+  } else {
+    throw new Error(`Unknown command "${cmd}" (use up | down [n] | status | baseline <version>)`);
+  }
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error("❌ MIGRATE_ERROR:", err.message);
+      await pool.end().catch(() => {});
+      process.exit(1);
+    });
+}
@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS size_reductions;
+DROP TABLE IF EXISTS share_dismissals;
+DROP TABLE IF EXISTS access_logs;
+DROP TABLE IF EXISTS otp_verifications;
+DROP TRIGGER IF EXISTS shares_prevent_duplicate_private_trg ON shares;
+DROP FUNCTION IF EXISTS shares_prevent_duplicate_private();
+DROP TABLE IF EXISTS shares;
+DROP TABLE IF EXISTS documents;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,114 @@
+-- 001_initial_schema: tables the API has relied on since the first release
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE users (
+  user_id        UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  full_name      TEXT        NOT NULL,
+  email          TEXT        NOT NULL UNIQUE,
+  password_hash  TEXT        NOT NULL,
+  is_verified    BOOLEAN     NOT NULL DEFAULT FALSE,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX users_email_lower_idx ON users (LOWER(email));
+
+CREATE TABLE documents (
+  document_id      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_user_id    UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  file_name        TEXT        NOT NULL,
+  file_path        TEXT        NOT NULL,
+  mime_type        TEXT,
+  file_size_bytes  BIGINT,
+  is_public        BOOLEAN     NOT NULL DEFAULT FALSE,
+  is_deleted       BOOLEAN     NOT NULL DEFAULT FALSE,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX documents_owner_created_idx ON documents (owner_user_id, created_at DESC);
+
+CREATE TABLE shares (
+  share_id       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  share_token    TEXT        NOT NULL UNIQUE DEFAULT encode(gen_random_bytes(24), 'hex'),
+  document_id    UUID        NOT NULL REFERENCES documents(document_id) ON DELETE CASCADE,
+  from_user_id   UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  to_user_id     UUID        REFERENCES users(user_id) ON DELETE SET NULL,
+  to_user_email  TEXT,
+  access         TEXT        NOT NULL CHECK (access IN ('public', 'private')),
+  expiry_time    TIMESTAMPTZ,
+  is_revoked     BOOLEAN     NOT NULL DEFAULT FALSE,
+  revoked_at     TIMESTAMPTZ,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX shares_from_user_idx ON shares (from_user_id, created_at DESC);
+CREATE INDEX shares_to_user_idx ON shares (to_user_id);
+CREATE INDEX shares_to_email_lower_idx ON shares (LOWER(to_user_email));
+CREATE INDEX shares_document_idx ON shares (document_id);
+
+-- POST /shares reuses an active private share; this guards the race between lookup and insert.
+CREATE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private' AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id = NEW.document_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER shares_prevent_duplicate_private_trg
+  BEFORE INSERT ON shares
+  FOR EACH ROW EXECUTE FUNCTION shares_prevent_duplicate_private();
+
+-- share_id IS NULL rows are password-reset OTPs
+CREATE TABLE otp_verifications (
+  otp_id       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id      UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  share_id     UUID        REFERENCES shares(share_id) ON DELETE CASCADE,
+  otp_code     TEXT        NOT NULL,
+  expiry_time  TIMESTAMPTZ NOT NULL,
+  is_verified  BOOLEAN     NOT NULL DEFAULT FALSE,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX otp_verifications_lookup_idx ON otp_verifications (user_id, share_id, created_at DESC);
+
+-- No foreign keys: rows outlive the shares/documents they describe (share_delete, document_delete)
+CREATE TABLE access_logs (
+  log_id          BIGSERIAL PRIMARY KEY,
+  share_id        UUID,
+  document_id     UUID        NOT NULL,
+  viewer_user_id  UUID,
+  action          TEXT        NOT NULL,
+  meta            JSONB,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX access_logs_document_idx ON access_logs (document_id, created_at DESC, log_id DESC);
+CREATE INDEX access_logs_share_idx ON access_logs (share_id, created_at DESC, log_id DESC);
+
+CREATE TABLE share_dismissals (
+  share_id      UUID        NOT NULL REFERENCES shares(share_id) ON DELETE CASCADE,
+  user_id       UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  dismissed_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (share_id, user_id)
+);
+
+CREATE TABLE size_reductions (
+  id                    BIGSERIAL PRIMARY KEY,
+  user_id               UUID        REFERENCES users(user_id) ON DELETE SET NULL,
+  original_filename     TEXT        NOT NULL,
+  original_mime         TEXT,
+  original_size_bytes   BIGINT,
+  optimized_filename    TEXT        NOT NULL,
+  optimized_mime        TEXT,
+  optimized_size_bytes  BIGINT,
+  method                TEXT,
+  status                TEXT        NOT NULL DEFAULT 'success',
+  created_at            TIMESTAMPTZ NOT NULL DEFAULT now()
+);
@@ -0,0 +1,2 @@
+ALTER TABLE shares DROP COLUMN IF EXISTS qr_preset_id;
+DROP TABLE IF EXISTS qr_presets;
@@ -0,0 +1,18 @@
+-- 002_qr_presets: per-user QR style presets; new shares remember the default preset
+CREATE TABLE qr_presets (
+  preset_id     UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id       UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  name          TEXT        NOT NULL,
+  fg_color      TEXT        NOT NULL DEFAULT '#000000',
+  bg_color      TEXT        NOT NULL DEFAULT '#ffffff',
+  rounded       BOOLEAN     NOT NULL DEFAULT FALSE,
+  show_caption  BOOLEAN     NOT NULL DEFAULT FALSE,
+  logo_path     TEXT,
+  is_default    BOOLEAN     NOT NULL DEFAULT FALSE,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX qr_presets_user_idx ON qr_presets (user_id);
+CREATE UNIQUE INDEX qr_presets_one_default_idx ON qr_presets (user_id) WHERE is_default;
+
+ALTER TABLE shares ADD COLUMN qr_preset_id UUID REFERENCES qr_presets(preset_id) ON DELETE SET NULL;
@@ -0,0 +1,2 @@
+DROP INDEX IF EXISTS access_logs_action_idx;
+DROP INDEX IF EXISTS access_logs_group_key_idx;
@@ -0,0 +1,4 @@
+-- 003_access_log_audit: support playback grouping and analytics over view/download rows
+CREATE INDEX access_logs_group_key_idx ON access_logs ((meta->>'group_key'), created_at DESC)
+  WHERE meta ? 'group_key';
+CREATE INDEX access_logs_action_idx ON access_logs (action, created_at DESC);
@@ -0,0 +1,24 @@
+-- Restore the 001 duplicate check before the column it reads is dropped
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private' AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id = NEW.document_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE shares DROP COLUMN IF EXISTS pinned_version_id;
+ALTER TABLE documents DROP COLUMN IF EXISTS current_version_no;
+DROP TABLE IF EXISTS document_versions;
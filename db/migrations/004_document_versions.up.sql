@@ -0,0 +1,46 @@
+-- 004_document_versions: revision history per document; documents keeps mirroring the current version
+CREATE TABLE document_versions (
+  version_id       UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  document_id      UUID        NOT NULL REFERENCES documents(document_id) ON DELETE CASCADE,
+  version_no       INTEGER     NOT NULL,
+  file_name        TEXT        NOT NULL,
+  file_path        TEXT        NOT NULL,
+  mime_type        TEXT,
+  file_size_bytes  BIGINT,
+  uploaded_by      UUID        REFERENCES users(user_id) ON DELETE SET NULL,
+  note             TEXT,
+  restored_from    INTEGER,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (document_id, version_no)
+);
+
+ALTER TABLE documents ADD COLUMN current_version_no INTEGER NOT NULL DEFAULT 1;
+
+INSERT INTO document_versions (document_id, version_no, file_name, file_path, mime_type, file_size_bytes, uploaded_by, created_at)
+SELECT document_id, 1, file_name, file_path, mime_type, file_size_bytes, owner_user_id, created_at
+  FROM documents;
+
+-- NULL = follow the document's latest version (printed QR codes stay valid)
+ALTER TABLE shares ADD COLUMN pinned_version_id UUID REFERENCES document_versions(version_id) ON DELETE SET NULL;
+
+-- A share pinned to an older version is not a duplicate of one that follows the latest
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private' AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id = NEW.document_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
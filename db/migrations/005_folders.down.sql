@@ -0,0 +1,33 @@
+-- Restore the 004 duplicate check
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private' AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id = NEW.document_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Folder shares and their document-less log rows cannot be represented before 005
+DELETE FROM access_logs WHERE document_id IS NULL;
+ALTER TABLE access_logs ALTER COLUMN document_id SET NOT NULL;
+
+DELETE FROM shares WHERE folder_id IS NOT NULL;
+ALTER TABLE shares DROP CONSTRAINT IF EXISTS shares_one_target_chk;
+ALTER TABLE shares DROP COLUMN IF EXISTS folder_id;
+ALTER TABLE shares ALTER COLUMN document_id SET NOT NULL;
+
+ALTER TABLE documents DROP COLUMN IF EXISTS folder_id;
+DROP TABLE IF EXISTS folders;
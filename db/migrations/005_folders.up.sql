@@ -0,0 +1,48 @@
+-- 005_folders: nested folders per owner; a share targets either one document or one folder
+CREATE TABLE folders (
+  folder_id      UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_user_id  UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  parent_id      UUID        REFERENCES folders(folder_id) ON DELETE CASCADE,
+  name           TEXT        NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX folders_parent_idx ON folders (parent_id);
+-- Sibling names are unique per owner (top level uses the nil uuid as its parent)
+CREATE UNIQUE INDEX folders_sibling_name_idx
+  ON folders (owner_user_id, COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), LOWER(name));
+
+-- NULL = top level
+ALTER TABLE documents ADD COLUMN folder_id UUID REFERENCES folders(folder_id) ON DELETE SET NULL;
+CREATE INDEX documents_folder_idx ON documents (folder_id);
+
+ALTER TABLE shares ALTER COLUMN document_id DROP NOT NULL;
+ALTER TABLE shares ADD COLUMN folder_id UUID REFERENCES folders(folder_id) ON DELETE CASCADE;
+ALTER TABLE shares ADD CONSTRAINT shares_one_target_chk CHECK ((document_id IS NULL) <> (folder_id IS NULL));
+CREATE INDEX shares_folder_idx ON shares (folder_id);
+
+-- Share-level events (otp, revoke, folder listing) of a folder share have no document
+ALTER TABLE access_logs ALTER COLUMN document_id DROP NOT NULL;
+
+-- Folder shares are deduplicated on the folder, document shares on the document
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private' AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id IS NOT DISTINCT FROM NEW.document_id
+       AND s.folder_id IS NOT DISTINCT FROM NEW.folder_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS folders_name_trgm_idx;
+DROP INDEX IF EXISTS documents_file_name_trgm_idx;
+DROP INDEX IF EXISTS documents_tags_idx;
+ALTER TABLE documents DROP COLUMN IF EXISTS tags;
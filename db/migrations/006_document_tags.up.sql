@@ -0,0 +1,9 @@
+-- 006_document_tags: free-form tags per document + indexes for listing search/filters
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE documents ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+CREATE INDEX documents_tags_idx ON documents USING GIN (tags);
+
+-- ?q= is a substring match (ILIKE '%...%'), which only a trigram index can serve
+CREATE INDEX documents_file_name_trgm_idx ON documents USING GIN (file_name gin_trgm_ops);
+CREATE INDEX folders_name_trgm_idx ON folders USING GIN (name gin_trgm_ops);
@@ -0,0 +1,11 @@
+-- 007_document_content: extracted text of each document's current version, for content search
+CREATE TABLE document_contents (
+  document_id  UUID PRIMARY KEY REFERENCES documents(document_id) ON DELETE CASCADE,
+  version_no   INTEGER     NOT NULL,
+  status       TEXT        NOT NULL CHECK (status IN ('pending', 'indexed', 'empty', 'unsupported', 'failed')),
+  error        TEXT,
+  content      TEXT,
+  content_tsv  TSVECTOR GENERATED ALWAYS AS (to_tsvector('english', COALESCE(content, ''))) STORED,
+  indexed_at   TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX document_contents_tsv_idx ON document_contents USING GIN (content_tsv);
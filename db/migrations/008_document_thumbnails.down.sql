@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS document_thumbnails;
+ALTER TABLE document_versions DROP COLUMN IF EXISTS thumbnail_status;
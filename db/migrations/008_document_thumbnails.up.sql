@@ -0,0 +1,15 @@
+-- 008_document_thumbnails: preview images per document version (NULL status = never generated)
+ALTER TABLE document_versions
+  ADD COLUMN thumbnail_status TEXT CHECK (thumbnail_status IN ('pending', 'ready', 'unsupported', 'failed'));
+
+CREATE TABLE document_thumbnails (
+  version_id       UUID        NOT NULL REFERENCES document_versions(version_id) ON DELETE CASCADE,
+  size             TEXT        NOT NULL,
+  file_path        TEXT        NOT NULL,
+  mime_type        TEXT        NOT NULL,
+  width            INTEGER,
+  height           INTEGER,
+  file_size_bytes  BIGINT,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT now(),
+  PRIMARY KEY (version_id, size)
+);
@@ -0,0 +1,28 @@
+-- 009_jobs: background jobs (conversions, compression) claimed by workers with FOR UPDATE SKIP LOCKED
+CREATE TABLE jobs (
+  job_id            UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id           UUID        REFERENCES users(user_id) ON DELETE CASCADE,
+  type              TEXT        NOT NULL,
+  status            TEXT        NOT NULL DEFAULT 'queued'
+                    CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+  payload           JSONB       NOT NULL DEFAULT '{}'::jsonb,
+  result            JSONB,
+  error             TEXT,
+  progress          INTEGER     NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+  progress_message  TEXT,
+  attempts          INTEGER     NOT NULL DEFAULT 0,
+  max_attempts      INTEGER     NOT NULL DEFAULT 3,
+  timeout_ms        INTEGER     NOT NULL,
+  run_after         TIMESTAMPTZ NOT NULL DEFAULT now(),
+  cancel_requested  BOOLEAN     NOT NULL DEFAULT FALSE,
+  locked_by         TEXT,
+  locked_until      TIMESTAMPTZ,
+  created_at        TIMESTAMPTZ NOT NULL DEFAULT now(),
+  started_at        TIMESTAMPTZ,
+  finished_at       TIMESTAMPTZ,
+  updated_at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX jobs_ready_idx ON jobs (run_after, created_at) WHERE status = 'queued';
+CREATE INDEX jobs_running_idx ON jobs (locked_until) WHERE status = 'running';
+CREATE INDEX jobs_user_idx ON jobs (user_id, created_at DESC);
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS size_reductions_expires_idx;
+DROP INDEX IF EXISTS size_reductions_user_idx;
+ALTER TABLE size_reductions DROP COLUMN IF EXISTS expires_at;
@@ -0,0 +1,7 @@
+-- 010_reduction_owner_retention: reductions belong to a user and expire (REDUCE_RETENTION_DAYS)
+ALTER TABLE size_reductions ADD COLUMN expires_at TIMESTAMPTZ;
+
+-- Rows from before retention existed stay NULL (kept); REDUCE_RETENTION_DAYS applies to new rows
+
+CREATE INDEX size_reductions_user_idx ON size_reductions (user_id, created_at DESC);
+CREATE INDEX size_reductions_expires_idx ON size_reductions (expires_at) WHERE expires_at IS NOT NULL;
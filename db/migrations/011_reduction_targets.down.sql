@@ -0,0 +1 @@
+ALTER TABLE size_reductions DROP COLUMN IF EXISTS target_size_bytes;
@@ -0,0 +1,2 @@
+-- 011_reduction_targets: the size a reduction aimed for (NULL = "as small as the first preset that helps")
+ALTER TABLE size_reductions ADD COLUMN target_size_bytes BIGINT;
@@ -0,0 +1,3 @@
+-- 012_share_watermarks: shares can stamp a visible watermark on PDFs and images they serve
+-- NULL = off; otherwise { "text": string|null, "opacity": 0.05..1, "position": "diagonal"|"center"|"top"|"bottom"|"tiled" }
+ALTER TABLE shares ADD COLUMN watermark JSONB;
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS access_logs_share_action_idx;
+DELETE FROM shares WHERE access = 'password';
+ALTER TABLE shares DROP CONSTRAINT IF EXISTS shares_password_chk;
+ALTER TABLE shares DROP COLUMN IF EXISTS password_hash;
+ALTER TABLE shares DROP CONSTRAINT shares_access_check;
+ALTER TABLE shares ADD CONSTRAINT shares_access_check CHECK (access IN ('public', 'private'));
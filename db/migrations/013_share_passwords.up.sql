@@ -0,0 +1,10 @@
+-- 013_share_passwords: "password" shares, opened with a passphrase instead of a recipient OTP
+ALTER TABLE shares DROP CONSTRAINT shares_access_check;
+ALTER TABLE shares ADD CONSTRAINT shares_access_check CHECK (access IN ('public', 'private', 'password'));
+
+-- bcrypt hash; set exactly when access = 'password'
+ALTER TABLE shares ADD COLUMN password_hash TEXT;
+ALTER TABLE shares ADD CONSTRAINT shares_password_chk CHECK ((access = 'password') = (password_hash IS NOT NULL));
+
+-- Failed passphrase attempts per share (lockout window, see POST /shares/:share_id/password/verify)
+CREATE INDEX access_logs_share_action_idx ON access_logs (share_id, action, created_at DESC);
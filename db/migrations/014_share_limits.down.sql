@@ -0,0 +1,28 @@
+-- Restore the 005 duplicate check
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private' AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id IS NOT DISTINCT FROM NEW.document_id
+       AND s.folder_id IS NOT DISTINCT FROM NEW.folder_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE shares DROP COLUMN IF EXISTS burn_after_reading;
+ALTER TABLE shares DROP COLUMN IF EXISTS downloads_used;
+ALTER TABLE shares DROP COLUMN IF EXISTS views_used;
+ALTER TABLE shares DROP COLUMN IF EXISTS max_downloads;
+ALTER TABLE shares DROP COLUMN IF EXISTS max_views;
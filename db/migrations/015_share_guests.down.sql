@@ -0,0 +1,36 @@
+-- Restore the 014 duplicate check
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private'
+     AND NEW.max_views IS NULL AND NEW.max_downloads IS NULL AND NOT NEW.burn_after_reading
+     AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id IS NOT DISTINCT FROM NEW.document_id
+       AND s.folder_id IS NOT DISTINCT FROM NEW.folder_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND s.max_views IS NULL AND s.max_downloads IS NULL AND NOT s.burn_after_reading
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE shares DROP COLUMN IF EXISTS attach_on_register;
+
+-- Guest OTPs cannot be represented before 015
+DELETE FROM otp_verifications WHERE user_id IS NULL;
+DROP INDEX IF EXISTS otp_verifications_guest_idx;
+ALTER TABLE otp_verifications DROP CONSTRAINT IF EXISTS otp_verifications_owner_chk;
+ALTER TABLE otp_verifications DROP COLUMN IF EXISTS guest_id;
+ALTER TABLE otp_verifications ALTER COLUMN user_id SET NOT NULL;
+
+DROP TABLE IF EXISTS share_guests;
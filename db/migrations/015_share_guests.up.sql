@@ -0,0 +1,48 @@
+-- 015_share_guests: private shares for recipients without an account.
+-- The OTP goes straight to the share's to_user_email; a verified guest is recorded here, no users row is created.
+CREATE TABLE share_guests (
+  guest_id           UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email              TEXT        NOT NULL UNIQUE CHECK (email = LOWER(email)),
+  user_id            UUID        REFERENCES users(user_id) ON DELETE SET NULL, -- set when the guest registers
+  first_verified_at  TIMESTAMPTZ,
+  last_verified_at   TIMESTAMPTZ,
+  attached_at        TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Share OTPs belong to a registered user or to a guest
+ALTER TABLE otp_verifications ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE otp_verifications ADD COLUMN guest_id UUID REFERENCES share_guests(guest_id) ON DELETE CASCADE;
+ALTER TABLE otp_verifications ADD CONSTRAINT otp_verifications_owner_chk CHECK ((user_id IS NULL) <> (guest_id IS NULL));
+CREATE INDEX otp_verifications_guest_idx ON otp_verifications (guest_id, share_id, created_at DESC) WHERE guest_id IS NOT NULL;
+
+-- Owner's choice: move the share onto the recipient's account if they register with the address later
+ALTER TABLE shares ADD COLUMN attach_on_register BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Shares that differ in watermark or attach_on_register are not duplicates of each other
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private'
+     AND NEW.max_views IS NULL AND NEW.max_downloads IS NULL AND NOT NEW.burn_after_reading
+     AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id IS NOT DISTINCT FROM NEW.document_id
+       AND s.folder_id IS NOT DISTINCT FROM NEW.folder_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND s.watermark IS NOT DISTINCT FROM NEW.watermark
+       AND s.attach_on_register = NEW.attach_on_register
+       AND s.max_views IS NULL AND s.max_downloads IS NULL AND NOT s.burn_after_reading
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
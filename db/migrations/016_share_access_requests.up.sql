@@ -0,0 +1,21 @@
+-- 016_share_access_requests: a recipient who opens an expired or revoked share can ask the owner for access again.
+-- Approving re-activates the share (or issues a new private one to the requester); denying just closes the request.
+CREATE TABLE share_access_requests (
+  request_id         UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  share_id           UUID        NOT NULL REFERENCES shares(share_id) ON DELETE CASCADE,
+  owner_id           UUID        NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+  requester_email    TEXT        NOT NULL CHECK (requester_email = LOWER(requester_email)),
+  requester_user_id  UUID        REFERENCES users(user_id) ON DELETE SET NULL, -- signed-in requester
+  message            TEXT,
+  share_state        TEXT        NOT NULL CHECK (share_state IN ('expired', 'revoked')),
+  status             TEXT        NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'denied')),
+  granted_expiry     TIMESTAMPTZ,
+  granted_share_id   UUID        REFERENCES shares(share_id) ON DELETE SET NULL, -- reactivated or re-issued share
+  decision_note      TEXT,
+  decided_at         TIMESTAMPTZ,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- One open request per share and requester
+CREATE UNIQUE INDEX share_access_requests_pending_uq ON share_access_requests (share_id, requester_email) WHERE status = 'pending';
+CREATE INDEX share_access_requests_owner_idx ON share_access_requests (owner_id, status, created_at DESC);
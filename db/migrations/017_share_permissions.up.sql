@@ -0,0 +1,37 @@
+-- 017_share_permissions: explicit per-share permission flags instead of "public = view-only, otherwise view + download".
+-- Existing shares keep what they allowed before.
+ALTER TABLE shares ADD COLUMN permissions JSONB NOT NULL
+  DEFAULT '{"view": true, "download": true, "print": false, "reshare": false, "see_recipients": false}'::jsonb;
+UPDATE shares SET permissions = permissions || '{"download": false}'::jsonb WHERE access = 'public';
+
+-- Shares a recipient created from their own (the "reshare" permission); owned by the original owner
+ALTER TABLE shares ADD COLUMN reshared_from UUID REFERENCES shares(share_id) ON DELETE SET NULL;
+
+-- Shares with different permissions are not duplicates of each other
+CREATE OR REPLACE FUNCTION shares_prevent_duplicate_private() RETURNS trigger AS $$
+BEGIN
+  IF NEW.access = 'private'
+     AND NEW.max_views IS NULL AND NEW.max_downloads IS NULL AND NOT NEW.burn_after_reading
+     AND EXISTS (
+    SELECT 1 FROM shares s
+     WHERE s.document_id IS NOT DISTINCT FROM NEW.document_id
+       AND s.folder_id IS NOT DISTINCT FROM NEW.folder_id
+       AND s.from_user_id = NEW.from_user_id
+       AND s.access = 'private'
+       AND s.is_revoked = FALSE
+       AND s.pinned_version_id IS NOT DISTINCT FROM NEW.pinned_version_id
+       AND s.watermark IS NOT DISTINCT FROM NEW.watermark
+       AND s.attach_on_register = NEW.attach_on_register
+       AND s.permissions = NEW.permissions
+       AND s.max_views IS NULL AND s.max_downloads IS NULL AND NOT s.burn_after_reading
+       AND (s.expiry_time IS NULL OR s.expiry_time > now())
+       AND (
+         (NEW.to_user_id IS NOT NULL AND s.to_user_id = NEW.to_user_id) OR
+         (NEW.to_user_id IS NULL AND LOWER(COALESCE(s.to_user_email, '')) = LOWER(COALESCE(NEW.to_user_email, '')))
+       )
+  ) THEN
+    RAISE EXCEPTION 'duplicate active private share' USING ERRCODE = 'unique_violation';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
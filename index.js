@@ -8,7 +8,15 @@ import miscRoutes from "./routes/misc.routes.js";
 import sharesRoutes from "./routes/shares.routes.js";
 import documentsRoutes from "./routes/documents.routes.js";
 import reduceRoutes from "./routes/reduce.js";
+import qrRoutes from "./routes/qr.routes.js";
+import foldersRoutes from "./routes/folders.routes.js";
+import convertRoutes from "./routes/convert.routes.js";
+import pdfRoutes from "./routes/pdf.routes.js";
+import jobsRoutes from "./routes/jobs.routes.js";
 import testMailRoutes from "./routes/mail.test.js"; 
+import { assertSchemaCurrent } from "./db/migrate.js";
+import { startJobWorker } from "./utils/jobs.js";
+import "./utils/jobHandlers.js";
 
 // Initialize Express app
 const app = express();
@@ -25,10 +33,28 @@ app.use("/misc", miscRoutes);
 app.use("/shares", sharesRoutes);
 app.use("/documents", documentsRoutes);
 app.use("/api/reduce", reduceRoutes);
+app.use("/qr", qrRoutes);
+app.use("/folders", foldersRoutes);
+app.use("/convert", convertRoutes);
+app.use("/pdf", pdfRoutes);
+app.use("/jobs", jobsRoutes);
 
 app.use("/", testMailRoutes); // add test routes
 
 
+// Refuse to start against an outdated schema (SKIP_SCHEMA_CHECK=1 to bypass)
+if (process.env.SKIP_SCHEMA_CHECK !== "1") {
+  try {
+    await assertSchemaCurrent();
+  } catch (err) {
+    console.error("❌ SCHEMA_CHECK_ERROR:", err.message);
+    process.exit(1);
+  }
+}
+
+// Background jobs run in this process unless JOB_WORKER=0 (then use `npm run worker`)
+if (process.env.JOB_WORKER !== "0") startJobWorker();
+
 // Start the server
 const PORT = process.env.PORT || 5000;
 const server = app.listen(PORT, () => {
@@ -3,11 +3,10 @@ import multer from "multer";
 import { v4 as uuid } from "uuid";
 import path from "node:path";
 import fs from "node:fs";
+import { storage as fileStorage, TMP_ROOT } from "../utils/storage/index.js";
 
-export const FILE_ROOT = process.env.FILE_ROOT || path.resolve("uploads");
-
-
-fs.mkdirSync(FILE_ROOT, { recursive: true });
+// Kept for callers that predate the storage drivers (local driver root)
+export { FILE_ROOT } from "../utils/storage/local.js";
 
 const ALLOWED_EXT = new Set([
   // docs
@@ -28,17 +27,15 @@ const BLOCKED_EXT = new Set([
   "exe", "msi", "bat", "cmd", "sh", "ps1", "php", "jsp", "asp", "dll", "so",
 ]);
 
+// Multer only stages files in TMP_ROOT; storeUpload() hands them to the storage driver
 const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-
-    const userId = req.user?.user_id ? String(req.user.user_id) : "anonymous";
-    const userDir = path.join(FILE_ROOT, userId);
+  destination: (_req, _file, cb) => {
     try {
-      fs.mkdirSync(userDir, { recursive: true });
+      fs.mkdirSync(TMP_ROOT, { recursive: true });
     } catch (e) {
       return cb(e);
     }
-    cb(null, userDir);
+    cb(null, TMP_ROOT);
   },
   filename: (_req, file, cb) => {
     
@@ -48,6 +45,16 @@ const storage = multer.diskStorage({
   },
 });
 
+/**
+ * Move a staged multer file into storage under <user_id>/<staged name>.
+ * Returns the storage key (what documents.file_path holds).
+ */
+export async function storeUpload(file, userId) {
+  const key = `${userId ? String(userId) : "anonymous"}/${file.filename}`;
+  await fileStorage.putFile(key, file.path, { contentType: file.mimetype });
+  return key;
+}
+
 
 function getExtLower(name = "") {
 
@@ -7,6 +7,7 @@ import rateLimit from "express-rate-limit";
 import { pool } from "../db/db.js";
 import { auth } from "../middleware/auth.js";
 import { sendEmail } from "../utils/mailer.js"; // HTTPS Gmail API sender (no SMTP)
+import { attachGuestShares } from "../utils/guests.js";
 
 const router = Router();
 
@@ -55,6 +56,8 @@ router.post("/register", async (req, res) => {
       [full_name, email, password_hash]
     );
     const newUser = rows[0];
+    // Private shares sent to this address before the account existed (where the owner allowed it)
+    newUser.attached_shares = await attachGuestShares(newUser, client);
     await client.query("COMMIT");
 
     // Best-effort welcome email (non-blocking, HTTPS Gmail API)
@@ -1,177 +1,102 @@
 // routes/convert.routes.js
+// Conversions on a stored document (JSON/form field document_id, owner only) or an ad-hoc multipart `file`.
+// Work runs in the job queue: every POST answers 202 with a job id; poll GET /jobs/:job_id for the result.
+// Results are saved as new documents owned by the caller (save_as=document, default), or as a new
+// version of the source document (save_as=version, single-output operations only).
 import { Router } from "express";
-import multer from "multer";
-import path from "node:path";
-import fs from "node:fs";
 import fsp from "node:fs/promises";
-import { execa } from "execa";
-import sharp from "sharp";
+import { auth } from "../middleware/auth.js";
+import { upload } from "../middleware/upload.js";
+import { storage } from "../utils/storage/index.js";
+import { ownedFolder, isUuid } from "../utils/folders.js";
+import { enqueueJob, jobView, stagedUploadKey } from "../utils/jobs.js";
+import { CONVERSIONS, ownedSource } from "../utils/convert.js";
 
 const router = Router();
 
-
-const UPLOADS = path.join(process.cwd(), "uploads");
-const OUTPUTS  = path.join(process.cwd(), "outputs");
-for (const p of [UPLOADS, OUTPUTS]) {
-  if (!fs.existsSync(p)) fs.mkdirSync(p, { recursive: true });
-}
-
-
-const upload = multer({
-  dest: UPLOADS,
-  limits: { fileSize: 25 * 1024 * 1024 }, // 25MB
-});
-
-
-const isPdf   = (m, n) => /pdf/i.test(m || "") || /\.pdf$/i.test(n || "");
-const isDocx  = (m, n) =>
-  /officedocument\.wordprocessingml\.document|msword/i.test(m || "") ||
-  /\.(docx|doc)$/i.test(n || "");
-const isImg   = (m, n) =>
-  /^image\//i.test(m || "") || /\.(jpe?g|png)$/i.test(n || "");
-
-function safeBase(name = "file") {
-  return (name.replace(/[^\w.\- ]+/g, "_") || "file").replace(/\s+/g, "_");
-}
 async function safeUnlink(p) {
   try { await fsp.unlink(p); } catch {}
 }
-function asDownload(res, filePath, downloadName, mime = undefined) {
-  if (mime) res.setHeader("Content-Type", mime);
-  res.setHeader("Content-Disposition", `attachment; filename="${downloadName}"`);
-  return res.download(filePath, downloadName);
-}
-
-router.post("/convert/docx-to-pdf", upload.single("file"), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "file required" });
-  const inPath = req.file.path;
-  const orig = req.file.originalname || "document.docx";
-
-  if (!isDocx(req.file.mimetype, orig)) {
-    await safeUnlink(inPath);
-    return res.status(400).json({ error: "Only DOC/DOCX allowed" });
-  }
-
-  try {
- 
-    await execa("soffice", ["--headless", "--convert-to", "pdf", "--outdir", OUTPUTS, inPath]);
-
-   
-    const tmpPdf = path.join(OUTPUTS, `${path.parse(inPath).name}.pdf`);
-    const outName = safeBase(orig).replace(/\.(docx?|DOCX?)$/, "") + "-converted.pdf";
-    const outPath = path.join(OUTPUTS, outName);
-    await fsp.rename(tmpPdf, outPath);
-
-    return asDownload(res, outPath, outName, "application/pdf");
-  } catch (e) {
-    console.error("DOCX_TO_PDF_ERROR", e);
-    return res.status(500).json({ error: "Conversion failed" });
-  } finally {
-    await safeUnlink(inPath);
-  }
-});
 
+/** Validate the request, stage an ad-hoc upload, queue a "convert" job */
+function conversion(operation, errorLabel, options = () => ({})) {
+  const conv = CONVERSIONS[operation];
+  return async (req, res) => {
+    let stagedKey = null;
+    try {
+      const body = req.body || {};
+      const saveAs = String(body.save_as || "document").toLowerCase();
+      if (!["document", "version"].includes(saveAs)) {
+        return res.status(400).json({ error: "save_as must be document or version" });
+      }
+
+      let src;
+      if (req.file) {
+        src = { document_id: null, file_name: req.file.originalname, mime_type: req.file.mimetype };
+      } else if (body.document_id) {
+        const versionNo = body.version === undefined || body.version === "" ? null : parseInt(body.version, 10);
+        if (versionNo !== null && !(versionNo > 0)) return res.status(400).json({ error: "Invalid version" });
+        src = isUuid(body.document_id) ? await ownedSource(req.user.user_id, String(body.document_id), versionNo) : null;
+        if (!src) return res.status(404).json({ error: "Document not found" });
+      } else {
+        return res.status(400).json({ error: "document_id or file required" });
+      }
+
+      if (!conv.accepts(src.mime_type, src.file_name)) return res.status(400).json({ error: conv.onlyMsg });
+      if (saveAs === "version" && (!src.document_id || conv.multiOutput)) {
+        return res.status(400).json({
+          error: conv.multiOutput
+            ? "This conversion produces several files; use save_as=document"
+            : "save_as=version needs a document_id",
+        });
+      }
+
+      const payload = { operation, save_as: saveAs, options: options(req) };
+      if (saveAs === "document" && body.folder_id !== undefined) {
+        const folderId = body.folder_id || null;
+        if (folderId && !(await ownedFolder(req.user.user_id, folderId))) {
+          return res.status(404).json({ error: "Folder not found" });
+        }
+        payload.folder_id = folderId;
+      }
+
+      if (req.file) {
+        // The worker may run in another process: hand the upload to storage until the job is done
+        stagedKey = stagedUploadKey(req.file.originalname);
+        await storage.putFile(stagedKey, req.file.path, { contentType: req.file.mimetype });
+        payload.source = { upload_key: stagedKey, file_name: src.file_name, mime_type: src.mime_type };
+      } else {
+        payload.source = { document_id: src.document_id, version_no: src.version_no };
+      }
+
+      const job = await enqueueJob({ type: "convert", userId: req.user.user_id, payload });
+      stagedKey = null;
+      res.status(202).json({ success: true, ...jobView(job) });
+    } catch (e) {
+      console.error(errorLabel, e);
+      if (stagedKey) await storage.remove(stagedKey).catch(() => {});
+      res.status(500).json({ error: "Could not queue conversion" });
+    } finally {
+      if (req.file?.path) await safeUnlink(req.file.path);
+    }
+  };
+}
 
-router.post("/convert/pdf-to-jpg", upload.single("file"), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "file required" });
-  const inPath = req.file.path;
-  const orig = req.file.originalname || "document.pdf";
-
-  if (!isPdf(req.file.mimetype, orig)) {
-    await safeUnlink(inPath);
-    return res.status(400).json({ error: "Only PDF allowed" });
-  }
-
-  try {
-    const base = path.join(OUTPUTS, safeBase(path.parse(orig).name));
-   
-    await execa("pdftoppm", ["-jpeg", "-r", "150", inPath, base]);
-
-    const prefix = path.basename(base);
-    const all = (await fsp.readdir(OUTPUTS))
-      .filter((f) => f.startsWith(prefix) && /\.jpg$/i.test(f))
-      .sort((a, b) => {
-        
-        const na = parseInt((a.match(/-(\d+)\.jpg$/i) || [])[1] || "0", 10);
-        const nb = parseInt((b.match(/-(\d+)\.jpg$/i) || [])[1] || "0", 10);
-        return na - nb;
-      });
-
-    const files = all.map((f) => `/file/${f}`);
-    return res.json({ files });
-  } catch (e) {
-    console.error("PDF_TO_JPG_ERROR", e);
-    return res.status(500).json({ error: "Conversion failed" });
-  } finally {
-    await safeUnlink(inPath);
-  }
-});
-
-
-router.post("/compress/pdf", upload.single("file"), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "file required" });
-  const inPath = req.file.path;
-  const orig = req.file.originalname || "document.pdf";
-
-  if (!isPdf(req.file.mimetype, orig)) {
-    await safeUnlink(inPath);
-    return res.status(400).json({ error: "Only PDF allowed" });
-  }
-
-  const preset = String(req.query.preset || "screen").toLowerCase();
-  const allowed = new Set(["screen", "ebook", "printer", "prepress"]);
-  const level = allowed.has(preset) ? preset : "screen";
-
-  const outName = safeBase(path.parse(orig).name) + "-compressed.pdf";
-  const outPath = path.join(OUTPUTS, outName);
-
-  try {
-    await execa("gs", [
-      "-sDEVICE=pdfwrite",
-      "-dCompatibilityLevel=1.4",
-      `-dPDFSETTINGS=/${level}`,
-      "-dNOPAUSE",
-      "-dQUIET",
-      "-dBATCH",
-      `-sOutputFile=${outPath}`,
-      inPath,
-    ]);
-    return asDownload(res, outPath, outName, "application/pdf");
-  } catch (e) {
-    console.error("PDF_COMPRESS_ERROR", e);
-    return res.status(500).json({ error: "Compression failed" });
-  } finally {
-    await safeUnlink(inPath);
-  }
-});
-
-router.post("/compress/image", upload.single("file"), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "file required" });
-  const inPath = req.file.path;
-  const orig = req.file.originalname || "image.jpg";
-
-  if (!isImg(req.file.mimetype, orig)) {
-    await safeUnlink(inPath);
-    return res.status(400).json({ error: "Only JPG/PNG allowed" });
-  }
+/* -------------------------------- Routes -------------------------------- */
+// POST /convert/docx-to-pdf   { document_id, version?, save_as?, folder_id? } or multipart file
+router.post("/docx-to-pdf", auth, upload.single("file"), conversion("docx-to-pdf", "DOCX_TO_PDF_ERROR"));
 
-  const q = Math.max(1, Math.min(100, parseInt(req.query.q || "75", 10) || 75));
-  const outName = safeBase(path.parse(orig).name) + "-min.jpg";
-  const outPath = path.join(OUTPUTS, outName);
+// POST /convert/pdf-to-jpg   one new image document per page (first CONVERT_MAX_PAGES pages)
+router.post("/pdf-to-jpg", auth, upload.single("file"), conversion("pdf-to-jpg", "PDF_TO_JPG_ERROR"));
 
-  try {
-    await sharp(inPath)
-     
-      .jpeg({ quality: q, mozjpeg: true })
-      .toFile(outPath);
+// POST /convert/compress/pdf?preset=screen|ebook|printer|prepress
+router.post("/compress/pdf", auth, upload.single("file"), conversion("compress-pdf", "PDF_COMPRESS_ERROR", (req) => ({
+  preset: String(req.query.preset || req.body?.preset || "screen").toLowerCase(),
+})));
 
-    return asDownload(res, outPath, outName, "image/jpeg");
-  } catch (e) {
-    console.error("IMG_COMPRESS_ERROR", e);
-    return res.status(500).json({ error: "Image compression failed" });
-  } finally {
-    await safeUnlink(inPath);
-  }
-});
+// POST /convert/compress/image?q=1..100
+router.post("/compress/image", auth, upload.single("file"), conversion("compress-image", "IMG_COMPRESS_ERROR", (req) => ({
+  q: req.query.q || req.body?.q || "75",
+})));
 
 export default router;
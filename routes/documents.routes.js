@@ -1,15 +1,32 @@
 // routes/documents.routes.js
 import { Router } from "express";
-import path from "node:path";
-import fs from "node:fs";
+import fsp from "node:fs/promises";
+import { pipeline } from "node:stream";
 import mime from "mime-types";
 import dayjs from "dayjs";
 import { pool } from "../db/db.js";
 import { auth } from "../middleware/auth.js";
-import { upload, FILE_ROOT } from "../middleware/upload.js";
+import { upload, storeUpload } from "../middleware/upload.js";
+import { storage } from "../utils/storage/index.js";
+import { createDocument, addDocumentVersion, documentStorageKeys } from "../utils/documents.js";
 // NOTE: create this file:
 // middleware/optionalAuth.js -> export function optionalAuth(req,res,next){ const hasBearer=/^Bearer\s+/i.test(req.headers.authorization||""); return hasBearer ? auth(req,res,next) : next(); }
 import { optionalAuth } from "../middleware/optionalAuth.js";
+import { accessSummary, sendActivity, logAccess, clientContext, playbackGroupKey, playbackLogged } from "../utils/accessLogs.js";
+import {
+  shareByToken,
+  shareCoversDocument,
+  checkShareAccess,
+  consumeShareAllowance,
+  burnShare,
+  OWNER_PERMISSIONS,
+} from "../utils/shareAccess.js";
+import { ownedFolder, moveDocuments, isUuid } from "../utils/folders.js";
+import { decidePreviewStrategy, previewStrategySql } from "../utils/preview.js";
+import { parseListQuery, runListQuery, normalizeTags } from "../utils/listQuery.js";
+import { parseContentSearchQuery, searchUserContent, queueContentIndex } from "../utils/contentIndex.js";
+import { THUMBNAIL_SIZES } from "../utils/thumbnails.js";
+import { renderWatermarked, renderPrintPdf, parseWatermark, watermarkKind, WATERMARK_MAX_BYTES } from "../utils/watermark.js";
 
 const router = Router();
 
@@ -26,25 +43,28 @@ function cdAttachment(fileName) {
   return `attachment; filename="${safe}"; filename*=UTF-8''${encodeURIComponent(fileName || "file")}`;
 }
 
-/** Decide how frontend should preview file */
-function decidePreviewStrategy({ mime = "", file_name = "" }) {
-  const ext = (path.extname(file_name || "").slice(1) || "").toLowerCase();
-  if (/^application\/pdf$/i.test(mime) || ext === "pdf") return "pdf";
-  if (/^image\//i.test(mime)) return "image";
-  if (
-    /^text\//i.test(mime) ||
-    /(json|xml|yaml)/i.test(mime) ||
-    ["txt", "md", "json", "xml", "yaml", "yml", "csv", "log"].includes(ext)
-  ) return "text";
-  if (/^audio\//i.test(mime)) return "audio";
-  if (/^video\//i.test(mime)) return "video";
-  if (/(msword|officedocument|excel|powerpoint)/i.test(mime) || ["doc","docx","ppt","pptx","xls","xlsx"].includes(ext)) return "office";
-  return "other";
+/**
+ * The bytes a Range header asks for on a file of `size` bytes: { start, end, partial }.
+ * Missing, malformed or unsatisfiable ranges mean the whole file.
+ */
+function parseRange(rangeHeader, size) {
+  const whole = { start: 0, end: Math.max(size - 1, 0), partial: false };
+  if (!rangeHeader || size <= 0) return whole;
+  const m = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader);
+  if (!m) return whole;
+  const start = m[1] ? parseInt(m[1], 10) : 0;
+  const end = m[2] ? parseInt(m[2], 10) : size - 1;
+  if (isNaN(start) || isNaN(end) || start > end || end >= size) return { ...whole, partial: true };
+  return { start, end, partial: true };
 }
 
-/** Range-safe streaming (supports large files & media) */
-function streamFileWithRange(res, absPath, mimeType, disposition, rangeHeader) {
-  const stat = fs.statSync(absPath);
+/**
+ * Range-safe streaming from the storage driver (supports large files & media).
+ * Returns the byte range actually served: { start, end, size, partial }, or null if the object is missing.
+ */
+async function streamFileWithRange(res, key, mimeType, disposition, rangeHeader) {
+  const stat = await storage.stat(key);
+  if (!stat) return null;
   const fileSize = stat.size;
 
   res.setHeader("Content-Type", mimeType);
@@ -52,30 +72,140 @@ function streamFileWithRange(res, absPath, mimeType, disposition, rangeHeader) {
   res.setHeader("Accept-Ranges", "bytes");
   res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
 
-  if (rangeHeader) {
-    const m = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader);
-    if (m) {
-      let start = m[1] ? parseInt(m[1], 10) : 0;
-      let end = m[2] ? parseInt(m[2], 10) : fileSize - 1;
-      if (isNaN(start) || isNaN(end) || start > end || end >= fileSize) {
-        start = 0; end = fileSize - 1;
-      }
-      const chunkSize = end - start + 1;
-      res.status(206);
-      res.setHeader("Content-Range", `bytes ${start}-${end}/${fileSize}`);
-      res.setHeader("Content-Length", String(chunkSize));
-      fs.createReadStream(absPath, { start, end }).pipe(res);
-      return;
-    }
+  // pipeline also destroys the storage stream when the client goes away (aborted seeks, cancelled downloads)
+  const pipe = (stream) => {
+    pipeline(stream, res, (err) => {
+      if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("STREAM_ERROR:", err?.message || err);
+    });
+  };
+
+  const { start, end, partial } = parseRange(rangeHeader, fileSize);
+  if (partial) {
+    res.status(206);
+    res.setHeader("Content-Range", `bytes ${start}-${end}/${fileSize}`);
+    res.setHeader("Content-Length", String(end - start + 1));
+    pipe(await storage.createReadStream(key, { start, end }));
+    return { start, end, size: fileSize, partial: true };
   }
 
   res.setHeader("Content-Length", String(fileSize));
-  fs.createReadStream(absPath).pipe(res);
+  pipe(await storage.createReadStream(key));
+  return { start: 0, end: Math.max(fileSize - 1, 0), size: fileSize, partial: false };
+}
+
+/**
+ * The share's watermarked rendition of a version: { buffer, mimeType }, { skip: true } when the
+ * file type is served without a watermark, or { status, error }. Fails closed: a file that should
+ * carry a watermark is never served clean.
+ */
+async function watermarkedFile(version, mimeType, access) {
+  if (!watermarkKind(mimeType, version.file_name)) return { skip: true };
+  const stat = await storage.stat(version.file_path);
+  if (!stat) return { status: 404, error: "File missing on server" };
+  if (stat.size > WATERMARK_MAX_BYTES) return { status: 413, error: "File too large to watermark" };
+  try {
+    const buf = await storage.getBuffer(version.file_path);
+    return await renderWatermarked(buf, { mimeType, fileName: version.file_name }, access.share.watermark, access);
+  } catch (err) {
+    console.error("WATERMARK_ERROR:", version.version_id, err?.message || err);
+    return { status: 422, error: "This file could not be watermarked" };
+  }
+}
+
+/**
+ * What a share viewer gets instead of the stored file: the watermarked rendition ({ buffer, mimeType }),
+ * { status, error } when it cannot be made, or null to serve the file as stored (owner, no watermark,
+ * or a file type served without one).
+ */
+async function shareRendition(version, mimeType, access, isOwner) {
+  if (!access.share?.watermark || isOwner) return null;
+  const wm = await watermarkedFile(version, mimeType, access);
+  return wm.skip ? null : wm;
+}
+
+/** Send a rendered file in one piece (no ranges, never cached); returns the served range */
+function sendRendered(res, { buffer, mimeType, watermarked = true }, disposition) {
+  res.setHeader("Content-Type", mimeType);
+  res.setHeader("Content-Disposition", disposition);
+  res.setHeader("Content-Length", String(buffer.length));
+  res.setHeader("Cache-Control", "private, no-store");
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+  if (watermarked) res.setHeader("X-Watermarked", "1");
+  res.end(buffer);
+  return { start: 0, end: Math.max(buffer.length - 1, 0), size: buffer.length, partial: false };
+}
+
+/** Playback group of the caller's range requests for a document (same viewer, client and share) */
+function accessGroupKey(req, document_id, access) {
+  const { ip, user_agent } = clientContext(req);
+  const share_id = access?.share?.share_id || null;
+  const viewer_user_id = access?.userId || req.user?.user_id || null;
+  return playbackGroupKey({ document_id, share_id, viewer_user_id, ip, user_agent });
+}
+
+/**
+ * Audit a view/download (or a denied attempt) with the resolved access mode and client context.
+ * Range requests are grouped per playback; plain full-file requests always get their own row.
+ */
+function auditAccess(req, { document_id, access, action, served = null, version_no = null, attempt = null, reason = null }) {
+  const ctx = clientContext(req);
+  const share_id = access?.share?.share_id || null;
+  const viewer_user_id = access?.userId || req.user?.user_id || null;
+  const meta = {
+    mode: access?.mode || null,
+    ...(access?.guestId ? { guest_id: access.guestId, guest_email: access.email } : {}),
+    ...ctx,
+    ...(version_no ? { version_no } : {}),
+    ...(served ? { range: `${served.start}-${served.end}/${served.size}`, bytes_served: served.end - served.start + 1 } : {}),
+    ...(attempt ? { attempt, reason: reason || access?.reason || "not_authorized" } : {}),
+  };
+  const groupKey = served?.partial ? accessGroupKey(req, document_id, access) : null;
+  logAccess({ share_id, document_id, viewer_user_id, action, meta, groupKey });
+}
+
+/**
+ * Is this a range request, as streamFileWithRange / sendRendered will serve it (rendered files
+ * always go out whole)? Null when the stored file is missing.
+ */
+async function isRangeTransfer(req, version, rendered) {
+  if (rendered) return false;
+  const stat = await storage.stat(version.file_path);
+  if (!stat) return null;
+  return parseRange(req.headers.range, stat.size).partial;
+}
+
+/**
+ * Spend a view/download of the share (max_views / max_downloads). Every transfer costs one, whatever
+ * range it asks for; further range requests of a playback or resumed download already logged in the
+ * playback window (same viewer and client) are part of it. HEAD requests and the owner never spend anything.
+ */
+async function spendAllowance(req, access, kind, isOwner, document_id, ranged) {
+  if (!access.share || isOwner || req.method !== "GET") return true;
+  const action = kind === "download" ? "document_download" : "document_view";
+  if (ranged && (await playbackLogged(document_id, action, accessGroupKey(req, document_id, access)))) return true;
+  return consumeShareAllowance(access.share, kind);
+}
+
+/**
+ * Burn-after-reading: the first download request served, whatever its range, revokes the share
+ * (HEAD requests and the owner never burn it). Resolves false when a concurrent request burned it
+ * first (nothing may be sent).
+ */
+async function burnOnDownload(req, access, isOwner) {
+  const share = access.share;
+  if (!share?.burn_after_reading || isOwner || req.method !== "GET") return true;
+  if (!(await burnShare(share))) return false;
+  await logAccess({ share_id: share.share_id, document_id: share.document_id, action: "share_burned" });
+  return true;
 }
 
 /* ---------------------------------------------------------------------
    ACCESS / SHARE RESOLUTION
 --------------------------------------------------------------------- */
+/**
+ * Owner, share (token + its rules) or nothing. Resolves with { mode, permissions, share?, ... };
+ * every route checks the permission it serves (view, download, print) before sending content.
+ */
 async function resolveAccess(req, document_id) {
   const bearer = (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
   const token = (req.query?.token || req.query?.share_token || "").toString().trim();
@@ -91,88 +221,156 @@ async function resolveAccess(req, document_id) {
     } catch {}
   }
 
-  // If share token used
+  // If share token used (document share, or a folder share that contains the document)
   if (token) {
-    const q = `
-      SELECT s.*, d.owner_user_id, d.document_id
-      FROM shares s
-      JOIN documents d ON d.document_id = s.document_id
-      WHERE s.share_token = $1
-      LIMIT 1
-    `;
-    const { rows } = await pool.query(q, [token]);
-    const share = rows[0];
-    if (!share || String(share.document_id) !== String(document_id))
-      return { mode: null, viewOnly: true };
-    if (share.is_revoked) return { mode: null, viewOnly: true };
-    if (share.expiry_time && new Date(share.expiry_time) <= new Date())
-      return { mode: null, viewOnly: true };
-
-    // Public share
-    if (share.access === "public")
-      return { mode: "public", share, viewOnly: true };
-
-    // Private share (OTP required)
-    const claimedEmail = String(req.headers["x-user-email"] || "").trim().toLowerCase();
-    if (!claimedEmail) return { mode: null, viewOnly: true };
-
-    const ures = await pool.query(
-      `SELECT user_id, email FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1`,
-      [claimedEmail]
-    );
-    if (!ures.rowCount) return { mode: null, viewOnly: true };
-    const u = ures.rows[0];
-
-    // Intended recipient validation
-    if (share.to_user_id && String(share.to_user_id) !== String(u.user_id))
-      return { mode: null, viewOnly: true };
-    if (!share.to_user_id && share.to_user_email && share.to_user_email.toLowerCase() !== u.email.toLowerCase())
-      return { mode: null, viewOnly: true };
-
-    // OTP verification check
-    const vq = `
-      SELECT 1 FROM otp_verifications
-      WHERE share_id = $1 AND user_id = $2
-        AND is_verified = TRUE
-        AND expiry_time > now()
-      ORDER BY created_at DESC
-      LIMIT 1
-    `;
-    const verified = await pool.query(vq, [share.share_id, u.user_id]);
-    if (!verified.rowCount) return { mode: null, viewOnly: true };
-
-    return { mode: "private", userId: u.user_id, share, viewOnly: false };
+    const share = await shareByToken(token);
+    if (!share || !(await shareCoversDocument(share, document_id)))
+      return { mode: null, viewOnly: true, reason: "invalid_token" };
+    return checkShareAccess(req, share);
   }
 
   // Owner fallback (requires req.user to be set by optionalAuth)
   if (ownerRow && req.user && String(ownerRow.owner_user_id) === String(req.user.user_id))
-    return { mode: "owner", userId: req.user.user_id, share: null, viewOnly: false };
+    return { mode: "owner", userId: req.user.user_id, share: null, viewOnly: false, permissions: OWNER_PERMISSIONS };
 
   return { mode: null, viewOnly: true };
 }
 
+/**
+ * Pick the version to serve for ?version=N.
+ * Owners may open any version; shares serve their pinned version, or the latest when not pinned.
+ * Returns { version } or { status, error }.
+ */
+async function resolveVersion(doc, access, requested) {
+  let want = null;
+  if (requested !== undefined && requested !== "") {
+    want = parseInt(requested, 10);
+    if (!(want > 0)) return { status: 400, error: "Invalid version" };
+  }
+
+  let q, args;
+  if (access.mode === "owner") {
+    q = `SELECT * FROM document_versions WHERE document_id=$1 AND version_no=$2 LIMIT 1`;
+    args = [doc.document_id, want || doc.current_version_no];
+  } else if (access.share?.pinned_version_id) {
+    q = `SELECT * FROM document_versions WHERE version_id=$1 AND document_id=$2 LIMIT 1`;
+    args = [access.share.pinned_version_id, doc.document_id];
+  } else {
+    q = `SELECT * FROM document_versions WHERE document_id=$1 AND version_no=$2 LIMIT 1`;
+    args = [doc.document_id, doc.current_version_no];
+  }
+
+  const { rows } = await pool.query(q, args);
+  if (!rows.length) return { status: 404, error: "Version not found" };
+  if (want && access.mode !== "owner" && rows[0].version_no !== want) {
+    return { status: 403, error: "This share does not grant access to that version" };
+  }
+  return { version: rows[0] };
+}
+
 /* ---------------------------------------------------------------------
    ROUTES
 --------------------------------------------------------------------- */
 
-/** 📁 List my uploaded documents */
+/* Listing filters (see utils/listQuery.js) mapped onto documents */
+const DOC_LIST_SPEC = {
+  id: "d.document_id",
+  search: ["d.file_name"],
+  tags: "d.tags",
+  mime: "d.mime_type",
+  strategy: previewStrategySql("d.mime_type", "d.file_name"),
+  size: "d.file_size_bytes",
+  created: "d.created_at",
+  sorts: {
+    created_at: { expr: "d.created_at", type: "timestamptz" },
+    name: { expr: "LOWER(d.file_name)", type: "text" },
+    size: { expr: "COALESCE(d.file_size_bytes, 0)", type: "bigint" },
+  },
+};
+
+/**
+ * 📁 List my uploaded documents
+ * ?folder_id=<uuid>|root  ?q=  ?tag=a,b  ?mime=image/*  ?preview_strategy=pdf,image  ?min_size=  ?max_size=
+ * ?from=  ?to=  ?sort=created_at|name|size  ?order=asc|desc
+ * Returns the full array; with ?limit= or ?cursor= returns { total, next_cursor, documents } instead.
+ */
 router.get("/", auth, async (req, res) => {
   try {
-    const q = `
-      SELECT document_id, owner_user_id, file_name, file_path, mime_type,
-             file_size_bytes, is_public, created_at
-      FROM documents
-      WHERE owner_user_id = $1
-      ORDER BY created_at DESC
-    `;
-    const { rows } = await pool.query(q, [req.user.user_id]);
-    res.json(rows);
+    const folder = req.query.folder_id === undefined ? undefined : String(req.query.folder_id);
+    if (folder !== undefined && folder !== "root" && !isUuid(folder)) {
+      return res.status(400).json({ error: "Invalid folder_id" });
+    }
+    const { opts, error } = parseListQuery(req.query, Object.keys(DOC_LIST_SPEC.sorts));
+    if (error) return res.status(400).json({ error });
+
+    const base = { where: [`d.owner_user_id = $1`], args: [req.user.user_id] };
+    if (folder !== undefined) {
+      base.args.push(folder === "root" ? null : folder);
+      base.where.push(`d.folder_id IS NOT DISTINCT FROM $2::uuid`);
+    }
+
+    const { total, next_cursor, items } = await runListQuery(pool, opts, DOC_LIST_SPEC, base, {
+      select: ({ where, orderBy, sortKey, limit }) => `
+        SELECT d.document_id, d.owner_user_id, d.folder_id, d.file_name, d.file_path, d.mime_type,
+               d.file_size_bytes, d.is_public, d.current_version_no, d.tags, d.created_at,
+               ${DOC_LIST_SPEC.strategy} AS preview_strategy, cv.thumbnail_status,
+               ${sortKey} AS sort_key, d.document_id AS list_id
+          FROM documents d
+          LEFT JOIN document_versions cv ON cv.document_id = d.document_id AND cv.version_no = d.current_version_no
+         WHERE ${where}
+         ORDER BY ${orderBy}
+         ${limit}`,
+      count: (where) => `SELECT COUNT(*)::int AS total FROM documents d WHERE ${where}`,
+    });
+
+    if (!opts.paged) return res.json(items);
+    res.json({ success: true, total, next_cursor, documents: items });
   } catch (err) {
     console.error("DOC_LIST_ERROR:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+/** 🏷 My tags with document counts */
+router.get("/tags", auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT t.tag, COUNT(*)::int AS document_count
+         FROM documents d, unnest(d.tags) AS t(tag)
+        WHERE d.owner_user_id = $1
+        GROUP BY t.tag
+        ORDER BY t.tag`,
+      [req.user.user_id]
+    );
+    res.json({ success: true, total: rows.length, tags: rows });
+  } catch (err) {
+    console.error("DOC_TAGS_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * 🔎 Search inside document contents (ranked, with highlighted snippets)
+ * ?q=<words, "phrases", -exclude, or>  ?scope=all|owned|shared  ?limit=  ?offset=
+ * Shared results carry the share_token to open them with; private shares need a verified OTP first.
+ */
+router.get("/search", auth, async (req, res) => {
+  try {
+    const { opts, error } = parseContentSearchQuery(req.query);
+    if (error) return res.status(400).json({ error });
+    const scope = String(req.query.scope || "all").toLowerCase();
+    if (!["all", "owned", "shared"].includes(scope)) {
+      return res.status(400).json({ error: "scope must be one of all, owned, shared" });
+    }
+
+    const { total, results } = await searchUserContent(req.user, opts, scope);
+    res.json({ success: true, q: opts.q, total, limit: opts.limit, offset: opts.offset, results });
+  } catch (err) {
+    console.error("DOC_SEARCH_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /** 🪶 Document metadata (owner, public share_token, or private share_token after OTP) */
 router.get("/:document_id", optionalAuth, async (req, res) => {
   try {
@@ -185,21 +383,28 @@ router.get("/:document_id", optionalAuth, async (req, res) => {
 
     // If still not authorized, allow owner explicitly when logged in
     if (!access.mode && req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id)) {
-      access = { mode: "owner", viewOnly: false };
+      access = { mode: "owner", viewOnly: false, permissions: OWNER_PERMISSIONS };
     }
 
     if (!access.mode) return res.status(403).json({ error: "Not authorized for this document" });
 
     const doc = d.rows[0];
-    const preview_strategy = decidePreviewStrategy({ mime: doc.mime_type, file_name: doc.file_name });
+    const { version, status, error } = await resolveVersion(doc, access, req.query.version);
+    if (error) return res.status(status).json({ error });
+    const preview_strategy = decidePreviewStrategy({ mime: version.mime_type, file_name: version.file_name });
 
     res.json({
       document_id,
-      file_name: doc.file_name,
-      mime_type: doc.mime_type,
-      file_size_bytes: doc.file_size_bytes,
+      file_name: version.file_name,
+      mime_type: version.mime_type,
+      file_size_bytes: version.file_size_bytes,
+      version_no: version.version_no,
+      current_version_no: doc.current_version_no,
+      pinned: !!access.share?.pinned_version_id,
       preview_strategy,
-      view_only: access.mode === "public",
+      thumbnail_status: version.thumbnail_status,
+      view_only: !access.permissions.download,
+      permissions: access.permissions,
     });
   } catch (err) {
     console.error("DOC_META_ERROR:", err);
@@ -207,34 +412,140 @@ router.get("/:document_id", optionalAuth, async (req, res) => {
   }
 });
 
-/** ⬆️ Upload new document (owner only) */
+/** ⬆️ Upload new document (owner only); optional multipart fields folder_id, tags ("a,b") */
 router.post("/upload", auth, upload.single("file"), async (req, res) => {
+  let storageKey = null;
   try {
     if (!req.file) return res.status(400).json({ error: "File required" });
 
-    const diskRelPath = path.relative(FILE_ROOT, req.file.path);
-    const ins = `
-      INSERT INTO documents (owner_user_id, file_name, file_path, mime_type, file_size_bytes)
-      VALUES ($1,$2,$3,$4,$5)
-      RETURNING *
-    `;
-    const { rows } = await pool.query(ins, [
-      req.user.user_id,
-      req.file.originalname,
-      diskRelPath,
-      req.file.mimetype || mime.lookup(req.file.originalname) || null,
-      req.file.size || null,
-    ]);
+    const folderId = req.body?.folder_id || null;
+    if (folderId && !(await ownedFolder(req.user.user_id, folderId))) {
+      await fsp.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: "Folder not found" });
+    }
+    const { tags, error: tagError } = normalizeTags(req.body?.tags || "");
+    if (tagError) {
+      await fsp.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: tagError });
+    }
+
+    storageKey = await storeUpload(req.file, req.user.user_id);
+    const saved = await createDocument(req.user.user_id, {
+      file_name: req.file.originalname,
+      file_path: storageKey,
+      mime_type: req.file.mimetype || mime.lookup(req.file.originalname) || null,
+      file_size_bytes: req.file.size || null,
+    }, { folderId, tags });
 
-    const saved = rows[0];
     const preview_strategy = decidePreviewStrategy({ mime: saved.mime_type, file_name: saved.file_name });
     res.status(201).json({ ...saved, preview_strategy });
   } catch (err) {
+    // Don't leave staged or stored bytes behind without a documents row
+    if (storageKey) await storage.remove(storageKey).catch(() => {});
+    else if (req.file?.path) await fsp.unlink(req.file.path).catch(() => {});
     console.error("DOC_UPLOAD_ERROR:", err);
     res.status(500).json({ error: err.message || "Server error" });
   }
 });
 
+/** 🏷 Replace a document's tags (owner only); body { tags: ["a", "b"] | "a,b" } */
+router.put("/:document_id/tags", auth, async (req, res) => {
+  try {
+    const { tags, error } = normalizeTags(req.body?.tags ?? []);
+    if (error) return res.status(400).json({ error });
+
+    const upd = await pool.query(
+      `UPDATE documents SET tags = $3 WHERE document_id = $1 AND owner_user_id = $2 RETURNING document_id, tags`,
+      [req.params.document_id, req.user.user_id, tags]
+    );
+    if (!upd.rowCount) return res.status(404).json({ error: "Document not found" });
+    res.json(upd.rows[0]);
+  } catch (err) {
+    console.error("DOC_TAGS_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 🔎 Content index status of a document (owner only) */
+router.get("/:document_id/content-status", auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT d.document_id, d.current_version_no,
+              dc.version_no AS indexed_version_no, dc.status, dc.error, dc.indexed_at,
+              length(dc.content) AS content_chars
+         FROM documents d
+         LEFT JOIN document_contents dc ON dc.document_id = d.document_id
+        WHERE d.document_id = $1 AND d.owner_user_id = $2
+        LIMIT 1`,
+      [req.params.document_id, req.user.user_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Document not found" });
+
+    const r = rows[0];
+    // No row yet, or an older version indexed: the current version is still queued
+    const status = !r.status || r.indexed_version_no < r.current_version_no ? "pending" : r.status;
+    res.json({ ...r, status });
+  } catch (err) {
+    console.error("DOC_CONTENT_STATUS_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 🔁 Queue the document for re-indexing (owner only), e.g. after installing a converter */
+router.post("/:document_id/reindex", auth, async (req, res) => {
+  try {
+    const own = await pool.query(
+      `SELECT 1 FROM documents WHERE document_id = $1 AND owner_user_id = $2 LIMIT 1`,
+      [req.params.document_id, req.user.user_id]
+    );
+    if (!own.rowCount) return res.status(404).json({ error: "Document not found" });
+
+    queueContentIndex(req.params.document_id);
+    res.status(202).json({ success: true, document_id: req.params.document_id, status: "pending" });
+  } catch (err) {
+    console.error("DOC_REINDEX_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 📂 Move documents into a folder (owner only); body { document_ids: [], folder_id: <uuid>|null } */
+router.post("/move", auth, async (req, res) => {
+  try {
+    const ids = Array.isArray(req.body?.document_ids) ? [...new Set(req.body.document_ids.map(String))] : [];
+    if (!ids.length) return res.status(400).json({ error: "document_ids required" });
+    if (!ids.every(isUuid)) return res.status(400).json({ error: "Invalid document_id" });
+
+    const folderId = req.body?.folder_id || null;
+    if (folderId && !(await ownedFolder(req.user.user_id, folderId))) {
+      return res.status(404).json({ error: "Folder not found" });
+    }
+
+    const moved = await moveDocuments(req.user.user_id, ids, folderId);
+    const movedSet = new Set(moved.map(String));
+    res.json({ success: true, folder_id: folderId, moved, not_found: ids.filter((id) => !movedSet.has(id)) });
+  } catch (err) {
+    console.error("DOC_MOVE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 📂 Move one document into a folder (owner only); body { folder_id: <uuid>|null } */
+router.patch("/:document_id/folder", auth, async (req, res) => {
+  try {
+    const folderId = req.body?.folder_id || null;
+    if (folderId && !(await ownedFolder(req.user.user_id, folderId))) {
+      return res.status(404).json({ error: "Folder not found" });
+    }
+
+    const moved = await moveDocuments(req.user.user_id, [req.params.document_id], folderId);
+    if (!moved.length) return res.status(404).json({ error: "Document not found" });
+    res.json({ success: true, document_id: moved[0], folder_id: folderId });
+  } catch (err) {
+    console.error("DOC_FOLDER_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /** 🗑 Delete a document (owner only) */
 router.delete("/:document_id", auth, async (req, res) => {
   try {
@@ -245,10 +556,12 @@ router.delete("/:document_id", auth, async (req, res) => {
     );
     if (!d.rowCount) return res.status(404).json({ error: "Document not found" });
 
+    const keys = await documentStorageKeys(document_id);
     await pool.query(`DELETE FROM documents WHERE document_id=$1`, [document_id]);
 
-    const abs = path.join(FILE_ROOT, d.rows[0].file_path);
-    try { fs.unlinkSync(abs); } catch {}
+    for (const key of keys) {
+      await storage.remove(key).catch((e) => console.error("DOC_DELETE_STORAGE_ERROR:", e?.message || e));
+    }
 
     res.json({ success: true });
   } catch (err) {
@@ -257,7 +570,138 @@ router.delete("/:document_id", auth, async (req, res) => {
   }
 });
 
-/** 👁 View/Stream document (owner direct OR public/private via share) */
+/** 🗂 Upload a new version of an existing document (owner only) */
+router.post("/:document_id/versions", auth, upload.single("file"), async (req, res) => {
+  let storageKey = null;
+  try {
+    if (!req.file) return res.status(400).json({ error: "File required" });
+    const { document_id } = req.params;
+
+    storageKey = await storeUpload(req.file, req.user.user_id);
+    const version = await addDocumentVersion(
+      document_id,
+      req.user.user_id,
+      {
+        file_name: req.file.originalname,
+        file_path: storageKey,
+        mime_type: req.file.mimetype || mime.lookup(req.file.originalname) || null,
+        file_size_bytes: req.file.size || null,
+      },
+      { note: String(req.body?.note || "").trim().slice(0, 500) || null }
+    );
+    if (!version) {
+      await storage.remove(storageKey).catch(() => {});
+      return res.status(404).json({ error: "Document not found" });
+    }
+
+    const preview_strategy = decidePreviewStrategy({ mime: version.mime_type, file_name: version.file_name });
+    res.status(201).json({ ...version, preview_strategy });
+  } catch (err) {
+    if (storageKey) await storage.remove(storageKey).catch(() => {});
+    else if (req.file?.path) await fsp.unlink(req.file.path).catch(() => {});
+    console.error("DOC_VERSION_UPLOAD_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 🗂 Version history, newest first (owner only) */
+router.get("/:document_id/versions", auth, async (req, res) => {
+  try {
+    const { document_id } = req.params;
+    const d = await pool.query(
+      `SELECT current_version_no FROM documents WHERE document_id=$1 AND owner_user_id=$2 LIMIT 1`,
+      [document_id, req.user.user_id]
+    );
+    if (!d.rowCount) return res.status(404).json({ error: "Document not found" });
+
+    const { rows } = await pool.query(
+      `SELECT v.version_id, v.version_no, v.file_name, v.mime_type, v.file_size_bytes,
+              v.note, v.restored_from, v.created_at, v.uploaded_by,
+              (SELECT COUNT(*)::int FROM shares s WHERE s.pinned_version_id = v.version_id) AS pinned_shares
+         FROM document_versions v
+        WHERE v.document_id = $1
+        ORDER BY v.version_no DESC`,
+      [document_id]
+    );
+    res.json({
+      success: true,
+      current_version_no: d.rows[0].current_version_no,
+      total: rows.length,
+      versions: rows.map((v) => ({ ...v, is_current: v.version_no === d.rows[0].current_version_no })),
+    });
+  } catch (err) {
+    console.error("DOC_VERSION_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** ♻️ Restore an older version: it is re-added as the newest version, history is kept (owner only) */
+router.post("/:document_id/versions/:version_no/restore", auth, async (req, res) => {
+  try {
+    const { document_id } = req.params;
+    const versionNo = parseInt(req.params.version_no, 10);
+    if (!(versionNo > 0)) return res.status(400).json({ error: "Invalid version" });
+
+    const { rows } = await pool.query(
+      `SELECT v.*
+         FROM document_versions v
+         JOIN documents d ON d.document_id = v.document_id
+        WHERE v.document_id=$1 AND v.version_no=$2 AND d.owner_user_id=$3
+        LIMIT 1`,
+      [document_id, versionNo, req.user.user_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Version not found" });
+    const old = rows[0];
+
+    const version = await addDocumentVersion(document_id, req.user.user_id, old, {
+      note: `Restored from version ${old.version_no}`,
+      restoredFrom: old.version_no,
+    });
+    if (!version) return res.status(404).json({ error: "Document not found" });
+    res.status(201).json(version);
+  } catch (err) {
+    console.error("DOC_VERSION_RESTORE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 📜 Access log for a document and all of its shares (owner only) */
+router.get("/:document_id/activity", auth, async (req, res) => {
+  try {
+    const { document_id } = req.params;
+    const own = await pool.query(
+      `SELECT 1 FROM documents WHERE document_id=$1 AND owner_user_id=$2 LIMIT 1`,
+      [document_id, req.user.user_id]
+    );
+    if (!own.rowCount) return res.status(404).json({ error: "Document not found" });
+
+    await sendActivity(req, res, { documentId: document_id }, `document-${document_id}`);
+  } catch (err) {
+    console.error("DOC_ACTIVITY_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 📊 Usage summary + time series for a document across all shares (owner only) */
+router.get("/:document_id/analytics", auth, async (req, res) => {
+  try {
+    const { document_id } = req.params;
+    const own = await pool.query(
+      `SELECT document_id, file_name, created_at FROM documents WHERE document_id=$1 AND owner_user_id=$2 LIMIT 1`,
+      [document_id, req.user.user_id]
+    );
+    if (!own.rowCount) return res.status(404).json({ error: "Document not found" });
+
+    const { summary, error } = await accessSummary({ documentId: document_id }, req.query);
+    if (error) return res.status(400).json({ error });
+    res.json({ success: true, document: own.rows[0], ...summary });
+  } catch (err) {
+    console.error("DOC_ANALYTICS_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/** 👁 View/Stream document (owner direct OR public/private via share); ?version=N; watermarked per share */
 router.get("/view/:document_id", optionalAuth, async (req, res) => {
   try {
     const { document_id } = req.params;
@@ -269,28 +713,54 @@ router.get("/view/:document_id", optionalAuth, async (req, res) => {
     let access = await resolveAccess(req, document_id);
 
     // Explicit owner allow if logged-in and owns
-    if (!access.mode && req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id)) {
-      access = { mode: "owner", viewOnly: false };
+    const isOwner = !!req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id);
+    if (!access.mode && isOwner) {
+      access = { mode: "owner", viewOnly: false, permissions: OWNER_PERMISSIONS };
     }
 
-    if (!access.mode) return res.status(403).json({ error: "Not authorized to view this document" });
+    if (!access.mode) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "view" });
+      return res.status(403).json({ error: "Not authorized to view this document" });
+    }
+    if (!access.permissions.view) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "view", reason: "view_not_permitted" });
+      return res.status(403).json({ error: "This share does not allow viewing" });
+    }
 
-    const doc = d.rows[0];
-    const abs = path.join(FILE_ROOT, doc.file_path);
-    if (!fs.existsSync(abs)) return res.status(404).json({ error: "File missing on server" });
+    const { version, status, error } = await resolveVersion(d.rows[0], access, req.query.version);
+    if (error) return res.status(status).json({ error });
+
+    const mimeType = version.mime_type || mime.lookup(version.file_name) || "application/octet-stream";
+    // Rendered before anything is spent, so a file that cannot be watermarked costs no view
+    const wm = await shareRendition(version, mimeType, access, isOwner);
+    if (wm?.error) return res.status(wm.status).json({ error: wm.error });
+    const ranged = await isRangeTransfer(req, version, !!wm);
+    if (ranged === null) return res.status(404).json({ error: "File missing on server" });
+    if (!(await spendAllowance(req, access, "view", isOwner, document_id, ranged))) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "view", reason: "view_limit_reached" });
+      return res.status(403).json({ error: "View limit reached for this share" });
+    }
 
-    const mimeType = doc.mime_type || mime.lookup(abs) || "application/octet-stream";
-    res.setHeader("Cache-Control", "public, max-age=3600");
     res.setHeader("X-Content-Type-Options", "nosniff");
 
-    streamFileWithRange(res, abs, mimeType, cdInline(doc.file_name), req.headers.range);
+    if (wm) {
+      const served = sendRendered(res, wm, cdInline(version.file_name));
+      auditAccess(req, { document_id, access, action: "document_view", served, version_no: version.version_no });
+      return;
+    }
+
+    // Shared content has limits and can be revoked or burned: never let a shared cache replay it
+    res.setHeader("Cache-Control", access.share ? "private, no-store" : "public, max-age=3600");
+    const served = await streamFileWithRange(res, version.file_path, mimeType, cdInline(version.file_name), req.headers.range);
+    if (!served) return res.status(404).json({ error: "File missing on server" });
+    auditAccess(req, { document_id, access, action: "document_view", served, version_no: version.version_no });
   } catch (err) {
     console.error("DOC_VIEW_ERROR:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
-/** 💾 Download (owner OR private verified; public shares are view-only) */
+/** 💾 Download (owner OR a share with the download permission; public shares are view-only); ?version=N */
 router.get("/download/:document_id", optionalAuth, async (req, res) => {
   try {
     const { document_id } = req.params;
@@ -301,25 +771,188 @@ router.get("/download/:document_id", optionalAuth, async (req, res) => {
     let access = await resolveAccess(req, document_id);
 
     // Owner can download without a share
-    if (!access.mode && req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id)) {
-      access = { mode: "owner", viewOnly: false };
+    const isOwner = !!req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id);
+    if (!access.mode && isOwner) {
+      access = { mode: "owner", viewOnly: false, permissions: OWNER_PERMISSIONS };
     }
 
-    if (!access.mode) return res.status(403).json({ error: "Not authorized to download" });
-    if (access.mode === "public") return res.status(403).json({ error: "Public shares are view-only" });
+    if (!access.mode) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "download" });
+      return res.status(403).json({ error: "Not authorized to download" });
+    }
+    if (!access.permissions.download) {
+      const publicShare = access.mode === "public";
+      auditAccess(req, {
+        document_id, access, action: "access_denied", attempt: "download",
+        reason: publicShare ? "view_only" : "download_not_permitted",
+      });
+      return res.status(403).json({ error: publicShare ? "Public shares are view-only" : "This share does not allow downloads" });
+    }
 
-    const doc = d.rows[0];
-    const abs = path.join(FILE_ROOT, doc.file_path);
-    if (!fs.existsSync(abs)) return res.status(404).json({ error: "File missing on server" });
+    const { version, status, error } = await resolveVersion(d.rows[0], access, req.query.version);
+    if (error) return res.status(status).json({ error });
+
+    const mimeType = version.mime_type || mime.lookup(version.file_name) || "application/octet-stream";
+    const wm = await shareRendition(version, mimeType, access, isOwner);
+    if (wm?.error) return res.status(wm.status).json({ error: wm.error });
+    const ranged = await isRangeTransfer(req, version, !!wm);
+    if (ranged === null) return res.status(404).json({ error: "File missing on server" });
+    if (!(await spendAllowance(req, access, "download", isOwner, document_id, ranged))) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "download", reason: "download_limit_reached" });
+      return res.status(403).json({ error: "Download limit reached for this share" });
+    }
+    if (!(await burnOnDownload(req, access, isOwner))) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "download", reason: "revoked" });
+      return res.status(403).json({ error: "This share has already been used" });
+    }
 
-    const mimeType = doc.mime_type || mime.lookup(abs) || "application/octet-stream";
     res.setHeader("X-Content-Type-Options", "nosniff");
 
-    streamFileWithRange(res, abs, mimeType, cdAttachment(doc.file_name), req.headers.range);
+    if (wm) {
+      const served = sendRendered(res, wm, cdAttachment(version.file_name));
+      auditAccess(req, { document_id, access, action: "document_download", served, version_no: version.version_no });
+      return;
+    }
+
+    if (access.share) res.setHeader("Cache-Control", "private, no-store");
+    const served = await streamFileWithRange(res, version.file_path, mimeType, cdAttachment(version.file_name), req.headers.range);
+    if (!served) return res.status(404).json({ error: "File missing on server" });
+    auditAccess(req, { document_id, access, action: "document_download", served, version_no: version.version_no });
   } catch (err) {
     console.error("DOC_DOWNLOAD_ERROR:", err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+/**
+ * 🖨 Print copy (owner OR a share with the print permission); ?version=N
+ * Always a PDF: PDFs as they are, images on a page of their own. Share viewers get it watermarked
+ * (the share's watermark, or the default one). Counts as a view of the share.
+ */
+router.get("/print/:document_id", optionalAuth, async (req, res) => {
+  try {
+    const { document_id } = req.params;
+
+    const d = await pool.query(`SELECT * FROM documents WHERE document_id=$1 LIMIT 1`, [document_id]);
+    if (!d.rowCount) return res.status(404).json({ error: "Document not found" });
+
+    let access = await resolveAccess(req, document_id);
+    const isOwner = !!req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id);
+    if (!access.mode && isOwner) {
+      access = { mode: "owner", viewOnly: false, permissions: OWNER_PERMISSIONS };
+    }
+
+    if (!access.mode) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "print" });
+      return res.status(403).json({ error: "Not authorized to print this document" });
+    }
+    if (!access.permissions.print) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "print", reason: "print_not_permitted" });
+      return res.status(403).json({ error: "This share does not allow printing" });
+    }
+
+    const { version, status, error } = await resolveVersion(d.rows[0], access, req.query.version);
+    if (error) return res.status(status).json({ error });
+
+    const mimeType = version.mime_type || mime.lookup(version.file_name) || "application/octet-stream";
+    if (!watermarkKind(mimeType, version.file_name)) {
+      return res.status(415).json({ error: "Only PDFs and images can be printed" });
+    }
+    const stat = await storage.stat(version.file_path);
+    if (!stat) return res.status(404).json({ error: "File missing on server" });
+    if (stat.size > WATERMARK_MAX_BYTES) return res.status(413).json({ error: "File too large to print" });
+
+    const wm = isOwner ? null : access.share?.watermark || parseWatermark(true).watermark;
+    let printed;
+    try {
+      printed = await renderPrintPdf(await storage.getBuffer(version.file_path), { mimeType, fileName: version.file_name }, wm, access);
+    } catch (err) {
+      console.error("PRINT_RENDER_ERROR:", version.version_id, err?.message || err);
+      return res.status(422).json({ error: "This file could not be prepared for printing" });
+    }
+
+    if (!(await spendAllowance(req, access, "view", isOwner, document_id, false))) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "print", reason: "view_limit_reached" });
+      return res.status(403).json({ error: "View limit reached for this share" });
+    }
+
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    const name = `${(version.file_name || "file").replace(/\.[^.]+$/, "")}.pdf`;
+    const served = sendRendered(res, { ...printed, watermarked: !!wm }, cdInline(name));
+    auditAccess(req, { document_id, access, action: "document_print", served, version_no: version.version_no });
+  } catch (err) {
+    console.error("DOC_PRINT_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * 🖼 Thumbnail of a document version; ?size=sm|md|lg (default md) ?version=N ?token=
+ * Same owner / share rules as /view (the view permission), without spending the allowance; watermarked
+ * shares get the thumbnail stamped like the file itself. Successful fetches are not logged (lists load many).
+ */
+router.get("/:document_id/thumbnail", optionalAuth, async (req, res) => {
+  try {
+    const { document_id } = req.params;
+    const size = String(req.query.size || "md").toLowerCase();
+    if (!THUMBNAIL_SIZES[size]) {
+      return res.status(400).json({ error: `size must be one of ${Object.keys(THUMBNAIL_SIZES).join(", ")}` });
+    }
+
+    const d = await pool.query(`SELECT * FROM documents WHERE document_id=$1 LIMIT 1`, [document_id]);
+    if (!d.rowCount) return res.status(404).json({ error: "Document not found" });
+
+    let access = await resolveAccess(req, document_id);
+    if (!access.mode && req.user && String(req.user.user_id) === String(d.rows[0].owner_user_id)) {
+      access = { mode: "owner", viewOnly: false, permissions: OWNER_PERMISSIONS };
+    }
+    if (!access.mode) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "thumbnail" });
+      return res.status(403).json({ error: "Not authorized to view this document" });
+    }
+    if (!access.permissions.view) {
+      auditAccess(req, { document_id, access, action: "access_denied", attempt: "thumbnail", reason: "view_not_permitted" });
+      return res.status(403).json({ error: "This share does not allow viewing" });
+    }
+
+    const { version, status, error } = await resolveVersion(d.rows[0], access, req.query.version);
+    if (error) return res.status(status).json({ error });
+
+    const t = await pool.query(
+      `SELECT file_path, mime_type FROM document_thumbnails WHERE version_id=$1 AND size=$2 LIMIT 1`,
+      [version.version_id, size]
+    );
+    if (!t.rowCount) {
+      return res.status(404).json({
+        error: "Thumbnail not available",
+        thumbnail_status: version.thumbnail_status || "pending",
+      });
+    }
+
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    const name = `${version.file_name || "file"}-${size}.webp`;
+
+    if (access.share?.watermark && access.mode !== "owner") {
+      let stamped = null;
+      try {
+        const buf = await storage.getBuffer(t.rows[0].file_path);
+        stamped = await renderWatermarked(buf, { mimeType: t.rows[0].mime_type, fileName: name }, access.share.watermark, access);
+      } catch (err) {
+        console.error("THUMBNAIL_WATERMARK_ERROR:", version.version_id, err?.message || err);
+      }
+      if (!stamped) return res.status(422).json({ error: "This thumbnail could not be watermarked" });
+      sendRendered(res, stamped, cdInline(name));
+      return;
+    }
+
+    // Thumbnails of a version never change
+    res.setHeader("Cache-Control", "private, max-age=86400");
+    const served = await streamFileWithRange(res, t.rows[0].file_path, t.rows[0].mime_type, cdInline(name), null);
+    if (!served) return res.status(404).json({ error: "Thumbnail not available", thumbnail_status: "failed" });
+  } catch (err) {
+    console.error("DOC_THUMBNAIL_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 export default router;
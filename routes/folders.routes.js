@@ -0,0 +1,310 @@
+// routes/folders.routes.js
+import { Router } from "express";
+import { pool } from "../db/db.js";
+import { auth } from "../middleware/auth.js";
+import { storage } from "../utils/storage/index.js";
+import { documentStorageKeys } from "../utils/documents.js";
+import { logAccess, clientContext } from "../utils/accessLogs.js";
+import { shareByToken, checkShareAccess } from "../utils/shareAccess.js";
+import { parseContentSearchQuery, searchFolderShareContent } from "../utils/contentIndex.js";
+import {
+  isUuid,
+  cleanFolderName,
+  ownedFolder,
+  isWithinFolder,
+  folderPath,
+  folderContents,
+  isDuplicateFolderName,
+} from "../utils/folders.js";
+
+const router = Router();
+
+const FOLDER_COLS = `folder_id, owner_user_id, parent_id, name, created_at, updated_at`;
+
+/* -------------------------------- Listing ------------------------------- */
+// GET /folders  (every folder I own, flat; clients build the tree from parent_id)
+router.get("/", auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT f.folder_id, f.parent_id, f.name, f.created_at, f.updated_at,
+              (SELECT COUNT(*)::int FROM documents d WHERE d.folder_id = f.folder_id) AS document_count
+         FROM folders f
+        WHERE f.owner_user_id = $1
+        ORDER BY LOWER(f.name)`,
+      [req.user.user_id]
+    );
+    res.json({ success: true, total: rows.length, folders: rows });
+  } catch (err) {
+    console.error("FOLDER_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /folders/shared/:token?folder_id=  (scan of a folder share; same public/private + OTP rules as documents)
+router.get("/shared/:token", async (req, res) => {
+  try {
+    const share = await shareByToken(String(req.params.token || "").trim());
+    if (!share || !share.folder_id) return res.status(404).json({ error: "Share not found" });
+
+    const access = await checkShareAccess(req, share);
+    const ctx = clientContext(req);
+    if (!access.mode) {
+      logAccess({
+        share_id: share.share_id,
+        document_id: null,
+        action: "access_denied",
+        meta: { mode: null, ...ctx, attempt: "list", reason: access.reason, folder_id: share.folder_id },
+      });
+      return res.status(403).json({ error: "Not authorized for this folder", reason: access.reason });
+    }
+
+    // Browsing below the shared folder is allowed, never above it
+    const folderId = req.query.folder_id ? String(req.query.folder_id) : share.folder_id;
+    if (!isUuid(folderId) || !(await isWithinFolder(folderId, share.folder_id))) {
+      return res.status(404).json({ error: "Folder not found in this share" });
+    }
+
+    const [path, contents] = await Promise.all([
+      folderPath(folderId, share.folder_id),
+      folderContents(share.from_user_id, folderId),
+    ]);
+    logAccess({
+      share_id: share.share_id,
+      document_id: null,
+      viewer_user_id: access.userId || null,
+      action: "folder_view",
+      meta: { mode: access.mode, ...ctx, folder_id: folderId },
+    });
+
+    res.json({
+      share_id: share.share_id,
+      access: share.access,
+      view_only: !access.permissions.download,
+      permissions: access.permissions,
+      folder: path[path.length - 1] || null,
+      path,
+      folders: contents.folders.map(({ folder_id, name, folder_count, document_count }) => ({
+        folder_id, name, folder_count, document_count,
+      })),
+      documents: contents.documents.map(({ document_id, file_name, mime_type, file_size_bytes, created_at, thumbnail_status }) => ({
+        document_id, file_name, mime_type, file_size_bytes, created_at, thumbnail_status,
+      })),
+    });
+  } catch (err) {
+    console.error("FOLDER_SHARED_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /folders/shared/:token/search?q=&limit=&offset=  (content search across the whole shared subtree)
+router.get("/shared/:token/search", async (req, res) => {
+  try {
+    const share = await shareByToken(String(req.params.token || "").trim());
+    if (!share || !share.folder_id) return res.status(404).json({ error: "Share not found" });
+
+    const { opts, error } = parseContentSearchQuery(req.query);
+    if (error) return res.status(400).json({ error });
+
+    // Snippets show the text itself, so searching needs the view permission
+    const access = await checkShareAccess(req, share);
+    if (!access.mode || !access.permissions.view) {
+      const reason = access.reason || "view_not_permitted";
+      logAccess({
+        share_id: share.share_id,
+        document_id: null,
+        action: "access_denied",
+        meta: { mode: access.mode, ...clientContext(req), attempt: "search", reason, folder_id: share.folder_id },
+      });
+      return res.status(403).json({ error: "Not authorized for this folder", reason });
+    }
+
+    const { total, results } = await searchFolderShareContent(share, opts);
+    res.json({
+      success: true,
+      share_id: share.share_id,
+      q: opts.q,
+      total,
+      limit: opts.limit,
+      offset: opts.offset,
+      results: results.map(({ document_id, folder_id, file_name, mime_type, file_size_bytes, rank, snippet_html }) => ({
+        document_id, folder_id, file_name, mime_type, file_size_bytes, rank, snippet_html,
+      })),
+    });
+  } catch (err) {
+    console.error("FOLDER_SHARED_SEARCH_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /folders/:folder_id  (folder_id "root" = top level)
+router.get("/:folder_id", auth, async (req, res) => {
+  try {
+    const { folder_id } = req.params;
+    let folder = null;
+    if (folder_id !== "root") {
+      folder = await ownedFolder(req.user.user_id, folder_id);
+      if (!folder) return res.status(404).json({ error: "Folder not found" });
+    }
+
+    const [path, contents] = await Promise.all([
+      folder ? folderPath(folder.folder_id) : [],
+      folderContents(req.user.user_id, folder?.folder_id || null),
+    ]);
+    res.json({ success: true, folder, path, ...contents });
+  } catch (err) {
+    console.error("FOLDER_GET_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------ Create / Edit --------------------------- */
+// POST /folders  { name, parent_id? }
+router.post("/", auth, async (req, res) => {
+  try {
+    const name = cleanFolderName(req.body?.name);
+    if (!name) return res.status(400).json({ error: "name required" });
+
+    const parentId = req.body?.parent_id || null;
+    if (parentId && !(await ownedFolder(req.user.user_id, parentId))) {
+      return res.status(404).json({ error: "Parent folder not found" });
+    }
+
+    const { rows } = await pool.query(
+      `INSERT INTO folders (owner_user_id, parent_id, name) VALUES ($1, $2, $3) RETURNING ${FOLDER_COLS}`,
+      [req.user.user_id, parentId, name]
+    );
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    if (isDuplicateFolderName(err)) return res.status(409).json({ error: "A folder with that name already exists here" });
+    console.error("FOLDER_CREATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// PATCH /folders/:folder_id  { name?, parent_id? }  (rename and/or move; parent_id null = top level)
+router.patch("/:folder_id", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { folder_id } = req.params;
+    const body = req.body || {};
+    const sets = [];
+    const args = [folder_id, req.user.user_id];
+
+    if (body.name !== undefined) {
+      const name = cleanFolderName(body.name);
+      if (!name) return res.status(400).json({ error: "name required" });
+      args.push(name);
+      sets.push(`name = $${args.length}`);
+    }
+
+    await client.query("BEGIN");
+    const folder = await ownedFolder(req.user.user_id, folder_id, client);
+    if (!folder) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Folder not found" });
+    }
+
+    if (body.parent_id !== undefined) {
+      const parentId = body.parent_id || null;
+      if (parentId) {
+        if (!(await ownedFolder(req.user.user_id, parentId, client))) {
+          await client.query("ROLLBACK");
+          return res.status(404).json({ error: "Parent folder not found" });
+        }
+        // A folder cannot be moved into itself or one of its own subfolders
+        if (await isWithinFolder(parentId, folder_id, client)) {
+          await client.query("ROLLBACK");
+          return res.status(400).json({ error: "Cannot move a folder into itself" });
+        }
+      }
+      args.push(parentId);
+      sets.push(`parent_id = $${args.length}`);
+    }
+
+    if (!sets.length) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    const { rows } = await client.query(
+      `UPDATE folders SET ${sets.join(", ")}, updated_at = now()
+        WHERE folder_id = $1 AND owner_user_id = $2
+        RETURNING ${FOLDER_COLS}`,
+      args
+    );
+    await client.query("COMMIT");
+    res.json(rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (isDuplicateFolderName(err)) return res.status(409).json({ error: "A folder with that name already exists here" });
+    console.error("FOLDER_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+/* -------------------------------- Delete -------------------------------- */
+/**
+ * DELETE /folders/:folder_id
+ * Default: the folder's documents and subfolders move up to its parent, then the folder is removed.
+ * ?recursive=true: the folder, every subfolder and every document inside them are deleted.
+ * Shares of the deleted folder(s) are removed with them.
+ */
+router.delete("/:folder_id", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { folder_id } = req.params;
+    const recursive = req.query.recursive === "true" || req.query.recursive === "1";
+
+    await client.query("BEGIN");
+    const folder = await ownedFolder(req.user.user_id, folder_id, client);
+    if (!folder) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Folder not found" });
+    }
+
+    let keys = [];
+    let deletedDocuments = 0;
+    if (recursive) {
+      const docs = await client.query(
+        `WITH RECURSIVE tree AS (
+           SELECT folder_id FROM folders WHERE folder_id = $1
+           UNION ALL
+           SELECT f.folder_id FROM folders f JOIN tree t ON f.parent_id = t.folder_id
+         )
+         SELECT d.document_id FROM documents d JOIN tree t ON t.folder_id = d.folder_id`,
+        [folder_id]
+      );
+      for (const { document_id } of docs.rows) keys.push(...(await documentStorageKeys(document_id)));
+      const del = await client.query(
+        `DELETE FROM documents WHERE document_id = ANY($1::uuid[])`,
+        [docs.rows.map((r) => r.document_id)]
+      );
+      deletedDocuments = del.rowCount;
+    } else {
+      await client.query(`UPDATE documents SET folder_id = $2 WHERE folder_id = $1`, [folder_id, folder.parent_id]);
+      await client.query(`UPDATE folders SET parent_id = $2, updated_at = now() WHERE parent_id = $1`, [folder_id, folder.parent_id]);
+    }
+
+    // Subfolders (recursive mode) and folder shares cascade
+    await client.query(`DELETE FROM folders WHERE folder_id = $1`, [folder_id]);
+    await client.query("COMMIT");
+
+    for (const key of keys) {
+      await storage.remove(key).catch((e) => console.error("FOLDER_DELETE_STORAGE_ERROR:", e?.message || e));
+    }
+    res.json({ success: true, recursive, deleted_documents: deletedDocuments });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (isDuplicateFolderName(err)) {
+      return res.status(409).json({ error: "A subfolder name clashes with a folder in the parent; rename it first" });
+    }
+    console.error("FOLDER_DELETE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+export default router;
@@ -0,0 +1,74 @@
+// routes/jobs.routes.js
+import { Router } from "express";
+import { pool } from "../db/db.js";
+import { auth } from "../middleware/auth.js";
+import { isUuid } from "../utils/folders.js";
+import { JOB_STATUSES, jobView, cancelJob } from "../utils/jobs.js";
+
+const router = Router();
+
+/** The caller's own job; jobs without an owner are internal and never exposed */
+async function visibleJob(req) {
+  if (!isUuid(req.params.job_id)) return null;
+  const { rows } = await pool.query(`SELECT * FROM jobs WHERE job_id = $1 AND user_id = $2 LIMIT 1`, [
+    req.params.job_id,
+    req.user.user_id,
+  ]);
+  return rows[0] || null;
+}
+
+// GET /jobs?status=queued,running&type=convert&limit=  (my recent jobs, newest first)
+router.get("/", auth, async (req, res) => {
+  try {
+    const statuses = String(req.query.status || "").split(",").map((s) => s.trim()).filter(Boolean);
+    if (statuses.some((s) => !JOB_STATUSES.includes(s))) {
+      return res.status(400).json({ error: `status must be one of ${JOB_STATUSES.join(", ")}` });
+    }
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+
+    const { rows } = await pool.query(
+      `SELECT * FROM jobs
+        WHERE user_id = $1
+          AND (cardinality($2::text[]) = 0 OR status = ANY($2::text[]))
+          AND ($3::text IS NULL OR type = $3)
+        ORDER BY created_at DESC
+        LIMIT $4`,
+      [req.user.user_id, statuses, req.query.type ? String(req.query.type) : null, limit]
+    );
+    res.json({ success: true, jobs: rows.map(jobView) });
+  } catch (err) {
+    console.error("JOBS_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /jobs/:job_id  (status, progress, result or error)
+router.get("/:job_id", auth, async (req, res) => {
+  try {
+    const job = await visibleJob(req);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    res.json(jobView(job));
+  } catch (err) {
+    console.error("JOB_GET_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /jobs/:job_id/cancel  (queued jobs stop at once; running ones within a poll interval)
+router.post("/:job_id/cancel", auth, async (req, res) => {
+  try {
+    const job = await visibleJob(req);
+    if (!job) return res.status(404).json({ error: "Job not found" });
+    if (["succeeded", "failed", "cancelled"].includes(job.status)) {
+      return res.status(409).json({ ...jobView(job), error: `Job already ${job.status}` });
+    }
+
+    const updated = await cancelJob(job.job_id);
+    res.status(updated.status === "cancelled" ? 200 : 202).json(jobView(updated));
+  } catch (err) {
+    console.error("JOB_CANCEL_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
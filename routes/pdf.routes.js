@@ -0,0 +1,126 @@
+// routes/pdf.routes.js
+// Page tools on the caller's PDF documents: merge, split, extract, rotate, reorder.
+// Work runs in the job queue: every POST answers 202 with a job id; poll GET /jobs/:job_id for the result.
+// Results are saved as new documents (save_as=document, default) or as a new version of the
+// (first) source document (save_as=version; not for split, which produces several files).
+import { Router } from "express";
+import { auth } from "../middleware/auth.js";
+import { ownedFolder, isUuid } from "../utils/folders.js";
+import { enqueueJob, jobView } from "../utils/jobs.js";
+import { ownedSource, isPdf } from "../utils/convert.js";
+import { PDF_PAGE_OPERATIONS, MAX_MERGE, ROTATIONS, parsePageSpec } from "../utils/pdfPages.js";
+
+const router = Router();
+
+/* ---- Option parsers: body -> { options } or { error } ---- */
+const pageSpecError = (field) => `${field} must look like "1,3,5-7" or "9-" (page numbers start at 1)`;
+
+function mergeOptions() {
+  return { options: {} };
+}
+
+function splitOptions(body) {
+  const ranges = Array.isArray(body.ranges) ? body.ranges.map(String) : String(body.ranges || "").split(";");
+  const parts = ranges.map((r) => r.trim()).filter(Boolean);
+  if (parts.length < 1) return { error: 'ranges required, e.g. ["1-3","4-"] or "1-3;4-"' };
+  if (parts.length > 100) return { error: "At most 100 parts per split" };
+  if (parts.some((r) => !parsePageSpec(r))) return { error: pageSpecError("each range") };
+  return { options: { ranges: parts } };
+}
+
+function extractOptions(body) {
+  if (!parsePageSpec(body.pages)) return { error: pageSpecError("pages") };
+  return { options: { pages: String(body.pages) } };
+}
+
+function rotateOptions(body) {
+  const angle = ((Number(body.angle) % 360) + 360) % 360;
+  if (!ROTATIONS.includes(angle)) return { error: "angle must be 90, 180, 270 (or -90)" };
+  if (body.pages !== undefined && body.pages !== "" && !parsePageSpec(body.pages)) {
+    return { error: pageSpecError("pages") };
+  }
+  return { options: { angle, pages: body.pages ? String(body.pages) : null } };
+}
+
+function reorderOptions(body) {
+  if (!parsePageSpec(body.order)) return { error: pageSpecError("order") };
+  return { options: { order: String(body.order) } };
+}
+
+/** Validate sources and options, queue a "pdf-pages" job */
+function pageTool(operation, errorLabel, parseOptions) {
+  const op = PDF_PAGE_OPERATIONS[operation];
+  return async (req, res) => {
+    try {
+      const body = req.body || {};
+      const saveAs = String(body.save_as || "document").toLowerCase();
+      if (!["document", "version"].includes(saveAs)) {
+        return res.status(400).json({ error: "save_as must be document or version" });
+      }
+      if (saveAs === "version" && op.multiOutput) {
+        return res.status(400).json({ error: "This operation produces several files; use save_as=document" });
+      }
+
+      // merge: document_ids [..]; everything else: document_id (+ version)
+      let refs;
+      if (op.multiSource) {
+        const ids = Array.isArray(body.document_ids) ? body.document_ids.map(String) : [];
+        if (ids.length < 2 || ids.length > MAX_MERGE) {
+          return res.status(400).json({ error: `document_ids must list 2 to ${MAX_MERGE} PDF documents` });
+        }
+        refs = ids.map((id) => ({ id, version: null }));
+      } else {
+        if (!body.document_id) return res.status(400).json({ error: "document_id required" });
+        const versionNo = body.version === undefined || body.version === "" ? null : parseInt(body.version, 10);
+        if (versionNo !== null && !(versionNo > 0)) return res.status(400).json({ error: "Invalid version" });
+        refs = [{ id: String(body.document_id), version: versionNo }];
+      }
+
+      const sources = [];
+      for (const ref of refs) {
+        const src = isUuid(ref.id) ? await ownedSource(req.user.user_id, ref.id, ref.version) : null;
+        if (!src) return res.status(404).json({ error: "Document not found", document_id: ref.id });
+        if (!isPdf(src.mime_type, src.file_name)) {
+          return res.status(400).json({ error: "Only PDF documents allowed", document_id: ref.id });
+        }
+        sources.push({ document_id: src.document_id, version_no: src.version_no });
+      }
+
+      const parsed = parseOptions(body);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const payload = { operation, sources, save_as: saveAs, options: parsed.options };
+      if (saveAs === "document" && body.folder_id !== undefined) {
+        const folderId = body.folder_id || null;
+        if (folderId && !(await ownedFolder(req.user.user_id, folderId))) {
+          return res.status(404).json({ error: "Folder not found" });
+        }
+        payload.folder_id = folderId;
+      }
+
+      const job = await enqueueJob({ type: "pdf-pages", userId: req.user.user_id, payload });
+      res.status(202).json({ success: true, ...jobView(job) });
+    } catch (e) {
+      console.error(errorLabel, e);
+      res.status(500).json({ error: "Could not queue PDF operation" });
+    }
+  };
+}
+
+/* -------------------------------- Routes -------------------------------- */
+// POST /pdf/merge     { document_ids: [id, id, ...], save_as?, folder_id? }  (pages in the order given)
+router.post("/merge", auth, pageTool("merge", "PDF_MERGE_ERROR", mergeOptions));
+
+// POST /pdf/split     { document_id, version?, ranges: ["1-3", "4-"] | "1-3;4-", folder_id? }  (one document per range)
+router.post("/split", auth, pageTool("split", "PDF_SPLIT_ERROR", splitOptions));
+
+// POST /pdf/extract   { document_id, version?, pages: "1,3,5-7", save_as?, folder_id? }
+router.post("/extract", auth, pageTool("extract", "PDF_EXTRACT_ERROR", extractOptions));
+
+// POST /pdf/rotate    { document_id, version?, angle: 90|180|270, pages? (default all), save_as?, folder_id? }
+router.post("/rotate", auth, pageTool("rotate", "PDF_ROTATE_ERROR", rotateOptions));
+
+// POST /pdf/reorder   { document_id, version?, order: "3,1,2,4-" (every page exactly once), save_as?, folder_id? }
+router.post("/reorder", auth, pageTool("reorder", "PDF_REORDER_ERROR", reorderOptions));
+
+export default router;
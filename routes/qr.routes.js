@@ -0,0 +1,234 @@
+// routes/qr.routes.js
+import { Router } from "express";
+import multer from "multer";
+import sharp from "sharp";
+import { pool } from "../db/db.js";
+import { auth } from "../middleware/auth.js";
+import { storage } from "../utils/storage/index.js";
+import { renderQr, isHexColor } from "../utils/qr.js";
+import { loadQrStyle, shareCaptionLines } from "../utils/qrStyle.js";
+
+const router = Router();
+
+/* ------------------------------- Config -------------------------------- */
+const MAX_LOGO_BYTES = Number(process.env.MAX_QR_LOGO_BYTES || 2 * 1024 * 1024); // default 2MB
+
+const logoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_LOGO_BYTES },
+  fileFilter: (_req, file, cb) => {
+    if (!/^image\/(png|jpe?g|webp|svg\+xml)$/i.test(file.mimetype || "")) {
+      return cb(new Error("Logo must be PNG, JPG, WEBP or SVG"), false);
+    }
+    cb(null, true);
+  },
+});
+
+/* ------------------------------ Helpers -------------------------------- */
+const PRESET_COLS = `preset_id, user_id, name, fg_color, bg_color, rounded, show_caption,
+                     logo_path IS NOT NULL AS has_logo, is_default, created_at, updated_at`;
+
+/** Validate and normalize preset fields from a request body (only keys that are present) */
+function pickPresetFields(body = {}) {
+  const out = {};
+  if (body.name !== undefined) {
+    out.name = String(body.name || "").trim().slice(0, 80);
+    if (!out.name) return { error: "name required" };
+  }
+  for (const key of ["fg_color", "bg_color"]) {
+    if (body[key] === undefined) continue;
+    if (!isHexColor(body[key])) return { error: `${key} must be a #rrggbb colour` };
+    out[key] = String(body[key]).toLowerCase();
+  }
+  for (const key of ["rounded", "show_caption", "is_default"]) {
+    if (body[key] !== undefined) out[key] = body[key] === true || body[key] === "true";
+  }
+  return { fields: out };
+}
+
+/* -------------------------------- Presets ------------------------------ */
+// GET /qr/presets
+router.get("/presets", auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `SELECT ${PRESET_COLS} FROM qr_presets WHERE user_id = $1 ORDER BY is_default DESC, created_at DESC`,
+      [req.user.user_id]
+    );
+    res.json({ success: true, total: rows.length, presets: rows });
+  } catch (err) {
+    console.error("QR_PRESET_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /qr/presets  { name, fg_color?, bg_color?, rounded?, show_caption?, is_default? }
+router.post("/presets", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { fields, error } = pickPresetFields({ name: "", ...req.body });
+    if (error) return res.status(400).json({ error });
+
+    await client.query("BEGIN");
+    if (fields.is_default) {
+      await client.query(`UPDATE qr_presets SET is_default = FALSE WHERE user_id = $1`, [req.user.user_id]);
+    }
+    const { rows } = await client.query(
+      `INSERT INTO qr_presets (user_id, name, fg_color, bg_color, rounded, show_caption, is_default)
+       VALUES ($1, $2, COALESCE($3, '#000000'), COALESCE($4, '#ffffff'), COALESCE($5, FALSE), COALESCE($6, FALSE), COALESCE($7, FALSE))
+       RETURNING ${PRESET_COLS}`,
+      [
+        req.user.user_id,
+        fields.name,
+        fields.fg_color ?? null,
+        fields.bg_color ?? null,
+        fields.rounded ?? null,
+        fields.show_caption ?? null,
+        fields.is_default ?? null,
+      ]
+    );
+    await client.query("COMMIT");
+    res.status(201).json(rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("QR_PRESET_CREATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /qr/presets/:preset_id
+router.patch("/presets/:preset_id", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { preset_id } = req.params;
+    const { fields, error } = pickPresetFields(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const keys = Object.keys(fields);
+    if (!keys.length) return res.status(400).json({ error: "Nothing to update" });
+
+    await client.query("BEGIN");
+    if (fields.is_default) {
+      await client.query(
+        `UPDATE qr_presets SET is_default = FALSE WHERE user_id = $1 AND preset_id <> $2`,
+        [req.user.user_id, preset_id]
+      );
+    }
+    const sets = keys.map((k, i) => `${k} = $${i + 3}`).join(", ");
+    const upd = await client.query(
+      `UPDATE qr_presets SET ${sets}, updated_at = now()
+        WHERE preset_id = $1 AND user_id = $2
+        RETURNING ${PRESET_COLS}`,
+      [preset_id, req.user.user_id, ...keys.map((k) => fields[k])]
+    );
+    if (!upd.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Preset not found" });
+    }
+    await client.query("COMMIT");
+    res.json(upd.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("QR_PRESET_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /qr/presets/:preset_id
+router.delete("/presets/:preset_id", auth, async (req, res) => {
+  try {
+    const del = await pool.query(
+      `DELETE FROM qr_presets WHERE preset_id = $1 AND user_id = $2 RETURNING logo_path`,
+      [req.params.preset_id, req.user.user_id]
+    );
+    if (!del.rowCount) return res.status(404).json({ error: "Preset not found" });
+
+    const logoPath = del.rows[0].logo_path;
+    if (logoPath) await storage.remove(logoPath).catch(() => {});
+    res.json({ success: true });
+  } catch (err) {
+    console.error("QR_PRESET_DELETE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* --------------------------------- Logo -------------------------------- */
+// PUT /qr/presets/:preset_id/logo  (multipart: logo)
+router.put("/presets/:preset_id/logo", auth, logoUpload.single("logo"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: "logo file required" });
+    const { preset_id } = req.params;
+
+    const sel = await pool.query(
+      `SELECT 1 FROM qr_presets WHERE preset_id = $1 AND user_id = $2 LIMIT 1`,
+      [preset_id, req.user.user_id]
+    );
+    if (!sel.rowCount) return res.status(404).json({ error: "Preset not found" });
+
+    // Normalize to a square-bounded PNG so rendering never has to re-decode odd formats
+    const png = await sharp(req.file.buffer)
+      .resize(512, 512, { fit: "inside", withoutEnlargement: true })
+      .png()
+      .toBuffer();
+
+    const relPath = `${req.user.user_id}/qr-logos/${preset_id}.png`;
+    await storage.putBuffer(relPath, png, { contentType: "image/png" });
+
+    const { rows } = await pool.query(
+      `UPDATE qr_presets SET logo_path = $1, updated_at = now()
+        WHERE preset_id = $2 AND user_id = $3
+        RETURNING ${PRESET_COLS}`,
+      [relPath, preset_id, req.user.user_id]
+    );
+    res.json(rows[0]);
+  } catch (err) {
+    console.error("QR_PRESET_LOGO_ERROR:", err);
+    res.status(400).json({ error: err.message || "Cannot save logo" });
+  }
+});
+
+// DELETE /qr/presets/:preset_id/logo
+router.delete("/presets/:preset_id/logo", auth, async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE qr_presets p SET logo_path = NULL, updated_at = now()
+         FROM (SELECT preset_id, logo_path FROM qr_presets WHERE preset_id = $1 AND user_id = $2) old
+        WHERE p.preset_id = old.preset_id
+        RETURNING old.logo_path`,
+      [req.params.preset_id, req.user.user_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Preset not found" });
+    if (rows[0].logo_path) await storage.remove(rows[0].logo_path).catch(() => {});
+    res.json({ success: true });
+  } catch (err) {
+    console.error("QR_PRESET_LOGO_DELETE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------------- Preview ------------------------------- */
+// GET /qr/presets/:preset_id/preview?format=png|svg&size=320
+router.get("/presets/:preset_id/preview", auth, async (req, res) => {
+  try {
+    const style = await loadQrStyle(req.user.user_id, req.params.preset_id);
+    if (!style) return res.status(404).json({ error: "Preset not found" });
+
+    if (style.show_caption) {
+      style.caption_lines = shareCaptionLines({ file_name: "example.pdf", expiry_time: null });
+    }
+    const qr = await renderQr("https://example.com/share/preview", req.query, style);
+    if (String(req.query.format || "").toLowerCase() === "dataurl") {
+      return res.json({ preset_id: style.preset_id, data_url: qr.body });
+    }
+    res.setHeader("Content-Type", qr.contentType);
+    res.send(qr.body);
+  } catch (err) {
+    console.error("QR_PRESET_PREVIEW_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+export default router;
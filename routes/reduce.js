@@ -3,37 +3,24 @@ import express from "express";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import { pipeline } from "stream";
 import { fileURLToPath } from "url";
-import { promisify } from "util";
-import { execFile } from "child_process";
 import { pool } from "../db/db.js";
+import { auth } from "../middleware/auth.js";
+import { storage } from "../utils/storage/index.js";
+import { GS_BIN, hasGhostscript } from "../utils/tools.js";
+import { enqueueJob, jobView, stagedUploadKey } from "../utils/jobs.js";
+import { reducedKey, reductionKind, parseReduceOptions, RETENTION_DAYS } from "../utils/reduce.js";
 
-const execFileAsync = promisify(execFile);
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const router = express.Router();
 
 const TEMP_DIR = path.join(__dirname, "..", "uploads", "temp");
-const OUT_DIR  = path.join(__dirname, "..", "uploads", "reduced");
-for (const d of [TEMP_DIR, OUT_DIR]) if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
-
-const upload = multer({ dest: TEMP_DIR });
+if (!fs.existsSync(TEMP_DIR)) fs.mkdirSync(TEMP_DIR, { recursive: true });
 
 
-let GS_BIN = process.env.GS_BIN || "gs"; 
-
-if (process.platform === "win32" && !process.env.GS_BIN) {
+const upload = multer({ dest: TEMP_DIR });
 
-  GS_BIN = "gswin64c"; 
-}
-
-async function hasGhostscript() {
-  try {
-    await execFileAsync(GS_BIN, ["-v"]); 
-    return true;
-  } catch {
-    return false;
-  }
-}
 
 let GS_AVAILABLE = false;
 (async () => {
@@ -45,148 +32,200 @@ let GS_AVAILABLE = false;
   }
 })();
 
-async function compressPdf(input, output, preset = "/ebook") {
-  const args = [
-    "-sDEVICE=pdfwrite",
-    "-dCompatibilityLevel=1.4",
-    `-dPDFSETTINGS=${preset}`,   // /screen /ebook /printer /prepress
-    "-dDetectDuplicateImages=true",
-    "-dColorImageDownsampleType=/Average",
-    "-dColorImageResolution=110",
-    "-dGrayImageDownsampleType=/Average",
-    "-dGrayImageResolution=110",
-    "-dMonoImageDownsampleType=/Subsample",
-    "-dMonoImageResolution=300",
-    "-dCompressFonts=true",
-    "-dNOPAUSE",
-    "-dQUIET",
-    "-dBATCH",
-    `-sOutputFile=${output}`,
-    input,
-  ];
-  await execFileAsync(GS_BIN, args); 
-  if (!fs.existsSync(output)) throw new Error("Ghostscript did not produce output");
+/* ---- Helpers ---- */
+const savings = (orig, opt) => {
+  const saved = Number(orig || 0) - Number(opt || 0);
+  return { saving_bytes: saved, saving_percent: orig > 0 ? Math.round((saved / orig) * 100) : 0 };
+};
+
+/** Stream a stored file to the response; the storage stream is destroyed if the client goes away */
+function sendStored(res, stream) {
+  pipeline(stream, res, (err) => {
+    if (err && err.code !== "ERR_STREAM_PREMATURE_CLOSE") console.error("REDUCE_STREAM_ERROR:", err?.message || err);
+  });
 }
 
-
-router.post("/upload", upload.single("file"), async (req, res) => {
-  if (!GS_AVAILABLE) {
-
-    if (req.file?.path && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-    return res.status(501).json({
-      error: "Ghostscript not available on the server. Install Ghostscript or set GS_BIN.",
-      hint: process.platform === "win32"
-        ? "On Windows, install Ghostscript and set GS_BIN to the full path of gswin64c.exe or add it to PATH."
-        : "Install with apt-get/apk/brew or in your Docker image.",
-    });
+/** The caller's reduction, or sends 404 (not theirs / unknown) or 410 (expired) and resolves null */
+async function ownedReduction(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  const { rows } = await pool.query(
+    "SELECT *, expires_at < now() AS expired FROM size_reductions WHERE id=$1 AND user_id=$2",
+    [req.params.id, req.user.user_id]
+  );
+  if (!rows.length) {
+    res.status(404).json({ error: "Not found" });
+    return null;
+  }
+  if (rows[0].expired) {
+    res.status(410).json({ error: "This reduced file has expired" });
+    return null;
   }
+  return rows[0];
+}
 
-  const client = await pool.connect();
+// POST /api/reduce/upload  (multipart `file`: PDF, image or DOCX/PPTX/XLSX)
+//   fields: target_size? (bytes, "500KB", "2MB"), format? jpeg|webp|avif, quality? 1..100, max_dimension? px
+// Answers 202 with a job; poll GET /jobs/:job_id for the reduction
+router.post("/upload", auth, upload.single("file"), async (req, res) => {
+  let stagedKey = null;
   try {
-    const { user_id } = req.body;
     const file = req.file;
     if (!file) return res.status(400).json({ error: "No file uploaded" });
 
-    const ext = path.extname(file.originalname || "").toLowerCase();
-    if (ext !== ".pdf") {
-      fs.unlinkSync(file.path);
-      return res.status(400).json({ error: "Only PDF is supported in this endpoint" });
+    const kind = reductionKind(file.mimetype, file.originalname);
+    if (!kind) {
+      return res.status(400).json({
+        error: "Only PDF, images (JPG/PNG/WEBP/AVIF/TIFF/GIF) and Office files (DOCX/PPTX/XLSX) are supported",
+      });
     }
-
-    const inputPath = file.path;
-    const outName = `${Date.now()}-${file.originalname.replace(/[^\w.\-() ]+/g, "_")}`;
-    const outPath  = path.join(OUT_DIR, outName);
-
-  
-    await compressPdf(inputPath, outPath, "/ebook");
-    const origSize = file.size;
-    let newSize = fs.statSync(outPath).size;
-
-    if (newSize >= origSize) {
-     
-      await compressPdf(inputPath, outPath, "/screen");
-      newSize = fs.statSync(outPath).size;
+    if (kind === "pdf" && !GS_AVAILABLE) {
+      return res.status(501).json({
+        error: "Ghostscript not available on the server. Install Ghostscript or set GS_BIN.",
+        hint: process.platform === "win32"
+          ? "On Windows, install Ghostscript and set GS_BIN to the full path of gswin64c.exe or add it to PATH."
+          : "Install with apt-get/apk/brew or in your Docker image.",
+      });
     }
 
-    const { rows } = await client.query(
-      `INSERT INTO size_reductions
-       (user_id, original_filename, original_mime, original_size_bytes,
-        optimized_filename, optimized_mime, optimized_size_bytes,
-        method, status)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-       RETURNING *`,
-      [
-        user_id || null,
-        file.originalname,
-        file.mimetype || "application/pdf",
-        origSize,
-        outName,
-        "application/pdf",
-        newSize,
-        "ghostscript_pdf",
-        "success",
-      ]
-    );
-
-    fs.unlinkSync(inputPath);
-    return res.json({
-      ...rows[0],
-      saving_bytes: origSize - newSize,
-      saving_percent: origSize > 0 ? Math.round(((origSize - newSize) / origSize) * 100) : 0,
-      note: newSize < origSize
-        ? "Compressed"
-        : "No significant reduction (PDF may already be optimized).",
+    const parsed = parseReduceOptions(req.body || {});
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    // Reduction runs in the job queue; the upload waits in storage until the job is done
+    stagedKey = stagedUploadKey(file.originalname);
+    await storage.putFile(stagedKey, file.path, { contentType: file.mimetype });
+    const job = await enqueueJob({
+      type: "reduce",
+      userId: req.user.user_id,
+      payload: {
+        upload_key: stagedKey,
+        original_filename: file.originalname,
+        original_mime: file.mimetype || null,
+        original_size: file.size,
+        options: parsed.options,
+      },
     });
+    stagedKey = null;
+    return res.status(202).json({ success: true, kind, ...jobView(job) });
   } catch (err) {
-    console.error("PDF reduce error:", err);
-    if (req.file?.path && fs.existsSync(req.file.path)) fs.unlinkSync(req.file.path);
-    return res.status(500).json({ error: "Failed to compress PDF with Ghostscript." });
+    console.error("REDUCE_UPLOAD_ERROR:", err);
+    if (stagedKey) await storage.remove(stagedKey).catch(() => {});
+    return res.status(500).json({ error: "Failed to queue size reduction." });
   } finally {
-    client.release();
+    if (req.file?.path) await fs.promises.unlink(req.file.path).catch(() => {});
   }
 });
 
 
-router.get("/:id/preview", async (req, res) => {
+// GET /api/reduce/mine?limit=&offset=  (my reductions, newest first, with savings totals)
+router.get("/mine", auth, async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM size_reductions WHERE id=$1", [req.params.id]);
-    if (!rows.length) return res.status(404).json({ error: "Not found" });
-    const row = rows[0];
-    const fpath = path.join(OUT_DIR, row.optimized_filename);
-    if (!fs.existsSync(fpath)) return res.status(404).json({ error: "File missing" });
-    res.setHeader("Content-Type", "application/pdf");
-    fs.createReadStream(fpath).pipe(res);
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit, 10) || 20));
+    const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+    const [list, totals] = await Promise.all([
+      pool.query(
+        `SELECT id, original_filename, original_mime, original_size_bytes,
+                optimized_filename, optimized_mime, optimized_size_bytes,
+                method, status, target_size_bytes, created_at, expires_at
+           FROM size_reductions
+          WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > now())
+          ORDER BY created_at DESC, id DESC
+          LIMIT $2 OFFSET $3`,
+        [req.user.user_id, limit, offset]
+      ),
+      pool.query(
+        `SELECT COUNT(*)::int AS count,
+                COALESCE(SUM(original_size_bytes), 0)::bigint AS original_bytes,
+                COALESCE(SUM(optimized_size_bytes), 0)::bigint AS optimized_bytes
+           FROM size_reductions
+          WHERE user_id = $1 AND (expires_at IS NULL OR expires_at > now())`,
+        [req.user.user_id]
+      ),
+    ]);
+
+    const t = totals.rows[0];
+    const original = Number(t.original_bytes);
+    const optimized = Number(t.optimized_bytes);
+    const total = savings(original, optimized);
+    res.json({
+      success: true,
+      retention_days: RETENTION_DAYS > 0 ? RETENTION_DAYS : null,
+      totals: {
+        count: t.count,
+        original_bytes: original,
+        optimized_bytes: optimized,
+        saved_bytes: total.saving_bytes,
+        saved_percent: total.saving_percent,
+      },
+      reductions: list.rows.map((r) => ({
+        ...r,
+        ...savings(Number(r.original_size_bytes), Number(r.optimized_size_bytes)),
+        target_met: r.target_size_bytes == null ? null : Number(r.optimized_size_bytes) <= Number(r.target_size_bytes),
+        preview_url: `/api/reduce/${r.id}/preview`,
+        download_url: `/api/reduce/${r.id}/download`,
+      })),
+      limit,
+      offset,
+    });
   } catch (err) {
-    console.error(err);
+    console.error("REDUCE_HISTORY_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/reduce/:id/preview
+router.get("/:id/preview", auth, async (req, res) => {
+  try {
+    const row = await ownedReduction(req, res);
+    if (!row) return;
+    const key = reducedKey(row.optimized_filename);
+    const stat = await storage.stat(key);
+    if (!stat) return res.status(404).json({ error: "File missing" });
+    res.setHeader("Content-Type", row.optimized_mime || "application/pdf");
+    res.setHeader("Content-Length", String(stat.size));
+    sendStored(res, await storage.createReadStream(key));
+  } catch (err) {
+    console.error("REDUCE_PREVIEW_ERROR:", err);
     res.status(500).json({ error: "Preview failed" });
   }
 });
 
 
-router.get("/:id/download", async (req, res) => {
+// GET /api/reduce/:id/download
+router.get("/:id/download", auth, async (req, res) => {
   try {
-    const { rows } = await pool.query("SELECT * FROM size_reductions WHERE id=$1", [req.params.id]);
-    if (!rows.length) return res.status(404).json({ error: "Not found" });
-    const row = rows[0];
-    const fpath = path.join(OUT_DIR, row.optimized_filename);
-    if (!fs.existsSync(fpath)) return res.status(404).json({ error: "File missing" });
-    res.download(fpath, row.optimized_filename);
+    const row = await ownedReduction(req, res);
+    if (!row) return;
+    const key = reducedKey(row.optimized_filename);
+    const stat = await storage.stat(key);
+    if (!stat) return res.status(404).json({ error: "File missing" });
+    res.attachment(row.optimized_filename);
+    res.setHeader("Content-Type", row.optimized_mime || "application/pdf");
+    res.setHeader("Content-Length", String(stat.size));
+    sendStored(res, await storage.createReadStream(key));
   } catch (err) {
-    console.error(err);
+    console.error("REDUCE_DOWNLOAD_ERROR:", err);
     res.status(500).json({ error: "Download failed" });
   }
 });
 
 
-router.delete("/:id", async (req, res) => {
+// DELETE /api/reduce/:id  (owner only; expired rows can still be removed early)
+router.delete("/:id", auth, async (req, res) => {
   try {
-    const { rows } = await pool.query("DELETE FROM size_reductions WHERE id=$1 RETURNING *", [req.params.id]);
+    if (!/^\d+$/.test(req.params.id)) return res.status(404).json({ error: "Not found" });
+    const { rows } = await pool.query(
+      "DELETE FROM size_reductions WHERE id=$1 AND user_id=$2 RETURNING *",
+      [req.params.id, req.user.user_id]
+    );
     if (!rows.length) return res.status(404).json({ error: "Not found" });
-    const outFile = path.join(OUT_DIR, rows[0].optimized_filename);
-    if (fs.existsSync(outFile)) fs.unlinkSync(outFile);
+    await storage.remove(reducedKey(rows[0].optimized_filename));
     res.json({ success: true });
   } catch (err) {
-    console.error(err);
+    console.error("REDUCE_DELETE_ERROR:", err);
     res.status(500).json({ error: "Delete failed" });
   }
 });
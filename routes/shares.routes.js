@@ -2,62 +2,194 @@
 import 'dotenv/config';
 import { Router } from "express";
 import dayjs from "dayjs";
-import rateLimit from "express-rate-limit";
+import rateLimit, { ipKeyGenerator } from "express-rate-limit";
+import multer from "multer";
+import bcrypt from "bcryptjs";
 import { pool } from "../db/db.js";
 import { auth } from "../middleware/auth.js";
+import { optionalAuth } from "../middleware/optionalAuth.js";
 import { sendEmail } from "../utils/mailer.js";
+import { renderQr } from "../utils/qr.js";
+import { buildQrSheetPdf, parseSheetLayout } from "../utils/qrSheet.js";
+import { shareQrStyle } from "../utils/qrStyle.js";
+import {
+  buildShareUrl,
+  loadNotifyShare,
+  sendShareNotification,
+  queueShareNotifications,
+} from "../utils/shareNotify.js";
+import { BULK_MAX_RECIPIENTS, BULK_CSV_MAX_BYTES, recipientsFromCsv, recipientsFromBody } from "../utils/bulkShares.js";
+import { accessSummary, sendActivity, logAccess, clientContext } from "../utils/accessLogs.js";
+import {
+  issueShareGrant,
+  GRANT_TTL_MIN,
+  shareAllowance,
+  checkShareAccess,
+  parsePermissions,
+  sharePermissions,
+} from "../utils/shareAccess.js";
+import { isGuestShare, guestForEmail, findGuest, markGuestVerified } from "../utils/guests.js";
+import { ACCESS_REQUEST_MESSAGE_MAX, shareState, queueAccessRequestNotice } from "../utils/accessRequests.js";
+import { ownedFolder, isUuid } from "../utils/folders.js";
+import { previewStrategySql } from "../utils/preview.js";
+import { parseListQuery, runListQuery } from "../utils/listQuery.js";
+import { parseWatermark } from "../utils/watermark.js";
 
 const router = Router();
 
 /* ------------------------------- Config -------------------------------- */
-const APP_URL = (process.env.FRONTEND_URL || "https://qr-project-react.vercel.app/").replace(/\/$/, "");
 const OTP_TTL_MIN = Number(process.env.OTP_TTL_MIN || 10);
+const QR_SHEET_MAX = Number(process.env.QR_SHEET_MAX || 120);
+const PASSWORD_MAX_FAILS = Number(process.env.SHARE_PASSWORD_MAX_FAILS || 20); // per share, per 15 minutes
 
 /* ------------------------------ Helpers -------------------------------- */
-const buildShareUrl = (shareToken) => `${APP_URL}/share/${encodeURIComponent(shareToken)}`;
 const isFuture = (iso) => !!iso && dayjs(iso).isAfter(dayjs());
 const isEmail = (s) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(s || "").trim());
+/** max_views / max_downloads request value -> { value } (null = unlimited) or { error } */
+function parseShareLimit(input, field) {
+  if (input === undefined || input === null || input === "") return { value: null };
+  const n = Number(input);
+  if (!Number.isInteger(n) || n < 1 || n > 1_000_000) return { error: `${field} must be a whole number from 1 to 1000000` };
+  return { value: n };
+}
+/** Share row by share_id or share_token (recipient-side routes accept either, like /minimal) */
+async function shareByIdOrToken(idOrToken) {
+  const isId = /^[0-9a-f-]{36}$/i.test(idOrToken);
+  const { rows } = await pool.query(
+    `SELECT * FROM shares WHERE ${isId ? "share_id = $1::uuid" : "share_token = $1"} LIMIT 1`,
+    [idOrToken]
+  );
+  return rows[0] || null;
+}
+const passphraseError = (pw) =>
+  typeof pw !== "string" || pw.length < 6 || pw.length > 200 ? "password must be 6-200 characters" : null;
+
+/**
+ * Resolve a `pin_version` request value to a version_id.
+ * null/false/"latest" -> null (follow latest); true/"current" -> current version; N -> version N.
+ * Returns { versionId } or { error }.
+ */
+async function resolvePinnedVersion(documentId, pin) {
+  if (pin === undefined || pin === null || pin === false || pin === "" || pin === "latest") return { versionId: null };
+  const current = pin === true || pin === "current";
+  const no = current ? null : parseInt(pin, 10);
+  if (!current && !(no > 0)) return { error: "pin_version must be a version number, \"current\" or \"latest\"" };
+
+  const { rows } = await pool.query(
+    `SELECT v.version_id
+       FROM document_versions v
+       JOIN documents d ON d.document_id = v.document_id
+      WHERE v.document_id = $1 AND v.version_no = COALESCE($2, d.current_version_no)
+      LIMIT 1`,
+    [documentId, no]
+  );
+  if (!rows.length) return { error: "Version not found" };
+  return { versionId: rows[0].version_id };
+}
 
 /* --------------------------- Rate Limiters ------------------------------ */
 const otpSendLimiter = rateLimit({ windowMs: 10 * 60 * 1000, max: 30,  standardHeaders: true, legacyHeaders: false });
 const otpVerifyLimiter = rateLimit({ windowMs: 10 * 60 * 1000, max: 100, standardHeaders: true, legacyHeaders: false });
 const notifyLimiter   = rateLimit({ windowMs:  5 * 60 * 1000, max: 20,  standardHeaders: true, legacyHeaders: false });
+const bulkLimiter     = rateLimit({ windowMs: 10 * 60 * 1000, max: 10,  standardHeaders: true, legacyHeaders: false });
+const reshareLimiter  = rateLimit({ windowMs: 10 * 60 * 1000, max: 20,  standardHeaders: true, legacyHeaders: false });
+const accessRequestLimiter = rateLimit({ windowMs: 10 * 60 * 1000, max: 10, standardHeaders: true, legacyHeaders: false });
+// Per client and share; PASSWORD_MAX_FAILS also caps guesses on one share across all clients
+const passwordVerifyLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${ipKeyGenerator(req.ip || "")}:${req.params.share_id}`,
+});
 
 /* -------------------------------- Create ------------------------------- */
-// POST /shares  (idempotent)
-router.post("/", auth, async (req, res) => {
-  const client = await pool.connect();
-  try {
-    let { document_id, to_email = "", expiry_time = null, access = null } = req.body || {};
+const reply = (status, body) => ({ status, body });
 
-    document_id = String(document_id || "").trim();
+/**
+ * Create a share for `user`, or reuse an identical active one (idempotent; target is document_id OR folder_id).
+ * `input` is the POST /shares body. Resolves with { status, body } for the response
+ * (201 created, 200 reused, 4xx invalid input).
+ * Pass `db` (a client inside an open transaction) to insert as part of the caller's transaction.
+ */
+async function createShare(user, input, { db = null } = {}) {
+  const client = db || (await pool.connect());
+  // Own transaction, or a savepoint inside the caller's so a failed insert leaves it usable
+  const tx = db
+    ? { begin: "SAVEPOINT create_share", commit: "RELEASE SAVEPOINT create_share", rollback: "ROLLBACK TO SAVEPOINT create_share" }
+    : { begin: "BEGIN", commit: "COMMIT", rollback: "ROLLBACK" };
+  let pinnedVersionId = null;
+  let watermarkJson = null;
+  let attachOnRegister = true;
+  let permissionsJson = null;
+  try {
+    let {
+      document_id, folder_id, to_email = "", expiry_time = null, access = null, pin_version = null,
+      watermark = null, password = null, max_views = null, max_downloads = null, burn_after_reading = false,
+      attach_on_register = true, permissions = null,
+    } = input || {};
+
+    document_id = String(document_id || "").trim() || null;
+    folder_id = String(folder_id || "").trim() || null;
     to_email = String(to_email || "").trim();
     access = access ? String(access).toLowerCase() : null;
 
-    if (!document_id) return res.status(400).json({ error: "document_id required" });
+    if (!document_id && !folder_id) return reply(400, { error: "document_id or folder_id required" });
+    if (document_id && folder_id) return reply(400, { error: "Share either a document or a folder, not both" });
 
-    // Ownership check
-    const owns = await pool.query(
-      `SELECT 1 FROM documents WHERE document_id=$1 AND owner_user_id=$2 LIMIT 1`,
-      [document_id, req.user.user_id]
-    );
-    if (!owns.rowCount) return res.status(404).json({ error: "Document not found or not owned by user" });
+    if (folder_id) {
+      // Folder share: the listing and every file below it follow the folder's contents
+      if (!(await ownedFolder(user.user_id, folder_id))) {
+        return reply(404, { error: "Folder not found or not owned by user" });
+      }
+      if (pin_version !== null && pin_version !== undefined && pin_version !== false) {
+        return reply(400, { error: "pin_version applies to document shares only" });
+      }
+    } else {
+      // Ownership check
+      const owns = await pool.query(
+        `SELECT 1 FROM documents WHERE document_id=$1 AND owner_user_id=$2 LIMIT 1`,
+        [document_id, user.user_id]
+      );
+      if (!owns.rowCount) return reply(404, { error: "Document not found or not owned by user" });
+
+      // Version pin (default: follow latest so printed QR codes stay valid)
+      const pin = await resolvePinnedVersion(document_id, pin_version);
+      if (pin.error) return reply(400, { error: pin.error });
+      pinnedVersionId = pin.versionId;
+    }
+
+    // Watermark stamped on PDFs/images served through the share (null = off)
+    const wm = parseWatermark(watermark);
+    if (wm.error) return reply(400, { error: wm.error });
+    watermarkJson = wm.watermark ? JSON.stringify(wm.watermark) : null;
 
     // Expiry validation
     if (expiry_time) {
       const expiry = new Date(expiry_time);
       if (isNaN(expiry.getTime()) || expiry <= new Date()) {
-        return res.status(400).json({ error: "expiry_time must be in the future" });
+        return reply(400, { error: "expiry_time must be in the future" });
       }
       expiry_time = expiry;
     } else {
       expiry_time = null;
     }
 
+    // View/download allowances; burn_after_reading revokes the share on its first download
+    const views = parseShareLimit(max_views, "max_views");
+    if (views.error) return reply(400, { error: views.error });
+    const downloads = parseShareLimit(max_downloads, "max_downloads");
+    if (downloads.error) return reply(400, { error: downloads.error });
+    const burn = burn_after_reading === true || burn_after_reading === "true";
+    if (burn && folder_id) return reply(400, { error: "burn_after_reading applies to document shares only" });
+    const limited = views.value !== null || downloads.value !== null || burn;
+    // Guest recipients only: whether the share moves onto their account if they register later
+    attachOnRegister = attach_on_register !== false && attach_on_register !== "false";
+
     // Recipient resolution
     let to_user_id = null;
     if (to_email) {
-      if (!isEmail(to_email)) return res.status(400).json({ error: "Invalid recipient email" });
+      if (!isEmail(to_email)) return reply(400, { error: "Invalid recipient email" });
       const u = await pool.query(
         `SELECT user_id FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1`,
         [to_email]
@@ -67,26 +199,46 @@ router.post("/", auth, async (req, res) => {
 
     // Access selection rule
     let finalAccess;
-    if (access === "private") {
-      if (!to_email) return res.status(400).json({ error: "Private share requires recipient email" });
-      if (!to_user_id) return res.status(400).json({ error: "Recipient must be registered for private shares" });
+    let passwordHash = null;
+    if (access === "password") {
+      const pwErr = passphraseError(password);
+      if (pwErr) return reply(400, { error: pwErr });
+      if (to_email) return reply(400, { error: "Password shares have no recipient; hand over the passphrase separately" });
+      passwordHash = await bcrypt.hash(password, 10);
+      finalAccess = "password";
+    } else if (access === "private") {
+      // Unregistered recipients become guests: the OTP goes to the address itself
+      if (!to_email) return reply(400, { error: "Private share requires recipient email" });
       finalAccess = "private";
     } else if (access === "public") {
       finalAccess = "public";
     } else {
       finalAccess = to_user_id ? "private" : "public";
     }
+    if (finalAccess === "public" && (downloads.value !== null || burn)) {
+      return reply(400, { error: "Public shares are view-only; max_downloads and burn_after_reading need a private or password share" });
+    }
+    // view / download / print / reshare / see_recipients (missing flags: defaults for the access type)
+    const perms = parsePermissions(permissions, finalAccess);
+    if (perms.error) return reply(400, { error: perms.error });
+    permissionsJson = JSON.stringify(perms.permissions);
 
     // ---------- IDEMPOTENT LOOKUP ----------
     const existingSQL = `
       SELECT
-        s.share_id, s.share_token, s.access, s.expiry_time, s.created_at
+        s.share_id, s.share_token, s.document_id, s.folder_id, s.access, s.expiry_time, s.pinned_version_id, s.watermark, s.permissions, s.created_at
       FROM shares s
-      WHERE s.document_id = $1
+      WHERE s.document_id IS NOT DISTINCT FROM $1::uuid
+        AND s.folder_id IS NOT DISTINCT FROM $7::uuid
         AND s.from_user_id = $2
         AND s.access = $3
         AND s.is_revoked = FALSE
         AND (s.expiry_time IS NULL OR s.expiry_time > now())
+        AND s.pinned_version_id IS NOT DISTINCT FROM $6::uuid
+        AND s.watermark IS NOT DISTINCT FROM $8::jsonb
+        AND s.max_views IS NULL AND s.max_downloads IS NULL AND s.burn_after_reading = FALSE
+        AND s.attach_on_register = $9
+        AND s.permissions = $10::jsonb
         AND (
           ($4::uuid IS NOT NULL AND s.to_user_id = $4::uuid) OR
           ($4::uuid IS NULL AND COALESCE(LOWER(s.to_user_email),'') = COALESCE(LOWER($5::text),''))
@@ -96,15 +248,22 @@ router.post("/", auth, async (req, res) => {
     `;
     const existingArgs = [
       document_id,
-      req.user.user_id,
+      user.user_id,
       finalAccess,
       to_user_id,                         // $4
       finalAccess === "public" ? null : to_email || null, // $5
+      pinnedVersionId,                    // $6
+      folder_id,                          // $7
+      watermarkJson,                      // $8
+      attachOnRegister,                   // $9
+      permissionsJson,                    // $10
     ];
-    const ex = await pool.query(existingSQL, existingArgs);
+    // Password and limited shares are never reused: the passphrase may differ, and a
+    // limited link is a one-off whose allowance must not be shared with earlier links
+    const ex = finalAccess === "password" || limited ? { rowCount: 0 } : await pool.query(existingSQL, existingArgs);
     if (ex.rowCount) {
       const sh = ex.rows[0];
-      return res.status(200).json({
+      return reply(200, {
         success: true,
         reused: true,
         message: "Active share already exists; reusing it.",
@@ -114,38 +273,54 @@ router.post("/", auth, async (req, res) => {
     }
 
     // ---------- CREATE NEW SHARE ----------
-    await client.query("BEGIN");
+    await client.query(tx.begin);
+    // New shares pick up the owner's default QR style preset (if any)
     const insertQuery = `
-      INSERT INTO shares (document_id, from_user_id, to_user_id, to_user_email, access, expiry_time)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING share_id, share_token, access, expiry_time, created_at
+      INSERT INTO shares (document_id, folder_id, from_user_id, to_user_id, to_user_email, access, expiry_time, pinned_version_id, qr_preset_id,
+                          watermark, password_hash, max_views, max_downloads, burn_after_reading, attach_on_register, permissions)
+      VALUES ($1, $8, $2, $3, $4, $5, $6, $7,
+              (SELECT preset_id FROM qr_presets WHERE user_id = $2 AND is_default = TRUE LIMIT 1), $9, $10, $11, $12, $13, $14, $15)
+      RETURNING share_id, share_token, document_id, folder_id, access, expiry_time, pinned_version_id, qr_preset_id, watermark,
+                max_views, max_downloads, burn_after_reading, to_user_id, to_user_email, attach_on_register, permissions, created_at
     `;
     const { rows } = await client.query(insertQuery, [
       document_id,
-      req.user.user_id,
+      user.user_id,
       to_user_id,
       to_user_id ? null : (finalAccess === "public" ? null : (to_email || null)),
       finalAccess,
       expiry_time,
+      pinnedVersionId,
+      folder_id,
+      watermarkJson,
+      passwordHash,
+      views.value,
+      downloads.value,
+      burn,
+      attachOnRegister,
+      permissionsJson,
     ]);
-    await client.query("COMMIT");
+    await client.query(tx.commit);
 
     const sh = rows[0];
-    return res.status(201).json({
+    return reply(201, {
       success: true,
       message: "Document shared successfully",
       ...sh,
+      ...shareAllowance(sh),
+      guest_recipient: isGuestShare(sh),
       share_url: buildShareUrl(sh.share_token),
     });
   } catch (err) {
-    await client.query("ROLLBACK").catch(() => {});
+    await client.query(tx.rollback).catch(() => {});
 
     // Race-safe: if a unique/trigger fired, try to reuse
     const msg = String(err?.message || "").toLowerCase();
     if (msg.includes("duplicate active private share")) {
       try {
-        let { document_id, to_email = "", access = null } = req.body || {};
-        document_id = String(document_id || "").trim();
+        let { document_id, folder_id, to_email = "", access = null } = input || {};
+        document_id = String(document_id || "").trim() || null;
+        folder_id = String(folder_id || "").trim() || null;
         to_email = String(to_email || "").trim();
         access = access ? String(access).toLowerCase() : null;
 
@@ -155,18 +330,24 @@ router.post("/", auth, async (req, res) => {
           if (u.rowCount) to_user_id = u.rows[0].user_id;
         }
         let finalAccess;
-        if (access === "private" && to_user_id) finalAccess = "private";
+        if (access === "private" && to_email) finalAccess = "private";
         else if (access === "public") finalAccess = "public";
         else finalAccess = to_user_id ? "private" : "public";
 
         const existingSQL = `
-          SELECT s.share_id, s.share_token, s.access, s.expiry_time, s.created_at
+          SELECT s.share_id, s.share_token, s.document_id, s.folder_id, s.access, s.expiry_time, s.pinned_version_id, s.watermark, s.permissions, s.created_at
             FROM shares s
-           WHERE s.document_id = $1
+           WHERE s.document_id IS NOT DISTINCT FROM $1::uuid
+             AND s.folder_id IS NOT DISTINCT FROM $7::uuid
              AND s.from_user_id = $2
              AND s.access = $3
              AND s.is_revoked = FALSE
              AND (s.expiry_time IS NULL OR s.expiry_time > now())
+             AND s.pinned_version_id IS NOT DISTINCT FROM $6::uuid
+             AND s.watermark IS NOT DISTINCT FROM $8::jsonb
+             AND s.max_views IS NULL AND s.max_downloads IS NULL AND s.burn_after_reading = FALSE
+             AND s.attach_on_register = $9
+             AND s.permissions = $10::jsonb
              AND (
                ($4::uuid IS NOT NULL AND s.to_user_id = $4::uuid) OR
                ($4::uuid IS NULL AND COALESCE(LOWER(s.to_user_email),'') = COALESCE(LOWER($5::text),''))
@@ -176,15 +357,20 @@ router.post("/", auth, async (req, res) => {
         `;
         const existingArgs = [
           document_id,
-          req.user.user_id,
+          user.user_id,
           finalAccess,
           to_user_id,
           finalAccess === "public" ? null : to_email || null,
+          pinnedVersionId,
+          folder_id,
+          watermarkJson,
+          attachOnRegister,
+          permissionsJson,
         ];
         const ex = await pool.query(existingSQL, existingArgs);
         if (ex.rowCount) {
           const sh = ex.rows[0];
-          return res.status(200).json({
+          return reply(200, {
             success: true,
             reused: true,
             message: "Active share already exists; reusing it.",
@@ -198,89 +384,361 @@ router.post("/", auth, async (req, res) => {
     }
 
     console.error("SHARE_CREATE_ERROR:", err);
-    return res.status(400).json({ error: err?.message || "Cannot create share" });
+    // Unexpected failure (not bad input): /shares/bulk reports the row as failed
+    return { ...reply(400, { error: err?.message || "Cannot create share" }), failed: true };
   } finally {
-    client.release();
+    if (!db) client.release();
+  }
+}
+
+// POST /shares  (see createShare)
+router.post("/", auth, async (req, res) => {
+  const { status, body } = await createShare(req.user, req.body || {});
+  res.status(status).json(body);
+});
+
+/* ------------------------------ Bulk create ----------------------------- */
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: BULK_CSV_MAX_BYTES },
+  fileFilter: (_req, file, cb) => {
+    if (!/\.(csv|txt)$/i.test(file.originalname || "")) return cb(new Error("Recipient list must be a .csv file"), false);
+    cb(null, true);
+  },
+});
+
+/** csvUpload.single("file"), answering 400 for a rejected or oversized file instead of a server error */
+function csvFile(req, res, next) {
+  csvUpload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    const error = err.code === "LIMIT_FILE_SIZE" ? `Recipient list larger than ${BULK_CSV_MAX_BYTES} bytes` : err.message;
+    res.status(400).json({ error });
+  });
+}
+
+/**
+ * POST /shares/bulk  (JSON or multipart)
+ * One share per recipient, created or reused exactly like POST /shares.
+ *   document_id | folder_id, access? (private by default; public allowed, password not), expiry_time? (default
+ *   for rows without their own), pin_version?, watermark?, max_views?, max_downloads?, burn_after_reading?,
+ *   attach_on_register?, permissions?
+ *   recipients: ["a@x.io", { email, name?, expiry_time? }, ...]  (or emails: [...])  -- or --  file: CSV (email,name,expiry)
+ *   notify?: true (default, created + reused) | "new" (created only) | false;  meta?: { document_name?, frontend_link? }
+ * Notifications go through the job queue ("share-notify"), spaced out per sender.
+ * Returns a per-row report: status created | reused | invalid | failed.
+ */
+router.post("/bulk", auth, bulkLimiter, csvFile, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const access = String(body.access || "private").toLowerCase();
+    if (!["private", "public"].includes(access)) {
+      return res.status(400).json({ error: "access must be private or public for bulk shares" });
+    }
+    const notify = body.notify === undefined ? true : body.notify === "new" ? "new" : body.notify !== false && body.notify !== "false";
+
+    let recipients = req.file ? recipientsFromCsv(req.file.buffer.toString("utf8")) : recipientsFromBody(body);
+    if (!recipients.length) {
+      return res.status(400).json({ error: "recipients (a list of emails) or a CSV file with an email column required" });
+    }
+    if (recipients.length > BULK_MAX_RECIPIENTS) {
+      return res.status(400).json({ error: `At most ${BULK_MAX_RECIPIENTS} recipients per request` });
+    }
+
+    // Multipart fields arrive as strings
+    let { watermark = null, permissions = null, meta = {} } = body;
+    try {
+      if (typeof watermark === "string" && watermark.trim().startsWith("{")) watermark = JSON.parse(watermark);
+      if (typeof permissions === "string") permissions = JSON.parse(permissions || "null");
+      if (typeof meta === "string") meta = JSON.parse(meta || "{}");
+    } catch {
+      return res.status(400).json({ error: "watermark, permissions and meta must be valid JSON" });
+    }
+
+    // The target is the same for every row, so check it once
+    const document_id = String(body.document_id || "").trim() || null;
+    const folder_id = String(body.folder_id || "").trim() || null;
+    if (!document_id === !folder_id) return res.status(400).json({ error: "Either document_id or folder_id required" });
+    const owned = folder_id
+      ? await ownedFolder(req.user.user_id, folder_id)
+      : isUuid(document_id) &&
+        (await pool.query(`SELECT 1 FROM documents WHERE document_id=$1 AND owner_user_id=$2 LIMIT 1`, [document_id, req.user.user_id])).rowCount;
+    if (!owned) return res.status(404).json({ error: folder_id ? "Folder not found or not owned by user" : "Document not found or not owned by user" });
+
+    const common = {
+      document_id, folder_id, access, watermark,
+      pin_version: body.pin_version ?? null,
+      max_views: body.max_views ?? null,
+      max_downloads: body.max_downloads ?? null,
+      burn_after_reading: body.burn_after_reading ?? false,
+      attach_on_register: body.attach_on_register ?? true,
+      permissions,
+    };
+
+    const results = [];
+    const firstRow = new Map(); // email -> row, for duplicates within the list
+    for (const r of recipients) {
+      const out = { row: r.row, email: r.email, name: r.name };
+      const key = r.email.toLowerCase();
+      if (!isEmail(r.email)) {
+        results.push({ ...out, status: "invalid", error: "Invalid email" });
+        continue;
+      }
+      if (firstRow.has(key)) {
+        results.push({ ...out, status: "invalid", error: `Duplicate of row ${firstRow.get(key)}` });
+        continue;
+      }
+      firstRow.set(key, r.row);
+
+      try {
+        const { status, body: sh, failed } = await createShare(req.user, {
+          ...common,
+          to_email: r.email,
+          expiry_time: r.expiry_time || body.expiry_time || null,
+        });
+        if (status === 200 || status === 201) {
+          results.push({
+            ...out,
+            status: status === 201 ? "created" : "reused",
+            share_id: sh.share_id,
+            share_url: sh.share_url,
+            expiry_time: sh.expiry_time,
+          });
+        } else {
+          results.push({ ...out, status: failed ? "failed" : "invalid", error: sh.error });
+        }
+      } catch (err) {
+        console.error("SHARE_BULK_ROW_ERROR:", r.row, err);
+        results.push({ ...out, status: "failed", error: "Server error" });
+      }
+    }
+
+    // Notifications (throttled queue); rows keep their job id so the caller can follow up
+    const toNotify = results.filter((r) => (notify === "new" ? r.status === "created" : notify && (r.status === "created" || r.status === "reused")));
+    if (toNotify.length) {
+      try {
+        const jobs = await queueShareNotifications(
+          req.user.user_id,
+          toNotify.map((r) => ({ share_id: r.share_id, to_email: r.email, meta: { ...meta, recipient_name: r.name || undefined } }))
+        );
+        toNotify.forEach((r, i) => Object.assign(r, { notification: "queued", notify_job_id: jobs[i].job_id }));
+      } catch (err) {
+        console.error("SHARE_BULK_NOTIFY_ERROR:", err);
+        for (const r of toNotify) r.notification = "failed";
+      }
+    }
+
+    const summary = { created: 0, reused: 0, invalid: 0, failed: 0 };
+    for (const r of results) summary[r.status]++;
+    summary.notifications_queued = results.filter((r) => r.notification === "queued").length;
+
+    res.json({ success: true, total: results.length, summary, results });
+  } catch (err) {
+    console.error("SHARE_BULK_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
   }
 });
 
 /* ------------------------------- Listing -------------------------------- */
-// GET /shares/mine
+// Listing filters (see utils/listQuery.js); folder shares have no mime/size and never match those filters
+const shareListSpec = (extraSearch) => ({
+  id: "s.share_id",
+  search: ["COALESCE(d.file_name, f.name)", ...extraSearch],
+  tags: "d.tags",
+  mime: "d.mime_type",
+  strategy: `CASE WHEN d.document_id IS NULL THEN NULL ELSE ${previewStrategySql("d.mime_type", "d.file_name")} END`,
+  size: "d.file_size_bytes",
+  created: "s.created_at",
+  sorts: {
+    created_at: { expr: "s.created_at", type: "timestamptz" },
+    name: { expr: "LOWER(COALESCE(d.file_name, f.name))", type: "text" },
+    size: { expr: "COALESCE(d.file_size_bytes, 0)", type: "bigint" },
+    expiry: { expr: "COALESCE(s.expiry_time, 'infinity'::timestamptz)", type: "timestamptz" },
+  },
+});
+const MINE_SPEC = shareListSpec(["s.to_user_email", "ru.email", "ru.full_name"]);
+// Tags are the owner's private labels, so recipients cannot filter on them
+const RECEIVED_SPEC = { ...shareListSpec(["u.email", "u.full_name"]), tags: null };
+
+/**
+ * GET /shares/mine
+ * Same search/sort/paging parameters as GET /documents (?q also matches the recipient),
+ * plus ?sort=expiry. ?limit= / ?cursor= page the result; `total` is always the full match count.
+ */
 router.get("/mine", auth, async (req, res) => {
   try {
-    const q = `
-      SELECT
-        s.share_id,
-        s.share_token,
-        s.access,
-        s.expiry_time,
-        s.is_revoked,
-        s.created_at,
-        s.to_user_id,
-        s.to_user_email,
-        d.document_id,
-        d.file_name,
-        d.mime_type,
-        d.file_size_bytes,
-        ru.full_name AS to_full_name,
-        ru.email AS to_email_resolved
+    const { opts, error } = parseListQuery(req.query, Object.keys(MINE_SPEC.sorts));
+    if (error) return res.status(400).json({ error });
+
+    const from = `
       FROM shares s
-      JOIN documents d ON d.document_id = s.document_id
-      LEFT JOIN users ru ON ru.user_id = s.to_user_id
-      WHERE s.from_user_id = $1
-      ORDER BY s.created_at DESC
-    `;
-    const { rows } = await pool.query(q, [req.user.user_id]);
-    res.json({ success: true, total: rows.length, shares: rows });
+      LEFT JOIN documents d ON d.document_id = s.document_id
+      LEFT JOIN folders f ON f.folder_id = s.folder_id
+      LEFT JOIN users ru ON ru.user_id = s.to_user_id`;
+    const base = { where: [`s.from_user_id = $1`], args: [req.user.user_id] };
+
+    const { total, next_cursor, items } = await runListQuery(pool, opts, MINE_SPEC, base, {
+      select: ({ where, orderBy, sortKey, limit }) => `
+        SELECT
+          s.share_id,
+          s.share_token,
+          s.access,
+          s.expiry_time,
+          s.is_revoked,
+          s.created_at,
+          s.to_user_id,
+          s.to_user_email,
+          s.watermark,
+          s.permissions,
+          s.max_views,
+          s.max_downloads,
+          s.burn_after_reading,
+          CASE WHEN s.max_views IS NULL THEN NULL ELSE GREATEST(s.max_views - s.views_used, 0) END AS remaining_views,
+          CASE WHEN s.max_downloads IS NULL THEN NULL ELSE GREATEST(s.max_downloads - s.downloads_used, 0) END AS remaining_downloads,
+          CASE WHEN s.folder_id IS NOT NULL THEN 'folder' ELSE 'document' END AS target,
+          s.document_id,
+          s.folder_id,
+          COALESCE(d.file_name, f.name) AS file_name,
+          d.mime_type,
+          d.file_size_bytes,
+          d.current_version_no,
+          d.tags,
+          pv.version_no AS pinned_version_no,
+          ru.full_name AS to_full_name,
+          ru.email AS to_email_resolved,
+          COALESCE(al.views, 0)     AS view_count,
+          COALESCE(al.downloads, 0) AS download_count,
+          al.last_access_at,
+          ${sortKey} AS sort_key, s.share_id AS list_id
+        ${from}
+        LEFT JOIN document_versions pv ON pv.version_id = s.pinned_version_id
+        LEFT JOIN LATERAL (
+          SELECT COUNT(*) FILTER (WHERE l.action = 'document_view')::int     AS views,
+                 COUNT(*) FILTER (WHERE l.action = 'document_download')::int AS downloads,
+                 MAX(l.created_at) FILTER (WHERE l.action IN ('document_view', 'document_download')) AS last_access_at
+            FROM access_logs l
+           WHERE l.share_id = s.share_id
+        ) al ON TRUE
+        WHERE ${where}
+        ORDER BY ${orderBy}
+        ${limit}`,
+      count: (where) => `SELECT COUNT(*)::int AS total ${from} WHERE ${where}`,
+    });
+    res.json({ success: true, total, next_cursor, shares: items });
   } catch (err) {
     console.error("SHARES_MINE_ERROR:", err);
     res.status(500).json({ error: "Server error fetching your shared documents" });
   }
 });
 
+/**
+ * POST /shares/qr-sheet
+ * Body: { share_ids: ["<uuid>", ...], paper?: "a4"|"letter", columns?: 1-6, label_size?: 6-16, title?, styled?: true }
+ * Returns a printable PDF grid with one QR code per share (caller must own every share).
+ */
+router.post("/qr-sheet", auth, async (req, res) => {
+  try {
+    // Postgres prints UUIDs in lower case, so compare them that way
+    const ids = Array.isArray(req.body?.share_ids) ? [...new Set(req.body.share_ids.map((id) => String(id).toLowerCase()))] : [];
+    if (!ids.length) return res.status(400).json({ error: "share_ids required" });
+    if (ids.length > QR_SHEET_MAX) return res.status(400).json({ error: `At most ${QR_SHEET_MAX} shares per sheet` });
+    if (!ids.every(isUuid)) return res.status(400).json({ error: "Invalid share_id" });
+
+    const { rows } = await pool.query(
+      `SELECT s.share_id, s.share_token, s.from_user_id, s.qr_preset_id, s.access, s.expiry_time,
+              COALESCE(d.file_name, f.name) AS file_name
+         FROM shares s
+         LEFT JOIN documents d ON d.document_id = s.document_id
+         LEFT JOIN folders f ON f.folder_id = s.folder_id
+        WHERE s.share_id = ANY($1::uuid[]) AND s.from_user_id = $2`,
+      [ids, req.user.user_id]
+    );
+    const byId = new Map(rows.map((r) => [String(r.share_id), r]));
+    const missing = ids.filter((id) => !byId.has(id));
+    if (missing.length) return res.status(404).json({ error: "Shares not found", missing });
+
+    const styled = req.body?.styled !== false;
+    const cells = [];
+    for (const id of ids) {
+      const sh = byId.get(id);
+      // Labels are drawn by the sheet itself, so never burn a caption into the image
+      const style = styled ? await shareQrStyle(sh, { caption: "0" }) : null;
+      const qr = await renderQr(buildShareUrl(sh.share_token), { format: "png", size: 480, ecl: "M" }, style);
+      cells.push({ png: qr.body, file_name: sh.file_name, access: sh.access, expiry_time: sh.expiry_time });
+    }
+
+    const layout = parseSheetLayout(req.body);
+    const pdf = await buildQrSheetPdf(cells, layout);
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="qr-sheet-${layout.paper}.pdf"`);
+    res.setHeader("Content-Length", String(pdf.length));
+    res.send(pdf);
+  } catch (err) {
+    console.error("SHARE_QR_SHEET_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /**
  * GET /shares/received
  * Return shares sent to the current user that are:
  * - Not revoked
  * - Not expired
  * - Not dismissed by this user
+ * Accepts the GET /shares/mine search/sort/paging parameters except ?tag (?q also matches the sender).
  */
 router.get("/received", auth, async (req, res) => {
   try {
     const meId = req.user.user_id;
     const meEmail = (req.user.email || "").toLowerCase();
 
-    const q = `
-      SELECT
-        s.share_id,
-        s.share_token,
-        s.access,
-        s.expiry_time,
-        s.created_at AS shared_at,
-        d.document_id,
-        d.file_name,
-        d.mime_type,
-        d.file_size_bytes,
-        d.created_at AS uploaded_at,
-        u.full_name AS from_full_name,
-        u.email AS from_email
+    const { opts, error } = parseListQuery(req.query, Object.keys(RECEIVED_SPEC.sorts));
+    if (error) return res.status(400).json({ error });
+
+    const from = `
       FROM shares s
-      JOIN documents d ON d.document_id = s.document_id
+      LEFT JOIN documents d ON d.document_id = s.document_id
+      LEFT JOIN folders f ON f.folder_id = s.folder_id
       JOIN users u ON u.user_id = s.from_user_id
       LEFT JOIN share_dismissals sd
              ON sd.share_id = s.share_id
-            AND sd.user_id = $1
-      WHERE s.is_revoked = FALSE
-        AND (s.expiry_time IS NULL OR s.expiry_time > now())
-        AND sd.share_id IS NULL
-        AND (
-             s.to_user_id = $1
-             OR (s.to_user_id IS NULL AND s.to_user_email IS NOT NULL AND LOWER(s.to_user_email) = $2)
-        )
-      ORDER BY s.created_at DESC
-    `;
-    const { rows } = await pool.query(q, [meId, meEmail]);
-    return res.json({ success: true, total: rows.length, received: rows });
+            AND sd.user_id = $1`;
+    const base = {
+      where: [
+        `s.is_revoked = FALSE`,
+        `(s.expiry_time IS NULL OR s.expiry_time > now())`,
+        `sd.share_id IS NULL`,
+        `(s.to_user_id = $1 OR (s.to_user_id IS NULL AND s.to_user_email IS NOT NULL AND LOWER(s.to_user_email) = $2 AND s.attach_on_register))`,
+      ],
+      args: [meId, meEmail],
+    };
+
+    const { total, next_cursor, items } = await runListQuery(pool, opts, RECEIVED_SPEC, base, {
+      select: ({ where, orderBy, sortKey, limit }) => `
+        SELECT
+          s.share_id,
+          s.share_token,
+          s.access,
+          s.expiry_time,
+          s.permissions,
+          s.created_at AS shared_at,
+          CASE WHEN s.folder_id IS NOT NULL THEN 'folder' ELSE 'document' END AS target,
+          s.document_id,
+          s.folder_id,
+          COALESCE(d.file_name, f.name) AS file_name,
+          d.mime_type,
+          d.file_size_bytes,
+          COALESCE(d.created_at, f.created_at) AS uploaded_at,
+          u.full_name AS from_full_name,
+          u.email AS from_email,
+          ${sortKey} AS sort_key, s.share_id AS list_id
+        ${from}
+        WHERE ${where}
+        ORDER BY ${orderBy}
+        ${limit}`,
+      count: (where) => `SELECT COUNT(*)::int AS total ${from} WHERE ${where}`,
+    });
+    return res.json({ success: true, total, next_cursor, received: items });
   } catch (err) {
     console.error("SHARES_RECEIVED_ERROR:", err);
     return res.status(500).json({ error: "Server error fetching received documents" });
@@ -346,15 +804,216 @@ router.delete("/received/:share_id", auth, async (req, res) => {
 });
 
 
+/* --------------------------- Access requests ---------------------------- */
+const ACCESS_REQUEST_STATUSES = ["pending", "approved", "denied"];
+
+/**
+ * GET /shares/access-requests?status=pending|approved|denied|all&share_id=&limit=
+ * Requests for the caller's expired or revoked shares, newest first (default: pending only).
+ */
+router.get("/access-requests", auth, async (req, res) => {
+  try {
+    const status = String(req.query.status || "pending").toLowerCase();
+    if (status !== "all" && !ACCESS_REQUEST_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ACCESS_REQUEST_STATUSES.join(", ")} or all` });
+    }
+    const shareId = /^[0-9a-f-]{36}$/i.test(String(req.query.share_id || "")) ? req.query.share_id : null;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+    const { rows } = await pool.query(
+      `SELECT r.request_id, r.share_id, r.requester_email, r.requester_user_id, r.message, r.share_state,
+              r.status, r.granted_expiry, r.granted_share_id, r.decision_note, r.decided_at, r.created_at,
+              s.access, s.expiry_time, s.is_revoked, s.document_id, s.folder_id,
+              CASE WHEN s.folder_id IS NOT NULL THEN 'folder' ELSE 'document' END AS target,
+              COALESCE(d.file_name, f.name) AS file_name
+         FROM share_access_requests r
+         JOIN shares s ON s.share_id = r.share_id
+         LEFT JOIN documents d ON d.document_id = s.document_id
+         LEFT JOIN folders f ON f.folder_id = s.folder_id
+        WHERE r.owner_id = $1
+          AND ($2::text IS NULL OR r.status = $2)
+          AND ($3::uuid IS NULL OR r.share_id = $3)
+        ORDER BY r.created_at DESC
+        LIMIT $4`,
+      [req.user.user_id, status === "all" ? null : status, shareId, limit]
+    );
+    res.json({ success: true, total: rows.length, requests: rows });
+  } catch (err) {
+    console.error("ACCESS_REQUESTS_LIST_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/**
+ * POST /shares/access-requests/:request_id/approve  { expiry_time, reissue?, note? }
+ * Re-activates the share with the new expiry, or (reissue, the default when a private share was
+ * meant for someone else) creates a new private share for the requester. The requester is emailed.
+ */
+router.post("/access-requests/:request_id/approve", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { request_id } = req.params;
+    const { expiry_time = null, reissue = null, note = null } = req.body || {};
+    if (!isFuture(expiry_time)) return res.status(400).json({ error: "expiry_time (in the future) required" });
+
+    await client.query("BEGIN");
+    const sel = await client.query(
+      `SELECT r.*, s.document_id, s.folder_id, s.access, s.to_user_email, s.watermark, s.permissions,
+              s.max_views, s.max_downloads, s.burn_after_reading, pv.version_no AS pinned_version_no,
+              ru.email AS to_email_resolved
+         FROM share_access_requests r
+         JOIN shares s ON s.share_id = r.share_id
+         LEFT JOIN users ru ON ru.user_id = s.to_user_id
+         LEFT JOIN document_versions pv ON pv.version_id = s.pinned_version_id
+        WHERE r.request_id = $1 AND r.owner_id = $2
+        LIMIT 1
+          FOR UPDATE OF r`,
+      [request_id, req.user.user_id]
+    );
+    if (!sel.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Access request not found" });
+    }
+    const r = sel.rows[0];
+    if (r.status !== "pending") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: `Access request already ${r.status}` });
+    }
+
+    // Re-activating a private share only helps the requester if they are its recipient
+    const recipient = String(r.to_email_resolved || r.to_user_email || "").toLowerCase();
+    const isRecipient = r.access !== "private" || recipient === r.requester_email;
+    const reissued = reissue === null || reissue === undefined ? !isRecipient : reissue === true || reissue === "true";
+    if (!reissued && !isRecipient) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "The requester is not this share's recipient; approve with reissue" });
+    }
+
+    let grantedShareId = r.share_id;
+    if (reissued) {
+      const created = await createShare(req.user, {
+        document_id: r.document_id,
+        folder_id: r.folder_id,
+        to_email: r.requester_email,
+        access: "private",
+        expiry_time,
+        pin_version: r.pinned_version_no,
+        watermark: r.watermark,
+        max_views: r.max_views,
+        max_downloads: r.max_downloads,
+        burn_after_reading: r.burn_after_reading,
+        permissions: r.permissions,
+      }, { db: client });
+      if (created.status >= 400) {
+        await client.query("ROLLBACK");
+        return res.status(created.status).json(created.body);
+      }
+      grantedShareId = created.body.share_id;
+    } else {
+      // Fresh allowance along with the new expiry
+      await client.query(
+        `UPDATE shares
+            SET is_revoked = FALSE, revoked_at = NULL, expiry_time = $2, views_used = 0, downloads_used = 0
+          WHERE share_id = $1`,
+        [r.share_id, expiry_time]
+      );
+    }
+
+    const upd = await client.query(
+      `UPDATE share_access_requests
+          SET status = 'approved', decided_at = now(), granted_expiry = $2, granted_share_id = $3, decision_note = $4
+        WHERE request_id = $1
+        RETURNING request_id, share_id, requester_email, status, granted_expiry, granted_share_id, decision_note, decided_at`,
+      [request_id, expiry_time, grantedShareId, note ? String(note).slice(0, ACCESS_REQUEST_MESSAGE_MAX) : null]
+    );
+    await client.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       VALUES ($1, $2, $3, 'access_request_approve', $4)`,
+      [
+        r.share_id,
+        r.document_id,
+        req.user.user_id,
+        JSON.stringify({
+          request_id,
+          requester_email: r.requester_email,
+          mode: reissued ? "reissued" : "reactivated",
+          granted_share_id: grantedShareId,
+          expiry_time,
+        }),
+      ]
+    );
+    // Queued with the approval: both happen or neither does
+    const [job] = await queueShareNotifications(
+      req.user.user_id,
+      [{ share_id: grantedShareId, to_email: r.requester_email, meta: {} }],
+      client
+    );
+    await client.query("COMMIT");
+
+    res.json({
+      success: true,
+      mode: reissued ? "reissued" : "reactivated",
+      request: upd.rows[0],
+      share_id: grantedShareId,
+      notify_job_id: job.job_id,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ACCESS_REQUEST_APPROVE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /shares/access-requests/:request_id/deny  { note? }
+router.post("/access-requests/:request_id/deny", auth, async (req, res) => {
+  try {
+    const { request_id } = req.params;
+    const note = req.body?.note ? String(req.body.note).slice(0, ACCESS_REQUEST_MESSAGE_MAX) : null;
+
+    const upd = await pool.query(
+      `UPDATE share_access_requests r
+          SET status = 'denied', decided_at = now(), decision_note = $3
+         FROM shares s
+        WHERE r.request_id = $1 AND r.owner_id = $2 AND r.status = 'pending' AND s.share_id = r.share_id
+        RETURNING r.request_id, r.share_id, r.requester_email, r.status, r.decision_note, r.decided_at, s.document_id`,
+      [request_id, req.user.user_id, note]
+    );
+    if (!upd.rowCount) {
+      const { rows } = await pool.query(
+        `SELECT status FROM share_access_requests WHERE request_id = $1 AND owner_id = $2`,
+        [request_id, req.user.user_id]
+      );
+      if (!rows.length) return res.status(404).json({ error: "Access request not found" });
+      return res.status(409).json({ error: `Access request already ${rows[0].status}` });
+    }
+    const { document_id, ...request } = upd.rows[0];
+
+    await pool.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       VALUES ($1, $2, $3, 'access_request_deny', $4)`,
+      [request.share_id, document_id, req.user.user_id, JSON.stringify({ request_id, requester_email: request.requester_email })]
+    );
+    res.json({ success: true, request });
+  } catch (err) {
+    console.error("ACCESS_REQUEST_DENY_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /* ------------------------------ Get One --------------------------------- */
 // GET /shares/:share_id (owner detail)
 router.get("/:share_id", auth, async (req, res) => {
   try {
     const { share_id } = req.params;
     const q = `
-      SELECT s.*, d.file_name, d.mime_type, d.file_size_bytes
+      SELECT s.*, d.file_name, d.mime_type, d.file_size_bytes, d.current_version_no,
+             f.name AS folder_name, pv.version_no AS pinned_version_no
       FROM shares s
-      JOIN documents d ON d.document_id = s.document_id
+      LEFT JOIN documents d ON d.document_id = s.document_id
+      LEFT JOIN folders f ON f.folder_id = s.folder_id
+      LEFT JOIN document_versions pv ON pv.version_id = s.pinned_version_id
       WHERE s.share_id = $1 AND s.from_user_id = $2
       LIMIT 1
     `;
@@ -371,12 +1030,24 @@ router.get("/:share_id", auth, async (req, res) => {
       created_at: sh.created_at,
       to_user_id: sh.to_user_id,
       to_user_email: sh.to_user_email,
-      document: {
-        document_id: sh.document_id,
-        file_name: sh.file_name,
-        mime_type: sh.mime_type,
-        file_size_bytes: sh.file_size_bytes,
-      },
+      pinned_version_no: sh.pinned_version_no,
+      watermark: sh.watermark,
+      permissions: sharePermissions(sh),
+      max_views: sh.max_views,
+      max_downloads: sh.max_downloads,
+      burn_after_reading: sh.burn_after_reading,
+      ...shareAllowance(sh),
+      target: sh.folder_id ? "folder" : "document",
+      document: sh.document_id
+        ? {
+            document_id: sh.document_id,
+            file_name: sh.file_name,
+            mime_type: sh.mime_type,
+            file_size_bytes: sh.file_size_bytes,
+            current_version_no: sh.current_version_no,
+          }
+        : null,
+      folder: sh.folder_id ? { folder_id: sh.folder_id, name: sh.folder_name } : null,
     });
   } catch (err) {
     console.error("SHARE_GET_ERROR:", err);
@@ -384,14 +1055,48 @@ router.get("/:share_id", auth, async (req, res) => {
   }
 });
 
-// GET /shares/:share_id/minimal (public/private scan)
+// GET /shares/:share_id/qr?format=png|svg|dataurl&size=320&margin=2&ecl=M&preset_id=&caption=&plain= (owner only)
+router.get("/:share_id/qr", auth, async (req, res) => {
+  try {
+    const { share_id } = req.params;
+    const { rows } = await pool.query(
+      `SELECT s.share_id, s.share_token, s.from_user_id, s.qr_preset_id, s.expiry_time,
+              COALESCE(d.file_name, f.name) AS file_name
+         FROM shares s
+         LEFT JOIN documents d ON d.document_id = s.document_id
+         LEFT JOIN folders f ON f.folder_id = s.folder_id
+        WHERE s.share_id = $1 AND s.from_user_id = $2
+        LIMIT 1`,
+      [share_id, req.user.user_id]
+    );
+    if (!rows.length) return res.status(404).json({ error: "Share not found" });
+
+    const shareUrl = buildShareUrl(rows[0].share_token);
+    const style = await shareQrStyle(rows[0], req.query);
+    const qr = await renderQr(shareUrl, req.query, style);
+
+    if (String(req.query.format || "").toLowerCase() === "dataurl") {
+      return res.json({ share_id, share_url: shareUrl, data_url: qr.body });
+    }
+    res.setHeader("Content-Type", qr.contentType);
+    res.setHeader("Cache-Control", "private, max-age=300");
+    res.send(qr.body);
+  } catch (err) {
+    console.error("SHARE_QR_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /shares/:share_id/minimal (public/private/password scan; reports the remaining allowance, null = unlimited)
+// Expired / revoked shares answer 403 with can_request_access: POST /shares/:share_id/access-requests
 router.get("/:share_id/minimal", async (req, res) => {
   try {
     const { share_id } = req.params;
     const { token } = req.query;
 
     const q = `
-      SELECT share_id, document_id, access, expiry_time, is_revoked, to_user_email
+      SELECT share_id, document_id, folder_id, access, expiry_time, is_revoked, to_user_email, permissions,
+             max_views, views_used, max_downloads, downloads_used, burn_after_reading
       FROM shares
       WHERE ($1::uuid IS NOT NULL AND share_id = $1::uuid)
          OR ($2::text IS NOT NULL AND share_token = $2::text)
@@ -404,14 +1109,26 @@ router.get("/:share_id/minimal", async (req, res) => {
     if (!rows.length) return res.status(404).json({ error: "Share not found" });
 
     const s = rows[0];
-    if (s.is_revoked) return res.status(403).json({ error: "Share revoked" });
-    if (s.expiry_time && new Date(s.expiry_time) <= new Date()) return res.status(403).json({ error: "Share expired" });
+    const state = shareState(s);
+    if (state) {
+      return res.status(403).json({
+        error: state === "revoked" ? "Share revoked" : "Share expired",
+        reason: state,
+        share_id: s.share_id,
+        can_request_access: true,
+      });
+    }
 
     res.json({
       share_id: s.share_id,
+      target: s.folder_id ? "folder" : "document",
       document_id: s.document_id,
+      folder_id: s.folder_id,
       access: s.access,
       to_user_email: s.to_user_email || null,
+      permissions: sharePermissions(s),
+      ...shareAllowance(s),
+      burn_after_reading: s.burn_after_reading,
     });
   } catch (err) {
     console.error("SHARE_MINIMAL_ERROR:", err);
@@ -419,6 +1136,103 @@ router.get("/:share_id/minimal", async (req, res) => {
   }
 });
 
+/**
+ * POST /shares/:share_id/access-requests  { email, message? }
+ * For an expired or revoked share (id or token, like /minimal): asks the owner to open it again.
+ * Signed-in callers may omit email.
+ */
+router.post("/:share_id/access-requests", accessRequestLimiter, optionalAuth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { share_id } = req.params;
+    const email = String(req.body?.email || req.user?.email || "").trim().toLowerCase();
+    const message = String(req.body?.message || "").trim();
+    if (!isEmail(email)) return res.status(400).json({ error: "A valid email is required" });
+    if (message.length > ACCESS_REQUEST_MESSAGE_MAX) {
+      return res.status(400).json({ error: `message must be at most ${ACCESS_REQUEST_MESSAGE_MAX} characters` });
+    }
+
+    const sh = await shareByIdOrToken(share_id);
+    if (!sh) return res.status(404).json({ error: "Share not found" });
+    const state = shareState(sh);
+    if (!state) return res.status(409).json({ error: "Share is active; open it instead" });
+
+    await client.query("BEGIN");
+    const ins = await client.query(
+      `INSERT INTO share_access_requests (share_id, owner_id, requester_email, requester_user_id, message, share_state)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (share_id, requester_email) WHERE status = 'pending' DO NOTHING
+       RETURNING request_id, share_id, owner_id, status, created_at`,
+      [sh.share_id, sh.from_user_id, email, req.user?.user_id || null, message || null, state]
+    );
+    if (!ins.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ error: "An access request from this email is already pending" });
+    }
+    const request = ins.rows[0];
+    await queueAccessRequestNotice(request, client);
+    await client.query("COMMIT");
+
+    await logAccess({
+      share_id: sh.share_id,
+      document_id: sh.document_id,
+      viewer_user_id: req.user?.user_id || null,
+      action: "access_request",
+      meta: { ...clientContext(req), request_id: request.request_id, requester_email: email },
+    });
+    res.status(201).json({
+      success: true,
+      request_id: request.request_id,
+      status: request.status,
+      created_at: request.created_at,
+    });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("ACCESS_REQUEST_CREATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+/* ------------------------------- Activity -------------------------------- */
+// GET /shares/:share_id/activity?action=&viewer=&from=&to=&limit=&cursor=&export=csv|json (owner only)
+router.get("/:share_id/activity", auth, async (req, res) => {
+  try {
+    const { share_id } = req.params;
+    const own = await pool.query(
+      `SELECT 1 FROM shares WHERE share_id = $1 AND from_user_id = $2 LIMIT 1`,
+      [share_id, req.user.user_id]
+    );
+    if (!own.rowCount) return res.status(404).json({ error: "Share not found" });
+
+    await sendActivity(req, res, { shareId: share_id }, `share-${share_id}`);
+  } catch (err) {
+    console.error("SHARE_ACTIVITY_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /shares/:share_id/analytics?bucket=hour|day|week&from=&to= (owner only)
+router.get("/:share_id/analytics", auth, async (req, res) => {
+  try {
+    const { share_id } = req.params;
+    const own = await pool.query(
+      `SELECT share_id, document_id, folder_id, access, expiry_time, is_revoked, created_at
+         FROM shares WHERE share_id = $1 AND from_user_id = $2 LIMIT 1`,
+      [share_id, req.user.user_id]
+    );
+    if (!own.rowCount) return res.status(404).json({ error: "Share not found" });
+
+    const { summary, error } = await accessSummary({ shareId: share_id }, req.query);
+    if (error) return res.status(400).json({ error });
+    res.json({ success: true, share: own.rows[0], ...summary });
+  } catch (err) {
+    console.error("SHARE_ANALYTICS_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /* -------------------------- Revoke / Delete ----------------------------- */
 // POST /shares/:share_id/revoke
 router.post("/:share_id/revoke", auth, async (req, res) => {
@@ -588,6 +1402,178 @@ router.patch("/:share_id/expiry", auth, async (req, res) => {
   }
 });
 
+// PATCH /shares/:share_id/version  { pin_version: N | "current" | "latest" | null }
+router.patch("/:share_id/version", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { share_id } = req.params;
+
+    await client.query("BEGIN");
+    const sel = await client.query(
+      `SELECT document_id FROM shares WHERE share_id=$1 AND from_user_id=$2 LIMIT 1`,
+      [share_id, req.user.user_id]
+    );
+    if (!sel.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Share not found" });
+    }
+    const documentId = sel.rows[0].document_id;
+    if (!documentId) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "pin_version applies to document shares only" });
+    }
+
+    const pin = await resolvePinnedVersion(documentId, req.body?.pin_version ?? null);
+    if (pin.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: pin.error });
+    }
+
+    const upd = await client.query(
+      `UPDATE shares SET pinned_version_id=$1 WHERE share_id=$2 RETURNING share_id, pinned_version_id`,
+      [pin.versionId, share_id]
+    );
+
+    await client.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       VALUES ($1, $2, $3, 'share_version_update', $4)`,
+      [share_id, documentId, req.user.user_id, JSON.stringify({ pinned_version_id: pin.versionId })]
+    );
+    await client.query("COMMIT");
+
+    res.json(upd.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("SHARE_VERSION_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /shares/:share_id/watermark  { watermark: true | { text, opacity, position } | null }
+router.patch("/:share_id/watermark", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { share_id } = req.params;
+    const wm = parseWatermark(req.body?.watermark ?? null);
+    if (wm.error) return res.status(400).json({ error: wm.error });
+
+    await client.query("BEGIN");
+    const upd = await client.query(
+      `UPDATE shares SET watermark=$1 WHERE share_id=$2 AND from_user_id=$3
+       RETURNING share_id, document_id, watermark`,
+      [wm.watermark ? JSON.stringify(wm.watermark) : null, share_id, req.user.user_id]
+    );
+    if (!upd.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Share not found" });
+    }
+
+    await client.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       VALUES ($1, $2, $3, 'share_watermark_update', $4)`,
+      [share_id, upd.rows[0].document_id, req.user.user_id, JSON.stringify({ watermark: wm.watermark })]
+    );
+    await client.query("COMMIT");
+
+    res.json({ share_id, watermark: upd.rows[0].watermark });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("SHARE_WATERMARK_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /shares/:share_id/permissions  { permissions: { view?, download?, print?, reshare?, see_recipients? } }  (omitted flags keep their value)
+router.patch("/:share_id/permissions", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { share_id } = req.params;
+    if (!req.body?.permissions) return res.status(400).json({ error: "permissions required" });
+
+    await client.query("BEGIN");
+    const sel = await client.query(
+      `SELECT document_id, access, permissions FROM shares WHERE share_id=$1 AND from_user_id=$2 LIMIT 1 FOR UPDATE`,
+      [share_id, req.user.user_id]
+    );
+    if (!sel.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Share not found" });
+    }
+    const sh = sel.rows[0];
+    const perms = parsePermissions(req.body.permissions, sh.access, sharePermissions(sh));
+    if (perms.error) {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: perms.error });
+    }
+
+    const upd = await client.query(
+      `UPDATE shares SET permissions=$1 WHERE share_id=$2 RETURNING share_id, permissions`,
+      [JSON.stringify(perms.permissions), share_id]
+    );
+    await client.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       VALUES ($1, $2, $3, 'share_permissions_update', $4)`,
+      [share_id, sh.document_id, req.user.user_id, JSON.stringify({ permissions: perms.permissions })]
+    );
+    await client.query("COMMIT");
+
+    res.json(upd.rows[0]);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("SHARE_PERMISSIONS_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /shares/:share_id/password  { password }  (password shares only; outstanding grants stop working)
+router.patch("/:share_id/password", auth, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const { share_id } = req.params;
+    const pwErr = passphraseError(req.body?.password);
+    if (pwErr) return res.status(400).json({ error: pwErr });
+
+    await client.query("BEGIN");
+    const sel = await client.query(
+      `SELECT document_id, access FROM shares WHERE share_id=$1 AND from_user_id=$2 LIMIT 1 FOR UPDATE`,
+      [share_id, req.user.user_id]
+    );
+    if (!sel.rowCount) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ error: "Share not found" });
+    }
+    if (sel.rows[0].access !== "password") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({ error: "Not a password share" });
+    }
+
+    await client.query(`UPDATE shares SET password_hash=$1 WHERE share_id=$2`, [
+      await bcrypt.hash(req.body.password, 10),
+      share_id,
+    ]);
+    await client.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action)
+       VALUES ($1, $2, $3, 'share_password_update')`,
+      [share_id, sel.rows[0].document_id, req.user.user_id]
+    );
+    await client.query("COMMIT");
+
+    res.json({ success: true, share_id });
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("SHARE_PASSWORD_UPDATE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  } finally {
+    client.release();
+  }
+});
+
 // POST /shares/:share_id/expire-now
 router.post("/:share_id/expire-now", auth, async (req, res) => {
   const client = await pool.connect();
@@ -626,6 +1612,32 @@ router.post("/:share_id/expire-now", auth, async (req, res) => {
   }
 });
 
+/**
+ * Who an OTP for this private share is for: { user_id, guest_id, email } or { status, error }.
+ * Shares addressed to an email without an account take guests (created on first send unless
+ * create=false, then guest_id may be null); all others need the registered recipient.
+ */
+async function otpRecipient(db, sh, email, { create = true } = {}) {
+  if (isGuestShare(sh)) {
+    if (email !== sh.to_user_email.toLowerCase()) return { status: 403, error: "Not the intended recipient" };
+    const guest = create ? await guestForEmail(email, db) : await findGuest(email, db);
+    return { user_id: null, guest_id: guest?.guest_id || null, email };
+  }
+
+  const ures = await db.query(`SELECT user_id, email FROM users WHERE LOWER(email) = LOWER($1) LIMIT 1`, [email]);
+  if (!ures.rowCount) return { status: 400, error: "User must register first" };
+  const user = ures.rows[0];
+
+  // Intended recipient check
+  if (sh.to_user_id && String(sh.to_user_id) !== String(user.user_id)) {
+    return { status: 403, error: "Not the intended recipient" };
+  }
+  if (!sh.to_user_id && sh.to_user_email && sh.to_user_email.toLowerCase() !== user.email.toLowerCase()) {
+    return { status: 403, error: "Not the intended recipient" };
+  }
+  return { user_id: user.user_id, guest_id: null, email: user.email };
+}
+
 /* -------------------------- POST /shares/:share_id/otp/send -------------------------- */
 router.post("/:share_id/otp/send", otpSendLimiter, async (req, res) => {
   const client = await pool.connect();
@@ -641,61 +1653,51 @@ router.post("/:share_id/otp/send", otpSendLimiter, async (req, res) => {
     const sh = sres.rows[0];
 
     if (sh.is_revoked) return res.status(403).json({ error: "Share revoked" });
-    if (sh.access !== "private") return res.status(400).json({ error: "OTP not required for public shares" });
+    if (sh.access !== "private") return res.status(400).json({ error: `OTP not required for ${sh.access} shares` });
     if (sh.expiry_time && new Date(sh.expiry_time) <= new Date()) {
       return res.status(403).json({ error: "Share expired" });
     }
 
-    // Resolve user by email
-    const ures = await client.query(
-      `SELECT user_id, email FROM users WHERE LOWER(email) = LOWER($1) LIMIT 1`,
-      [email]
-    );
-    if (!ures.rowCount) return res.status(400).json({ error: "User must register first" });
-    const user = ures.rows[0];
-
-    // Intended recipient check
-    if (sh.to_user_id && String(sh.to_user_id) !== String(user.user_id)) {
-      return res.status(403).json({ error: "Not the intended recipient" });
-    }
-    if (!sh.to_user_id && sh.to_user_email && sh.to_user_email.toLowerCase() !== user.email.toLowerCase()) {
-      return res.status(403).json({ error: "Not the intended recipient" });
-    }
+    // Recipient: a guest (share addressed to an email without an account) or a registered user
+    const who = await otpRecipient(client, sh, email);
+    if (who.error) return res.status(who.status).json({ error: who.error });
 
     const otp = String(Math.floor(100000 + Math.random() * 900000)); // 6-digit
     const expiry = new Date(Date.now() + OTP_TTL_MIN * 60 * 1000);
 
     await client.query("BEGIN");
-    // Invalidate any active unverified OTPs for this (user, share)
+    // Retire any active unverified OTPs for this (recipient, share). Expire them rather than
+    // marking them verified: a verified, unexpired row is what grants access.
     await client.query(
       `UPDATE otp_verifications
-         SET is_verified = TRUE
-       WHERE user_id = $1
-         AND share_id = $2
+         SET expiry_time = now()
+       WHERE user_id IS NOT DISTINCT FROM $1
+         AND guest_id IS NOT DISTINCT FROM $2
+         AND share_id = $3
          AND is_verified = FALSE
          AND expiry_time > now()`,
-      [user.user_id, share_id]
+      [who.user_id, who.guest_id, share_id]
     );
 
     const ins = `
-      INSERT INTO otp_verifications (user_id, share_id, otp_code, expiry_time, is_verified, created_at)
-      VALUES ($1, $2, $3, $4, FALSE, now())
+      INSERT INTO otp_verifications (user_id, guest_id, share_id, otp_code, expiry_time, is_verified, created_at)
+      VALUES ($1, $2, $3, $4, $5, FALSE, now())
       RETURNING otp_id, expiry_time
     `;
-    const insRes = await client.query(ins, [user.user_id, share_id, otp, expiry.toISOString()]);
+    const insRes = await client.query(ins, [who.user_id, who.guest_id, share_id, otp, expiry.toISOString()]);
 
     // Access log (otp request)
     await client.query(
-      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action)
-       SELECT $1, document_id, $2, 'otp_request' FROM shares WHERE share_id = $1`,
-      [share_id, user.user_id]
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       SELECT $1, document_id, $2, 'otp_request', $3 FROM shares WHERE share_id = $1`,
+      [share_id, who.user_id, JSON.stringify(who.guest_id ? { guest_email: who.email } : {})]
     );
 
     await client.query("COMMIT");
 
     // Mail (non-blocking, HTTPS Gmail API)
     sendEmail({
-      to: user.email,
+      to: who.email,
       subject: "Your QR-Docs OTP",
       html: `<p>Your OTP is <b>${otp}</b>. It expires in ${OTP_TTL_MIN} minutes.</p>`,
     }).catch((e) => console.error("MAILER_ERROR[share otp send]:", e?.message || e));
@@ -704,6 +1706,7 @@ router.post("/:share_id/otp/send", otpSendLimiter, async (req, res) => {
       success: true,
       otp_id: insRes.rows[0].otp_id,
       expires_at: insRes.rows[0].expiry_time,
+      recipient: who.guest_id ? "guest" : "user",
     });
   } catch (err) {
     try { await client.query("ROLLBACK"); } catch {}
@@ -725,51 +1728,55 @@ router.post("/:share_id/otp/verify", otpVerifyLimiter, async (req, res) => {
     if (!email || !otp) return res.status(400).json({ error: "Email and OTP required" });
     if (!isEmail(email)) return res.status(400).json({ error: "Invalid email" });
 
-    const u = await client.query(
-      `SELECT user_id FROM users WHERE LOWER(email) = LOWER($1) LIMIT 1`,
-      [email]
-    );
-    if (!u.rowCount) return res.status(400).json({ error: "User must register first" });
-    const userId = u.rows[0].user_id;
+    const sres = await client.query(`SELECT * FROM shares WHERE share_id = $1 LIMIT 1`, [share_id]);
+    if (!sres.rowCount) return res.status(404).json({ error: "Share not found" });
+
+    // Guests only exist once a code was sent, so an unknown guest simply has no valid OTP
+    const who = await otpRecipient(client, sres.rows[0], email, { create: false });
+    if (who.error) return res.status(who.status).json({ error: who.error });
+    if (!who.user_id && !who.guest_id) return res.status(400).json({ error: "Invalid or expired OTP" });
 
     // Find latest matching active OTP
     const f = await client.query(
       `SELECT otp_id
          FROM otp_verifications
         WHERE share_id = $1
-          AND user_id  = $2
+          AND user_id  IS NOT DISTINCT FROM $2
+          AND guest_id IS NOT DISTINCT FROM $3
           AND is_verified = FALSE
           AND expiry_time > now()
-          AND otp_code = $3
+          AND otp_code = $4
         ORDER BY created_at DESC
         LIMIT 1`,
-      [share_id, userId, otp]
+      [share_id, who.user_id, who.guest_id, otp]
     );
     if (!f.rowCount) return res.status(400).json({ error: "Invalid or expired OTP" });
 
     await client.query("BEGIN");
     await client.query(`UPDATE otp_verifications SET is_verified = TRUE WHERE otp_id = $1`, [f.rows[0].otp_id]);
 
-    // Hardening: invalidate any other active OTPs
+    // Hardening: retire any other active OTPs
     await client.query(
       `UPDATE otp_verifications
-          SET is_verified = TRUE
+          SET expiry_time = now()
         WHERE share_id = $1
-          AND user_id  = $2
+          AND user_id  IS NOT DISTINCT FROM $2
+          AND guest_id IS NOT DISTINCT FROM $3
           AND is_verified = FALSE
           AND expiry_time > now()`,
-      [share_id, userId]
+      [share_id, who.user_id, who.guest_id]
     );
+    if (who.guest_id) await markGuestVerified(who.guest_id, client);
 
     // Access log (otp verify)
     await client.query(
-      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action)
-       SELECT $1, document_id, $2, 'otp_verify' FROM shares WHERE share_id = $1`,
-      [share_id, userId]
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       SELECT $1, document_id, $2, 'otp_verify', $3 FROM shares WHERE share_id = $1`,
+      [share_id, who.user_id, JSON.stringify(who.guest_id ? { guest_email: who.email } : {})]
     );
 
     await client.query("COMMIT");
-    res.json({ success: true });
+    res.json({ success: true, recipient: who.guest_id ? "guest" : "user" });
   } catch (err) {
     try { await client.query("ROLLBACK"); } catch {}
     console.error("OTP_VERIFY_ERROR:", err);
@@ -779,33 +1786,197 @@ router.post("/:share_id/otp/verify", otpVerifyLimiter, async (req, res) => {
   }
 });
 
+/* ----------------------- POST /shares/:share_id/password/verify ----------------------- */
+// { password } -> { grant, expires_at }; send the grant as X-Share-Grant (or ?grant=) when viewing.
+// Accepts the share id or its token, like /minimal.
+router.post("/:share_id/password/verify", passwordVerifyLimiter, async (req, res) => {
+  try {
+    const { share_id } = req.params;
+    const password = String(req.body?.password || "");
+    if (!password) return res.status(400).json({ error: "password required" });
+
+    const sh = await shareByIdOrToken(share_id);
+    if (!sh) return res.status(404).json({ error: "Share not found" });
+    if (sh.is_revoked) return res.status(403).json({ error: "Share revoked" });
+    if (sh.expiry_time && new Date(sh.expiry_time) <= new Date()) return res.status(403).json({ error: "Share expired" });
+    if (sh.access !== "password") return res.status(400).json({ error: "This share is not password protected" });
+
+    const ctx = clientContext(req);
+    const audit = (action, meta = {}) =>
+      logAccess({ share_id: sh.share_id, document_id: sh.document_id, action, meta: { ...ctx, ...meta } });
+
+    // Lockout across all clients, on top of the per-client limiter
+    const fails = await pool.query(
+      `SELECT COUNT(*)::int AS n FROM access_logs
+        WHERE share_id = $1 AND action = 'password_verify_failed' AND created_at > now() - interval '15 minutes'`,
+      [sh.share_id]
+    );
+    if (fails.rows[0].n >= PASSWORD_MAX_FAILS) {
+      await audit("password_verify_blocked");
+      return res.status(429).json({ error: "Too many failed attempts for this share; try again later" });
+    }
+
+    if (!(await bcrypt.compare(password, sh.password_hash))) {
+      await audit("password_verify_failed");
+      return res.status(401).json({ error: "Wrong password" });
+    }
+
+    await audit("password_verify");
+    const { grant, expires_at } = issueShareGrant(sh);
+    res.json({
+      success: true,
+      grant,
+      expires_at,
+      ttl_minutes: GRANT_TTL_MIN,
+      share_id: sh.share_id,
+      target: sh.folder_id ? "folder" : "document",
+      document_id: sh.document_id,
+      folder_id: sh.folder_id,
+    });
+  } catch (err) {
+    console.error("SHARE_PASSWORD_VERIFY_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+/* ------------------------- Recipient-side actions ------------------------- */
+// Same credentials as viewing (X-User-Email after the OTP, or X-Share-Grant); share id or token, like /minimal.
+
+/**
+ * POST /shares/:share_id/reshare  { to_email, expiry_time? }  (needs the reshare permission)
+ * A new private share from the same owner with the same target, pin, watermark and permissions
+ * (minus reshare), ending no later than the caller's. The new recipient is emailed.
+ * Shares with view/download limits or burn_after_reading cannot be reshared: a new share would
+ * come with an allowance of its own.
+ */
+router.post("/:share_id/reshare", reshareLimiter, async (req, res) => {
+  try {
+    const sh = await shareByIdOrToken(req.params.share_id);
+    if (!sh) return res.status(404).json({ error: "Share not found" });
+
+    const access = await checkShareAccess(req, sh);
+    if (!access.mode) return res.status(403).json({ error: "Not authorized for this share", reason: access.reason });
+    if (!access.permissions.reshare) return res.status(403).json({ error: "This share does not allow resharing" });
+    if (sh.max_views !== null || sh.max_downloads !== null || sh.burn_after_reading) {
+      return res.status(403).json({ error: "Shares with view/download limits or burn after reading cannot be reshared" });
+    }
+
+    const to_email = String(req.body?.to_email || "").trim().toLowerCase();
+    if (!isEmail(to_email)) return res.status(400).json({ error: "Invalid recipient email" });
+    if (access.email && to_email === access.email.toLowerCase()) {
+      return res.status(400).json({ error: "This share is already yours" });
+    }
+    const expiry_time = req.body?.expiry_time || sh.expiry_time;
+    if (sh.expiry_time && new Date(expiry_time) > new Date(sh.expiry_time)) {
+      return res.status(400).json({ error: "expiry_time cannot be later than this share's expiry" });
+    }
+
+    const pin = sh.pinned_version_id
+      ? (await pool.query(`SELECT version_no FROM document_versions WHERE version_id=$1`, [sh.pinned_version_id])).rows[0]
+      : null;
+    const { status, body } = await createShare({ user_id: sh.from_user_id }, {
+      document_id: sh.document_id,
+      folder_id: sh.folder_id,
+      to_email,
+      access: "private",
+      expiry_time,
+      pin_version: pin?.version_no ?? null,
+      watermark: sh.watermark,
+      attach_on_register: sh.attach_on_register,
+      permissions: { ...access.permissions, reshare: false },
+    });
+    if (status >= 400) return res.status(status).json(body);
+
+    if (status === 201) {
+      await pool.query(`UPDATE shares SET reshared_from=$1 WHERE share_id=$2`, [sh.share_id, body.share_id]);
+    }
+    await logAccess({
+      share_id: sh.share_id,
+      document_id: sh.document_id,
+      viewer_user_id: access.userId || null,
+      action: "share_reshare",
+      meta: {
+        mode: access.mode,
+        ...clientContext(req),
+        ...(access.email ? { by_email: access.email } : {}),
+        to_email,
+        new_share_id: body.share_id,
+        reused: status === 200,
+      },
+    });
+    const [job] = await queueShareNotifications(sh.from_user_id, [{ share_id: body.share_id, to_email, meta: {} }]);
+
+    res.status(status).json({
+      success: true,
+      reused: status === 200,
+      share_id: body.share_id,
+      to_email,
+      expiry_time: body.expiry_time,
+      permissions: body.permissions,
+      notify_job_id: job.job_id,
+    });
+  } catch (err) {
+    console.error("SHARE_RESHARE_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /shares/:share_id/recipients  (needs see_recipients: the other active private recipients of the same document/folder)
+router.get("/:share_id/recipients", async (req, res) => {
+  try {
+    const sh = await shareByIdOrToken(req.params.share_id);
+    if (!sh) return res.status(404).json({ error: "Share not found" });
+
+    const access = await checkShareAccess(req, sh);
+    if (!access.mode) return res.status(403).json({ error: "Not authorized for this share", reason: access.reason });
+    if (!access.permissions.see_recipients) {
+      return res.status(403).json({ error: "This share does not show its other recipients" });
+    }
+
+    const { rows } = await pool.query(
+      `SELECT DISTINCT ON (LOWER(COALESCE(u.email, s.to_user_email)))
+              COALESCE(u.email, s.to_user_email) AS email, u.full_name, s.created_at AS shared_at
+         FROM shares s
+         LEFT JOIN users u ON u.user_id = s.to_user_id
+        WHERE s.from_user_id = $1
+          AND s.document_id IS NOT DISTINCT FROM $2::uuid
+          AND s.folder_id IS NOT DISTINCT FROM $3::uuid
+          AND s.access = 'private'
+          AND s.is_revoked = FALSE
+          AND (s.expiry_time IS NULL OR s.expiry_time > now())
+          AND LOWER(COALESCE(u.email, s.to_user_email, '')) <> LOWER($4)
+        ORDER BY LOWER(COALESCE(u.email, s.to_user_email)), s.created_at`,
+      [sh.from_user_id, sh.document_id, sh.folder_id, access.email || ""]
+    );
+    rows.sort((a, b) => new Date(a.shared_at) - new Date(b.shared_at));
+
+    logAccess({
+      share_id: sh.share_id,
+      document_id: sh.document_id,
+      viewer_user_id: access.userId || null,
+      action: "recipients_view",
+      meta: { mode: access.mode, ...clientContext(req) },
+    });
+    res.json({ success: true, share_id: sh.share_id, total: rows.length, recipients: rows });
+  } catch (err) {
+    console.error("SHARE_RECIPIENTS_ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
 /* --------------------------- Notify recipient --------------------------- */
 /* POST /shares/notify-share  (and /shares/otp/notify-share)
    Body:
-   { "share_id": "<uuid>", "to_email": "optional@example.com", "meta": { document_name?, access?, frontend_link?, qr_image? } }
+   { "share_id": "<uuid>", "to_email": "optional@example.com", "meta": { document_name?, access?, frontend_link? } }
+   The QR code is rendered locally and embedded as an inline CID attachment.
 */
 async function notifyShareHandler(req, res) {
   try {
     const { share_id, to_email = null, meta = {} } = req.body || {};
     if (!share_id) return res.status(400).json({ error: "share_id required" });
 
-    const q = `
-      SELECT
-        s.share_id, s.share_token, s.access, s.expiry_time, s.is_revoked,
-        s.to_user_id, s.to_user_email, s.from_user_id, s.document_id,
-        d.file_name, d.mime_type,
-        uf.full_name AS from_full_name, uf.email AS from_email,
-        ur.email     AS to_email_resolved
-      FROM shares s
-      JOIN documents d ON d.document_id = s.document_id
-      JOIN users uf     ON uf.user_id   = s.from_user_id
- LEFT JOIN users ur     ON ur.user_id   = s.to_user_id
-      WHERE s.share_id = $1
-      LIMIT 1;
-    `;
-    const { rows } = await pool.query(q, [share_id]);
-    if (!rows.length) return res.status(404).json({ error: "Share not found" });
-    const sh = rows[0];
+    const sh = await loadNotifyShare(share_id);
+    if (!sh) return res.status(404).json({ error: "Share not found" });
 
     // Only the sender can notify
     if (String(sh.from_user_id) !== String(req.user.user_id)) {
@@ -820,28 +1991,7 @@ async function notifyShareHandler(req, res) {
     if (!recipient) return res.status(400).json({ error: "No recipient email" });
     if (!isEmail(recipient)) return res.status(400).json({ error: "Invalid recipient email" });
 
-    const openUrl = meta.frontend_link || buildShareUrl(sh.share_token);
-    const qrImg   = meta.qr_image || `https://api.qrserver.com/v1/create-qr-code/?size=240x240&data=${encodeURIComponent(openUrl)}`;
-    const subject =
-      sh.access === "private" ? "A private document was shared with you" : "A public document was shared with you";
-
-    await sendEmail({
-      to: recipient,
-      subject,
-      html: `
-        <p><b>${sh.from_full_name}</b> (${sh.from_email}) shared a document with you.</p>
-        <p><b>File:</b> ${meta.document_name || sh.file_name} (${sh.mime_type || "file"})</p>
-        <p><b>Access:</b> ${(meta.access || sh.access || "").toUpperCase()}</p>
-        ${sh.expiry_time ? `<p><b>Expires:</b> ${new Date(sh.expiry_time).toLocaleString()}</p>` : ""}
-        <p>Open link: <a href="${openUrl}">${openUrl}</a></p>
-        <p><img src="${qrImg}" alt="QR code to open the share" /></p>
-        <p>${
-          sh.access === "private"
-            ? `This is <b>PRIVATE</b>. Use your registered email; you'll receive an OTP to view & download.`
-            : `This is <b>PUBLIC (view-only)</b>.`
-        }</p>
-      `,
-    });
+    await sendShareNotification(sh, recipient, meta);
 
     res.json({ success: true, notified: recipient });
   } catch (err) {
@@ -0,0 +1,283 @@
+// utils/accessLogs.js
+import crypto from "node:crypto";
+import { pool } from "../db/db.js";
+
+const EXPORT_MAX = Number(process.env.ACTIVITY_EXPORT_MAX || 10000);
+const isUuid = (s) => /^[0-9a-f-]{36}$/i.test(String(s || ""));
+
+/* ------------------------------- Cursor -------------------------------- */
+// Opaque keyset cursor over (created_at DESC, log_id DESC). The timestamp is Postgres' own text
+// (microseconds); a JS Date would round it to milliseconds and skip rows at the page boundary.
+const encodeCursor = (row) => Buffer.from(`${row.cursor_ts}|${row.log_id}`, "utf8").toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [ts, id] = Buffer.from(String(cursor), "base64url").toString("utf8").split("|");
+    if (!ts || !/^\d+$/.test(id) || !/^\d{4}-\d{2}-\d{2}[ T][\d:.]+([+-]\d{2}(:?\d{2})?|Z)?$/.test(ts)) return null;
+    return { ts, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse activity filters from a query string.
+ * ?action=a,b  ?viewer=<user_id|email>  ?from=<iso>  ?to=<iso>  ?limit=  ?cursor=
+ * Returns { filters } or { error }.
+ */
+export function parseActivityQuery(q = {}) {
+  const actions = String(q.action || "")
+    .split(",")
+    .map((a) => a.trim())
+    .filter(Boolean);
+
+  const from = q.from ? new Date(q.from) : null;
+  const to = q.to ? new Date(q.to) : null;
+  if (from && isNaN(from.getTime())) return { error: "Invalid from date" };
+  if (to && isNaN(to.getTime())) return { error: "Invalid to date" };
+
+  let cursor = null;
+  if (q.cursor) {
+    cursor = decodeCursor(q.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  const limit = Math.max(1, Math.min(200, parseInt(q.limit, 10) || 50));
+  const viewer = String(q.viewer || "").trim();
+
+  return { filters: { actions, viewer, from, to, cursor, limit } };
+}
+
+/**
+ * Read access_logs for one document or one share (caller has already checked ownership).
+ * Pass `exportAll: true` to ignore paging and return up to ACTIVITY_EXPORT_MAX rows.
+ */
+export async function queryAccessLogs({ documentId = null, shareId = null }, filters, { exportAll = false } = {}) {
+  const where = [];
+  const args = [];
+  const arg = (v) => {
+    args.push(v);
+    return `$${args.length}`;
+  };
+
+  if (documentId) where.push(`l.document_id = ${arg(documentId)}`);
+  if (shareId) where.push(`l.share_id = ${arg(shareId)}`);
+  if (filters.actions.length) where.push(`l.action = ANY(${arg(filters.actions)}::text[])`);
+  if (filters.viewer) {
+    where.push(
+      isUuid(filters.viewer)
+        ? `l.viewer_user_id = ${arg(filters.viewer)}::uuid`
+        : `LOWER(u.email) = LOWER(${arg(filters.viewer)})`
+    );
+  }
+  if (filters.from) where.push(`l.created_at >= ${arg(filters.from)}`);
+  if (filters.to) where.push(`l.created_at < ${arg(filters.to)}`);
+  if (filters.cursor && !exportAll) {
+    where.push(`(l.created_at, l.log_id) < (${arg(filters.cursor.ts)}::timestamptz, ${arg(filters.cursor.id)})`);
+  }
+
+  const limit = exportAll ? EXPORT_MAX : filters.limit + 1;
+  const q = `
+    SELECT l.log_id, l.created_at, l.created_at::text AS cursor_ts, l.action, l.share_id, l.document_id,
+           l.viewer_user_id, u.email AS viewer_email, l.meta
+      FROM access_logs l
+      LEFT JOIN users u ON u.user_id = l.viewer_user_id
+     WHERE ${where.join(" AND ")}
+     ORDER BY l.created_at DESC, l.log_id DESC
+     LIMIT ${limit}
+  `;
+  const { rows } = await pool.query(q, args);
+  const items = rows.slice(0, exportAll ? rows.length : filters.limit).map(({ cursor_ts, ...row }) => row);
+
+  if (exportAll) return { items, next_cursor: null };
+  const hasMore = rows.length > filters.limit;
+  return { items, next_cursor: hasMore ? encodeCursor(rows[filters.limit - 1]) : null };
+}
+
+/* --------------------------------- CSV --------------------------------- */
+const CSV_COLS = ["log_id", "created_at", "action", "share_id", "document_id", "viewer_user_id", "viewer_email", "meta"];
+
+const csvCell = (v) => {
+  if (v === null || v === undefined) return "";
+  const s = v instanceof Date ? v.toISOString() : typeof v === "object" ? JSON.stringify(v) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function accessLogsToCsv(rows) {
+  return [CSV_COLS.join(","), ...rows.map((r) => CSV_COLS.map((c) => csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+/**
+ * Shared response for the /activity endpoints.
+ * ?export=csv|json returns the full (capped) result as a file, otherwise a cursor page.
+ */
+export async function sendActivity(req, res, scope, fileBase) {
+  const { filters, error } = parseActivityQuery(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const exportFmt = String(req.query.export || "").toLowerCase();
+  if (exportFmt === "csv" || exportFmt === "json") {
+    const { items } = await queryAccessLogs(scope, filters, { exportAll: true });
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Disposition", `attachment; filename="${fileBase}-activity-${stamp}.${exportFmt}"`);
+    if (exportFmt === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      return res.send(accessLogsToCsv(items));
+    }
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    return res.send(JSON.stringify(items, null, 2));
+  }
+
+  const page = await queryAccessLogs(scope, filters);
+  return res.json({ success: true, count: page.items.length, next_cursor: page.next_cursor, items: page.items });
+}
+
+/* ------------------------------- Writing ------------------------------- */
+const PLAYBACK_WINDOW_MIN = Number(process.env.PLAYBACK_WINDOW_MIN || 30);
+
+/** IP + user agent of the caller (trust proxy is enabled in index.js) */
+export function clientContext(req) {
+  return {
+    ip: req.ip || req.socket?.remoteAddress || null,
+    user_agent: String(req.headers["user-agent"] || "").slice(0, 512) || null,
+  };
+}
+
+/** Stable key for grouping the range requests of one playback (same viewer, client and share) */
+export function playbackGroupKey({ document_id, share_id, viewer_user_id, ip, user_agent }) {
+  return crypto
+    .createHash("sha1")
+    .update([document_id, share_id, viewer_user_id, ip, user_agent].map((v) => v ?? "").join("|"))
+    .digest("hex")
+    .slice(0, 24);
+}
+
+/** Has a playback (see playbackGroupKey) been logged for `action` within the last PLAYBACK_WINDOW_MIN minutes? */
+export async function playbackLogged(document_id, action, groupKey) {
+  const { rowCount } = await pool.query(
+    `SELECT 1 FROM access_logs
+      WHERE document_id = $1
+        AND action = $2
+        AND meta->>'group_key' = $3
+        AND created_at > now() - make_interval(mins => $4::int)
+      LIMIT 1`,
+    [document_id, action, groupKey, PLAYBACK_WINDOW_MIN]
+  );
+  return rowCount > 0;
+}
+
+/**
+ * Best-effort audit write; never throws into the request path.
+ * When `groupKey` is set (range requests from media players), a matching row from the last
+ * PLAYBACK_WINDOW_MIN minutes is updated instead, so one playback counts as one view.
+ */
+export async function logAccess({ share_id = null, document_id, viewer_user_id = null, action, meta = {}, groupKey = null }) {
+  try {
+    if (groupKey) {
+      const upd = await pool.query(
+        `UPDATE access_logs
+            SET meta = COALESCE(meta, '{}'::jsonb)
+                    || jsonb_build_object(
+                         'range_requests', COALESCE((meta->>'range_requests')::int, 1) + 1,
+                         'bytes_served',   COALESCE((meta->>'bytes_served')::bigint, 0) + $4::bigint,
+                         'last_range',     $5::text,
+                         'last_seen_at',   now())
+          WHERE log_id = (
+                  SELECT log_id FROM access_logs
+                   WHERE document_id = $1
+                     AND action = $2
+                     AND meta->>'group_key' = $3
+                     AND created_at > now() - make_interval(mins => $6::int)
+                   ORDER BY created_at DESC
+                   LIMIT 1)
+          RETURNING log_id`,
+        [document_id, action, groupKey, meta.bytes_served || 0, meta.range || null, PLAYBACK_WINDOW_MIN]
+      );
+      if (upd.rowCount) return;
+    }
+
+    await pool.query(
+      `INSERT INTO access_logs(share_id, document_id, viewer_user_id, action, meta)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        share_id,
+        document_id,
+        viewer_user_id,
+        action,
+        JSON.stringify(groupKey ? { ...meta, group_key: groupKey, range_requests: 1 } : meta),
+      ]
+    );
+  } catch (err) {
+    console.error("ACCESS_LOG_WRITE_ERROR:", err?.message || err);
+  }
+}
+
+/* ------------------------------ Analytics ------------------------------ */
+const BUCKETS = new Set(["hour", "day", "week"]);
+const BUCKET_MS = { hour: 3600e3, day: 86400e3, week: 7 * 86400e3 };
+const MAX_BUCKETS = 2000;
+
+/**
+ * Totals + time series for one document or share.
+ * ?bucket=hour|day|week  ?from=<iso>  ?to=<iso>  (defaults: day, last 30 days)
+ */
+export async function accessSummary({ documentId = null, shareId = null }, q = {}) {
+  const bucket = BUCKETS.has(String(q.bucket || "").toLowerCase()) ? String(q.bucket).toLowerCase() : "day";
+  const to = q.to ? new Date(q.to) : new Date();
+  const from = q.from ? new Date(q.from) : new Date(to.getTime() - 30 * 24 * 3600 * 1000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) return { error: "Invalid date range" };
+  if ((to - from) / BUCKET_MS[bucket] > MAX_BUCKETS) return { error: `Range too large for ${bucket} buckets` };
+
+  const scope = documentId ? `l.document_id = $1` : `l.share_id = $1`;
+  const args = [documentId || shareId, from, to];
+
+  // A viewer is the user if known, otherwise the client (ip + user agent) recorded with the row
+  const viewerKey = `COALESCE(l.viewer_user_id::text, (l.meta->>'ip') || '|' || COALESCE(l.meta->>'user_agent', ''))`;
+  const counters = `
+    COUNT(*) FILTER (WHERE l.action = 'document_view')     AS views,
+    COUNT(*) FILTER (WHERE l.action = 'document_download') AS downloads,
+    COUNT(DISTINCT ${viewerKey}) FILTER (WHERE l.action IN ('document_view', 'document_download')) AS unique_viewers,
+    COUNT(*) FILTER (WHERE l.action = 'otp_request')       AS otp_requests,
+    COUNT(*) FILTER (WHERE l.action = 'otp_verify')        AS otp_verifications,
+    COUNT(*) FILTER (WHERE l.action = 'access_denied')     AS denied`;
+
+  const totalsQ = `
+    SELECT ${counters},
+           MIN(l.created_at) FILTER (WHERE l.action IN ('document_view', 'document_download')) AS first_access_at,
+           MAX(l.created_at) FILTER (WHERE l.action IN ('document_view', 'document_download')) AS last_access_at
+      FROM access_logs l
+     WHERE ${scope} AND l.created_at >= $2 AND l.created_at < $3
+  `;
+  // Empty buckets are kept (zeros) so charts get a continuous axis
+  const seriesQ = `
+    WITH b AS (
+      SELECT generate_series(date_trunc('${bucket}', $2::timestamptz), $3::timestamptz, interval '1 ${bucket}') AS bucket_start
+    )
+    SELECT b.bucket_start, ${counters}
+      FROM b
+      LEFT JOIN access_logs l
+             ON ${scope}
+            AND l.created_at >= GREATEST(b.bucket_start, $2::timestamptz)
+            AND l.created_at <  LEAST(b.bucket_start + interval '1 ${bucket}', $3::timestamptz)
+     GROUP BY b.bucket_start
+     ORDER BY b.bucket_start
+  `;
+  const [totals, series] = await Promise.all([pool.query(totalsQ, args), pool.query(seriesQ, args)]);
+
+  // COUNT() comes back as a bigint string from pg
+  const num = (r) => {
+    const out = { ...r };
+    for (const k of ["views", "downloads", "unique_viewers", "otp_requests", "otp_verifications", "denied"]) out[k] = Number(r[k] || 0);
+    return out;
+  };
+
+  return {
+    summary: {
+      bucket,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      totals: num(totals.rows[0]),
+      series: series.rows.map(num),
+    },
+  };
+}
@@ -0,0 +1,60 @@
+// utils/accessRequests.js
+// Access requests for expired or revoked shares: the owner is emailed about each new request
+// ("access-request-notify" job) and decides in GET /shares/access-requests.
+import { pool } from "../db/db.js";
+import { sendEmail } from "./mailer.js";
+import { enqueueJob } from "./jobs.js";
+import { htmlEscape } from "./shareNotify.js";
+
+export const ACCESS_REQUEST_MESSAGE_MAX = 1000;
+
+/** "revoked" / "expired" for a share that can no longer be opened, null while it is active */
+export function shareState(share) {
+  if (share.is_revoked) return "revoked";
+  if (share.expiry_time && new Date(share.expiry_time) <= new Date()) return "expired";
+  return null;
+}
+
+/** Queue the owner's email for a new request (pass the transaction client to queue atomically) */
+export function queueAccessRequestNotice(request, db = pool) {
+  return enqueueJob({
+    type: "access-request-notify",
+    userId: request.owner_id,
+    payload: { request_id: request.request_id },
+    db,
+  });
+}
+
+export async function runAccessRequestNoticeJob(job, { signal }) {
+  const { rows } = await pool.query(
+    `SELECT r.request_id, r.requester_email, r.message, r.share_state, r.status, r.created_at,
+            COALESCE(d.file_name, f.name) AS file_name,
+            CASE WHEN s.folder_id IS NOT NULL THEN 'folder' ELSE 'document' END AS target,
+            u.email AS owner_email, u.full_name AS owner_name
+       FROM share_access_requests r
+       JOIN shares s ON s.share_id = r.share_id
+       JOIN users u ON u.user_id = r.owner_id
+       LEFT JOIN documents d ON d.document_id = s.document_id
+       LEFT JOIN folders f ON f.folder_id = s.folder_id
+      WHERE r.request_id = $1
+      LIMIT 1`,
+    [job.payload.request_id]
+  );
+  // Already decided (or the share is gone): nothing to tell the owner
+  if (!rows.length || rows[0].status !== "pending") return { skipped: true };
+
+  const r = rows[0];
+  signal.throwIfAborted();
+  await sendEmail({
+    to: r.owner_email,
+    subject: `Access requested: ${r.file_name}`,
+    html: `
+      <p>Hi ${htmlEscape(r.owner_name || "")},</p>
+      <p><b>${htmlEscape(r.requester_email)}</b> asked for access to your ${r.target}
+         <b>${htmlEscape(r.file_name)}</b>; the share they opened is ${r.share_state}.</p>
+      ${r.message ? `<p><b>Message:</b><br/>${htmlEscape(r.message).replace(/\n/g, "<br/>")}</p>` : ""}
+      <p>Approve it with a new expiry or deny it from your pending access requests.</p>
+    `,
+  });
+  return { request_id: r.request_id, notified: r.owner_email };
+}
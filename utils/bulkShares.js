@@ -0,0 +1,100 @@
+// utils/bulkShares.js
+// Recipient lists for POST /shares/bulk: a JSON list of emails / { email, name, expiry_time } objects,
+// or an uploaded CSV with email, name and expiry columns (header row optional; without one the
+// columns are taken in that order).
+export const BULK_MAX_RECIPIENTS = Number(process.env.BULK_SHARE_MAX || 500);
+export const BULK_CSV_MAX_BYTES = 1024 * 1024;
+
+const HEADER_ALIASES = {
+  email: ["email", "e-mail", "mail", "to_email", "recipient"],
+  name: ["name", "full_name", "recipient_name"],
+  expiry_time: ["expiry", "expiry_time", "expires", "expires_at"],
+};
+
+/** RFC 4180-ish CSV -> array of rows (quoted fields, "" escapes, CRLF/LF); ; as separator when the first line has no commas */
+export function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, "");
+  const firstLine = src.split(/\r?\n/, 1)[0] || "";
+  const sep = !firstLine.includes(",") && firstLine.includes(";") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === sep) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+/** CSV text -> [{ row, email, name, expiry_time }] (row = line number in the file) */
+export function recipientsFromCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const col = {};
+  for (const [key, aliases] of Object.entries(HEADER_ALIASES)) {
+    const idx = header.findIndex((h) => aliases.includes(h));
+    if (idx >= 0) col[key] = idx;
+  }
+  const hasHeader = col.email !== undefined;
+  if (!hasHeader) Object.assign(col, { email: 0, name: 1, expiry_time: 2 });
+
+  return rows.slice(hasHeader ? 1 : 0).map((r, i) => ({
+    row: i + (hasHeader ? 2 : 1),
+    email: (r[col.email] || "").trim(),
+    name: col.name !== undefined ? (r[col.name] || "").trim() || null : null,
+    expiry_time: col.expiry_time !== undefined ? (r[col.expiry_time] || "").trim() || null : null,
+  }));
+}
+
+/** Body `recipients` / `emails` -> [{ row, email, name, expiry_time }] (row = 1-based list position) */
+export function recipientsFromBody(body) {
+  let list = body.recipients ?? body.emails ?? [];
+  if (typeof list === "string") {
+    // Multipart forms: JSON array, or emails separated by commas / newlines
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = list.split(/[\s,;]+/);
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map((r) => (typeof r === "object" && r !== null ? r : { email: r }))
+    .map((r, i) => ({
+      row: i + 1,
+      email: String(r.email ?? "").trim(),
+      name: r.name ? String(r.name).trim() : null,
+      expiry_time: r.expiry_time || r.expiry || null,
+    }))
+    .filter((r) => r.email !== "" || r.name);
+}
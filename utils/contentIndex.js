@@ -0,0 +1,255 @@
+// utils/contentIndex.js
+// Text extraction + Postgres full-text search over document contents.
+//
+//   npm run index:content          -> index documents that have no content row yet
+//   npm run index:content -- --all -> re-index every document
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { pool } from "../db/db.js";
+import { withLocalCopy } from "./storage/index.js";
+import { decidePreviewStrategy } from "./preview.js";
+import { officeToPdf, pdfToText, enqueueToolJob } from "./tools.js";
+
+const MAX_CHARS = Number(process.env.CONTENT_INDEX_MAX_CHARS || 500_000); // tsvector tops out near 1MB
+const SEARCH_MAX_LIMIT = 50;
+const INDEXABLE = ["pdf", "office", "text"];
+
+/* ------------------------------ Extraction ----------------------------- */
+// Control chars and the private-use snippet markers never reach the index
+const cleanText = (s) =>
+  String(s || "")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\uE000\uE001]/g, " ")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim()
+    .slice(0, MAX_CHARS);
+
+/** Text of a local file; { status: "indexed"|"empty"|"unsupported", text } */
+export async function extractText(localPath, { mime_type = "", file_name = "" } = {}) {
+  const strategy = decidePreviewStrategy({ mime: mime_type || "", file_name });
+  let raw;
+  if (strategy === "pdf") {
+    raw = await pdfToText(localPath, { maxChars: MAX_CHARS });
+  } else if (strategy === "office") {
+    const pdf = await officeToPdf(localPath);
+    try {
+      raw = await pdfToText(pdf, { maxChars: MAX_CHARS });
+    } finally {
+      await fsp.unlink(pdf).catch(() => {});
+    }
+  } else if (strategy === "text") {
+    // Read only what can be indexed (UTF-8 is at most 4 bytes per char)
+    const fh = await fsp.open(localPath, "r");
+    try {
+      const buf = Buffer.alloc(Math.min((await fh.stat()).size, MAX_CHARS * 4));
+      await fh.read(buf, 0, buf.length, 0);
+      raw = buf.toString("utf8");
+    } finally {
+      await fh.close();
+    }
+  } else {
+    return { status: "unsupported", text: null };
+  }
+  const text = cleanText(raw);
+  return { status: text ? "indexed" : "empty", text: text || null };
+}
+
+/* ------------------------------- Indexing ------------------------------ */
+/** Extract and store the text of a document's current version; resolves with the status */
+export async function indexDocument(documentId) {
+  const { rows } = await pool.query(
+    `SELECT v.version_no, v.file_path, v.file_name, v.mime_type
+       FROM documents d
+       JOIN document_versions v ON v.document_id = d.document_id AND v.version_no = d.current_version_no
+      WHERE d.document_id = $1
+      LIMIT 1`,
+    [documentId]
+  );
+  if (!rows.length) return null;
+  const v = rows[0];
+
+  let result;
+  try {
+    // Skip the download for media and other binaries
+    const indexable = INDEXABLE.includes(decidePreviewStrategy({ mime: v.mime_type || "", file_name: v.file_name }));
+    result = indexable
+      ? await withLocalCopy(v.file_path, (local) => extractText(local, v))
+      : { status: "unsupported", text: null };
+  } catch (err) {
+    result = { status: "failed", text: null, error: String(err?.shortMessage || err?.message || err).slice(0, 500) };
+  }
+
+  // A slower run for an older version must not overwrite a newer index; FK fails if the document is gone
+  await pool.query(
+    `INSERT INTO document_contents (document_id, version_no, status, error, content, indexed_at)
+     SELECT $1, $2, $3, $4, $5, now()
+      WHERE EXISTS (SELECT 1 FROM documents WHERE document_id = $1)
+     ON CONFLICT (document_id) DO UPDATE
+        SET version_no = EXCLUDED.version_no, status = EXCLUDED.status, error = EXCLUDED.error,
+            content = EXCLUDED.content, indexed_at = now()
+      WHERE document_contents.version_no <= EXCLUDED.version_no`,
+    [documentId, v.version_no, result.status, result.error || null, result.text]
+  );
+  return result.status;
+}
+
+/** Fire-and-forget indexing after an upload / new version / restore */
+export function queueContentIndex(documentId) {
+  enqueueToolJob(`index:${documentId}`, () => indexDocument(documentId));
+}
+
+/* -------------------------------- Search ------------------------------- */
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Markers are private-use chars (stripped from indexed text) so the snippet can be HTML-escaped safely
+const HEADLINE_OPTS = `StartSel=\uE000, StopSel=\uE001, MaxFragments=3, MaxWords=18, MinWords=6, FragmentDelimiter=" … "`;
+const toSnippetHtml = (s) => escapeHtml(s || "").replace(/\uE000/g, "<mark>").replace(/\uE001/g, "</mark>");
+
+/** ?q= ?limit= ?offset= for content search; { opts } or { error } */
+export function parseContentSearchQuery(q = {}) {
+  const text = String(q.q || "").trim().slice(0, 200);
+  if (!text) return { error: "q required" };
+  return {
+    opts: {
+      q: text,
+      limit: Math.max(1, Math.min(SEARCH_MAX_LIMIT, parseInt(q.limit, 10) || 20)),
+      offset: Math.max(0, parseInt(q.offset, 10) || 0),
+    },
+  };
+}
+
+/**
+ * Ranked content search over a set of visible documents.
+ * `ctes` must define `visible(document_id, share_id, share_token, via, pinned_version_no, priority)`
+ * using `args` ($1..$n). Owners match any indexed version; shares only match the version they serve.
+ */
+async function runContentSearch(ctes, args, { q, limit, offset }) {
+  const n = args.length;
+  const sql = `
+    WITH RECURSIVE ${ctes},
+    query AS (SELECT websearch_to_tsquery('english', $${n + 1}) AS tsq),
+    hits AS (
+      SELECT DISTINCT ON (v.document_id)
+             v.document_id, v.share_id, v.share_token, v.via, ts_rank_cd(dc.content_tsv, query.tsq) AS rank
+        FROM visible v
+        JOIN document_contents dc ON dc.document_id = v.document_id AND dc.status = 'indexed'
+        JOIN documents d ON d.document_id = v.document_id
+        CROSS JOIN query
+       WHERE dc.content_tsv @@ query.tsq
+         AND (v.via = 'owner' OR dc.version_no = COALESCE(v.pinned_version_no, d.current_version_no))
+       ORDER BY v.document_id, v.priority
+    ),
+    page AS (
+      SELECT hits.*, COUNT(*) OVER () AS total
+        FROM hits
+       ORDER BY rank DESC, document_id
+       LIMIT ${limit} OFFSET ${offset}
+    )
+    SELECT p.document_id, p.share_id, p.share_token, p.via, p.rank, p.total,
+           d.file_name, d.mime_type, d.file_size_bytes, d.folder_id, dc.version_no,
+           ts_headline('english', dc.content, query.tsq, $${n + 2}) AS snippet
+      FROM page p
+      JOIN documents d ON d.document_id = p.document_id
+      JOIN document_contents dc ON dc.document_id = p.document_id
+      CROSS JOIN query
+     ORDER BY p.rank DESC, p.document_id`;
+  const { rows } = await pool.query(sql, [...args, q, HEADLINE_OPTS]);
+
+  return {
+    total: rows.length ? Number(rows[0].total) : 0,
+    results: rows.map(({ total, snippet, rank, ...r }) => ({
+      ...r,
+      rank: Number(Number(rank).toFixed(6)),
+      snippet_html: toSnippetHtml(snippet),
+    })),
+  };
+}
+
+// Shares addressed to $1 / $2 that are usable right now, as checkShareAccess decides: not revoked, expired
+// or used up, allowing view (snippets show content), and private ones need a verified OTP
+const RECEIVED_SHARES = `
+  SELECT s.* FROM shares s
+   WHERE s.is_revoked = FALSE
+     AND (s.expiry_time IS NULL OR s.expiry_time > now())
+     AND (s.permissions->>'view')::boolean
+     AND NOT (s.max_views IS NOT NULL AND COALESCE(s.views_used, 0) >= s.max_views
+              AND ((s.max_downloads IS NOT NULL AND COALESCE(s.downloads_used, 0) >= s.max_downloads)
+                   OR NOT (s.permissions->>'download')::boolean))
+     AND (s.to_user_id = $1 OR (s.to_user_id IS NULL AND LOWER(s.to_user_email) = LOWER($2) AND s.attach_on_register))
+     AND (s.access = 'public' OR EXISTS (
+           SELECT 1 FROM otp_verifications o
+            WHERE o.share_id = s.share_id AND o.user_id = $1
+              AND o.is_verified = TRUE AND o.expiry_time > now()))`;
+
+/** Search my documents and/or documents shared with me; scope = all | owned | shared */
+export function searchUserContent(user, opts, scope = "all") {
+  const parts = [];
+  if (scope !== "shared") {
+    parts.push(`SELECT d.document_id, NULL::uuid AS share_id, NULL::text AS share_token, 'owner'::text AS via,
+                       NULL::int AS pinned_version_no, 0 AS priority
+                  FROM documents d WHERE d.owner_user_id = $1`);
+  }
+  if (scope !== "owned") {
+    parts.push(`SELECT s.document_id, s.share_id, s.share_token, 'share', pv.version_no, 1
+                  FROM recv s LEFT JOIN document_versions pv ON pv.version_id = s.pinned_version_id
+                 WHERE s.document_id IS NOT NULL`);
+    parts.push(`SELECT d.document_id, t.share_id, t.share_token, 'folder_share', NULL::int, 2
+                  FROM tree t JOIN documents d ON d.folder_id = t.folder_id AND d.owner_user_id = t.from_user_id`);
+  }
+  const ctes = `
+    recv AS (${RECEIVED_SHARES}),
+    tree AS (
+      SELECT s.share_id, s.share_token, s.folder_id, s.from_user_id FROM recv s WHERE s.folder_id IS NOT NULL
+      UNION ALL
+      SELECT t.share_id, t.share_token, c.folder_id, t.from_user_id FROM folders c JOIN tree t ON c.parent_id = t.folder_id
+    ),
+    visible (document_id, share_id, share_token, via, pinned_version_no, priority) AS (${parts.join("\n UNION ALL \n")})`;
+  return runContentSearch(ctes, [user.user_id, user.email || ""], opts);
+}
+
+/** Search inside a folder share (caller has already applied checkShareAccess) */
+export function searchFolderShareContent(share, opts) {
+  const ctes = `
+    tree AS (
+      SELECT folder_id FROM folders WHERE folder_id = $1
+      UNION ALL
+      SELECT c.folder_id FROM folders c JOIN tree t ON c.parent_id = t.folder_id
+    ),
+    visible AS (
+      SELECT d.document_id, $2::uuid AS share_id, $3::text AS share_token, 'folder_share'::text AS via,
+             NULL::int AS pinned_version_no, 0 AS priority
+        FROM tree t JOIN documents d ON d.folder_id = t.folder_id AND d.owner_user_id = $4
+    )`;
+  return runContentSearch(ctes, [share.folder_id, share.share_id, share.share_token, share.from_user_id], opts);
+}
+
+/* --------------------------------- CLI --------------------------------- */
+async function main(argv) {
+  const all = argv.includes("--all");
+  const { rows } = await pool.query(
+    all
+      ? `SELECT document_id FROM documents ORDER BY created_at`
+      : `SELECT d.document_id FROM documents d
+          LEFT JOIN document_contents dc ON dc.document_id = d.document_id
+         WHERE dc.document_id IS NULL OR dc.version_no < d.current_version_no
+         ORDER BY d.created_at`
+  );
+  const counts = {};
+  for (const { document_id } of rows) {
+    const status = await indexDocument(document_id);
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  console.log(`🔎 indexed ${rows.length} document(s)`, counts);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error("❌ CONTENT_INDEX_ERROR:", err.message);
+      await pool.end().catch(() => {});
+      process.exit(1);
+    });
+}
@@ -0,0 +1,204 @@
+// utils/convert.js
+// Document conversions (docx-to-pdf, pdf-to-jpg, compress-pdf, compress-image), run as "convert" jobs.
+//
+// Job payload:
+//   { operation, source: { document_id, version_no } | { upload_key, file_name, mime_type },
+//     save_as: "document" | "version", folder_id, options: { preset, q } }
+// Results are saved as new documents owned by the job's user, or as a new version of the source.
+import path from "node:path";
+import fsp from "node:fs/promises";
+import { execa } from "execa";
+import sharp from "sharp";
+import { v4 as uuid } from "uuid";
+import { pool } from "../db/db.js";
+import { storage, tmpPath } from "./storage/index.js";
+import { createDocuments, addDocumentVersion } from "./documents.js";
+import { permanentError } from "./jobs.js";
+import { officeToPdf, PDFTOPPM_BIN, GS_BIN, TOOL_TIMEOUT_MS } from "./tools.js";
+
+const MAX_PAGES = Number(process.env.CONVERT_MAX_PAGES || 50); // pdf-to-jpg page cap
+
+export const isPdf = (m, n) => /pdf/i.test(m || "") || /\.pdf$/i.test(n || "");
+const isDocx  = (m, n) =>
+  /officedocument\.wordprocessingml\.document|msword/i.test(m || "") ||
+  /\.(docx|doc)$/i.test(n || "");
+const isImg   = (m, n) =>
+  /^image\//i.test(m || "") || /\.(jpe?g|png)$/i.test(n || "");
+
+function safeBase(name = "file") {
+  return (name.replace(/[^\w.\- ]+/g, "_") || "file").replace(/\s+/g, "_");
+}
+export const baseName = (fileName) => safeBase(path.parse(fileName || "file").name);
+
+export const PDF_PRESETS = ["screen", "ebook", "printer", "prepress"];
+
+/* ------------------------------ Converters ------------------------------
+   convert(inPath, workDir, src, options, signal) -> [{ localPath, file_name, mime_type }]
+   Everything is written inside workDir, which is removed afterwards.
+------------------------------------------------------------------------- */
+async function docxToPdf(inPath, workDir, src, _options, signal) {
+  const pdf = await officeToPdf(inPath, { signal });
+  const outPath = path.join(workDir, "out.pdf");
+  await fsp.rename(pdf, outPath);
+  return [{ localPath: outPath, file_name: `${baseName(src.file_name)}-converted.pdf`, mime_type: "application/pdf" }];
+}
+
+async function pdfToJpg(inPath, workDir, src, _options, signal) {
+  const pagesDir = path.join(workDir, "pages");
+  await fsp.mkdir(pagesDir);
+  await execa(PDFTOPPM_BIN, ["-jpeg", "-r", "150", "-l", String(MAX_PAGES), inPath, path.join(pagesDir, "page")], {
+    timeout: TOOL_TIMEOUT_MS,
+    cancelSignal: signal,
+  });
+
+  const pageNo = (f) => parseInt((f.match(/-(\d+)\.jpg$/i) || [])[1] || "0", 10);
+  const files = (await fsp.readdir(pagesDir)).filter((f) => /\.jpg$/i.test(f)).sort((a, b) => pageNo(a) - pageNo(b));
+  return files.map((f) => ({
+    localPath: path.join(pagesDir, f),
+    file_name: `${baseName(src.file_name)}-page-${pageNo(f)}.jpg`,
+    mime_type: "image/jpeg",
+  }));
+}
+
+async function compressPdf(inPath, workDir, src, options, signal) {
+  const level = PDF_PRESETS.includes(options.preset) ? options.preset : "screen";
+  const outPath = path.join(workDir, "out.pdf");
+  await execa(GS_BIN, [
+    "-sDEVICE=pdfwrite",
+    "-dCompatibilityLevel=1.4",
+    `-dPDFSETTINGS=/${level}`,
+    "-dNOPAUSE",
+    "-dQUIET",
+    "-dBATCH",
+    `-sOutputFile=${outPath}`,
+    inPath,
+  ], { timeout: TOOL_TIMEOUT_MS, cancelSignal: signal });
+  return [{ localPath: outPath, file_name: `${baseName(src.file_name)}-compressed.pdf`, mime_type: "application/pdf" }];
+}
+
+async function compressImage(inPath, workDir, src, options) {
+  const q = Math.max(1, Math.min(100, parseInt(options.q, 10) || 75));
+  const outPath = path.join(workDir, "out.jpg");
+  await sharp(inPath)
+    .rotate()
+    .jpeg({ quality: q, mozjpeg: true })
+    .toFile(outPath);
+  return [{ localPath: outPath, file_name: `${baseName(src.file_name)}-min.jpg`, mime_type: "image/jpeg" }];
+}
+
+/** operation -> { accepts(mime, name), onlyMsg, convert, multiOutput } */
+export const CONVERSIONS = {
+  "docx-to-pdf": { accepts: isDocx, onlyMsg: "Only DOC/DOCX allowed", convert: docxToPdf },
+  "pdf-to-jpg": { accepts: isPdf, onlyMsg: "Only PDF allowed", convert: pdfToJpg, multiOutput: true },
+  "compress-pdf": { accepts: isPdf, onlyMsg: "Only PDF allowed", convert: compressPdf },
+  "compress-image": { accepts: isImg, onlyMsg: "Only JPG/PNG allowed", convert: compressImage },
+};
+
+/* -------------------------------- Sources ------------------------------- */
+/** The caller's document (current or a given version) as a conversion source, or null */
+export async function ownedSource(userId, documentId, versionNo = null) {
+  const { rows } = await pool.query(
+    `SELECT d.document_id, d.folder_id, v.version_no, v.file_name, v.file_path, v.mime_type
+       FROM documents d
+       JOIN document_versions v ON v.document_id = d.document_id
+                               AND v.version_no = COALESCE($3::int, d.current_version_no)
+      WHERE d.document_id = $1 AND d.owner_user_id = $2
+      LIMIT 1`,
+    [documentId, userId, versionNo]
+  );
+  return rows[0] || null;
+}
+
+/* -------------------------------- Saving -------------------------------- */
+/**
+ * Store job outputs ([{ localPath, file_name, mime_type }]) for the job's user: a new version of
+ * src.document_id (saveAs "version", first output) or new documents next to the source
+ * (or in payload.folder_id). Resolves with the job result.
+ */
+export async function saveOutputs(job, outputs, { operation, src, saveAs, note }) {
+  // Outputs go to storage first; any that never get a database row are removed in `finally`
+  const storedKeys = [];
+  try {
+    const files = [];
+    for (const out of outputs) {
+      const key = `${job.user_id}/${Date.now()}-${uuid()}${path.extname(out.file_name)}`;
+      const { size } = await fsp.stat(out.localPath);
+      await storage.putFile(key, out.localPath, { contentType: out.mime_type });
+      storedKeys.push(key);
+      files.push({ file_name: out.file_name, file_path: key, mime_type: out.mime_type, file_size_bytes: size });
+    }
+
+    if (saveAs === "version") {
+      const version = await addDocumentVersion(src.document_id, job.user_id, files[0], { note });
+      if (!version) throw permanentError("Source document no longer exists");
+      storedKeys.length = 0;
+      return {
+        operation,
+        saved_as: "version",
+        document_id: src.document_id,
+        version_no: version.version_no,
+        file_name: version.file_name,
+        view_url: `/documents/view/${src.document_id}`,
+        download_url: `/documents/download/${src.document_id}`,
+      };
+    }
+
+    // New documents land next to the source unless a folder was given
+    const folderId = "folder_id" in job.payload ? job.payload.folder_id : src.folder_id ?? null;
+    // All outputs or none, so a retried job never saves the same pages twice
+    const docs = await createDocuments(job.user_id, files, { note, folderId });
+    storedKeys.length = 0;
+    const documents = docs.map((doc) => ({
+      document_id: doc.document_id,
+      file_name: doc.file_name,
+      mime_type: doc.mime_type,
+      file_size_bytes: doc.file_size_bytes,
+      view_url: `/documents/view/${doc.document_id}`,
+      download_url: `/documents/download/${doc.document_id}`,
+    }));
+    return { operation, saved_as: "document", source_document_id: src.document_id, documents };
+  } finally {
+    for (const key of storedKeys) await storage.remove(key).catch(() => {});
+  }
+}
+
+/* ---------------------------------- Job --------------------------------- */
+export async function runConversionJob(job, { signal, progress }) {
+  const { operation, source, save_as: saveAs, options = {} } = job.payload;
+  const conv = CONVERSIONS[operation];
+  if (!conv) throw permanentError(`Unknown operation "${operation}"`);
+
+  let src;
+  if (source.upload_key) {
+    src = { document_id: null, version_no: null, file_name: source.file_name, file_path: source.upload_key };
+  } else {
+    src = await ownedSource(job.user_id, source.document_id, source.version_no);
+    if (!src) throw permanentError("Source document no longer exists");
+  }
+
+  const workDir = tmpPath("-convert");
+  try {
+    await fsp.mkdir(workDir, { recursive: true });
+    const inPath = path.join(workDir, `source${path.extname(src.file_name || "").toLowerCase()}`);
+    await storage.downloadToFile(src.file_path, inPath);
+    await progress(10, "converting");
+
+    const outputs = await conv.convert(inPath, workDir, src, options, signal);
+    if (!outputs.length) throw permanentError("Conversion produced no output");
+    signal.throwIfAborted();
+    await progress(70, "saving");
+
+    const note = src.document_id
+      ? `${operation} of v${src.version_no} "${src.file_name}"`
+      : `${operation} of upload "${src.file_name}"`;
+    return await saveOutputs(job, outputs, { operation, src, saveAs, note });
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/** Final-state hook: drop the staged upload */
+export async function cleanupConversionJob(job) {
+  const key = job.payload?.source?.upload_key;
+  if (key) await storage.remove(key);
+}
@@ -0,0 +1,108 @@
+// utils/documents.js
+import { pool } from "../db/db.js";
+import { queueContentIndex } from "./contentIndex.js";
+import { queueThumbnails } from "./thumbnails.js";
+
+/**
+ * Insert documents together with their first version rows, all or none (one transaction).
+ * `files` = [{ file_name, file_path (storage key), mime_type, file_size_bytes }]; `folderId` null = top level.
+ */
+export async function createDocuments(ownerUserId, files, { note = null, folderId = null, tags = [] } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const created = [];
+    for (const file of files) {
+      const { rows } = await client.query(
+        `INSERT INTO documents (owner_user_id, file_name, file_path, mime_type, file_size_bytes, folder_id, tags)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         RETURNING *`,
+        [ownerUserId, file.file_name, file.file_path, file.mime_type || null, file.file_size_bytes ?? null, folderId, tags]
+      );
+      const doc = rows[0];
+      const ver = await client.query(
+        `INSERT INTO document_versions (document_id, version_no, file_name, file_path, mime_type, file_size_bytes, uploaded_by, note)
+         VALUES ($1, 1, $2, $3, $4, $5, $6, $7)
+         RETURNING version_id`,
+        [doc.document_id, doc.file_name, doc.file_path, doc.mime_type, doc.file_size_bytes, ownerUserId, note]
+      );
+      created.push({ doc, versionId: ver.rows[0].version_id });
+    }
+    await client.query("COMMIT");
+    for (const { doc, versionId } of created) {
+      queueContentIndex(doc.document_id);
+      queueThumbnails(versionId);
+    }
+    return created.map(({ doc }) => doc);
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Insert one document with its first version row (see createDocuments) */
+export async function createDocument(ownerUserId, file, opts = {}) {
+  const [doc] = await createDocuments(ownerUserId, [file], opts);
+  return doc;
+}
+
+/**
+ * Append a version to a document owned by `userId` and make it current.
+ * Returns the new version row, or null when the document is not found / not owned.
+ */
+export async function addDocumentVersion(documentId, userId, file, { note = null, restoredFrom = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    // Row lock serializes concurrent uploads so version numbers never collide
+    const cur = await client.query(
+      `SELECT current_version_no FROM documents WHERE document_id=$1 AND owner_user_id=$2 FOR UPDATE`,
+      [documentId, userId]
+    );
+    if (!cur.rowCount) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    const nextNo = cur.rows[0].current_version_no + 1;
+
+    const { rows } = await client.query(
+      `INSERT INTO document_versions
+         (document_id, version_no, file_name, file_path, mime_type, file_size_bytes, uploaded_by, note, restored_from)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING *`,
+      [documentId, nextNo, file.file_name, file.file_path, file.mime_type || null, file.file_size_bytes ?? null, userId, note, restoredFrom]
+    );
+    await client.query(
+      `UPDATE documents
+          SET file_name=$2, file_path=$3, mime_type=$4, file_size_bytes=$5, current_version_no=$6
+        WHERE document_id=$1`,
+      [documentId, file.file_name, file.file_path, file.mime_type || null, file.file_size_bytes ?? null, nextNo]
+    );
+    await client.query("COMMIT");
+    queueContentIndex(documentId);
+    queueThumbnails(rows[0].version_id);
+    return rows[0];
+  } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/** Every distinct storage key a document's versions and thumbnails point at (restores share keys) */
+export async function documentStorageKeys(documentId) {
+  const { rows } = await pool.query(
+    `SELECT file_path FROM documents WHERE document_id=$1
+     UNION
+     SELECT file_path FROM document_versions WHERE document_id=$1
+     UNION
+     SELECT t.file_path FROM document_thumbnails t
+       JOIN document_versions v ON v.version_id = t.version_id
+      WHERE v.document_id=$1`,
+    [documentId]
+  );
+  return rows.map((r) => r.file_path);
+}
@@ -0,0 +1,97 @@
+// utils/folders.js
+import { pool } from "../db/db.js";
+
+export const isUuid = (s) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(s || ""));
+
+/** Trimmed folder name, or null when empty / unusable */
+export function cleanFolderName(name) {
+  const s = String(name ?? "").replace(/[\u0000-\u001f/\\]/g, " ").trim().slice(0, 120);
+  return s || null;
+}
+
+/** A folder owned by `userId`, or null */
+export async function ownedFolder(userId, folderId, db = pool) {
+  if (!isUuid(folderId)) return null;
+  const { rows } = await db.query(
+    `SELECT * FROM folders WHERE folder_id = $1 AND owner_user_id = $2 LIMIT 1`,
+    [folderId, userId]
+  );
+  return rows[0] || null;
+}
+
+/** True when `folderId` is `ancestorId` itself or sits anywhere below it */
+export async function isWithinFolder(folderId, ancestorId, db = pool) {
+  if (!folderId || !ancestorId) return false;
+  const { rows } = await db.query(
+    `WITH RECURSIVE up AS (
+       SELECT folder_id, parent_id FROM folders WHERE folder_id = $1
+       UNION ALL
+       SELECT f.folder_id, f.parent_id FROM folders f JOIN up ON f.folder_id = up.parent_id
+     )
+     SELECT 1 FROM up WHERE folder_id = $2 LIMIT 1`,
+    [folderId, ancestorId]
+  );
+  return rows.length > 0;
+}
+
+/**
+ * Breadcrumb from the top down to `folderId`: [{ folder_id, name }, ...].
+ * With `stopAt`, the path starts at that folder (used for shared folders, so parents stay hidden).
+ */
+export async function folderPath(folderId, stopAt = null) {
+  const { rows } = await pool.query(
+    `WITH RECURSIVE up AS (
+       SELECT folder_id, parent_id, name, 0 AS depth FROM folders WHERE folder_id = $1
+       UNION ALL
+       SELECT f.folder_id, f.parent_id, f.name, up.depth + 1
+         FROM folders f JOIN up ON f.folder_id = up.parent_id
+        WHERE up.folder_id IS DISTINCT FROM $2::uuid
+     )
+     SELECT folder_id, name FROM up ORDER BY depth DESC`,
+    [folderId, stopAt]
+  );
+  return rows;
+}
+
+/** Direct subfolders and documents of a folder (null = the owner's top level) */
+export async function folderContents(ownerUserId, folderId) {
+  const [folders, documents] = await Promise.all([
+    pool.query(
+      `SELECT f.folder_id, f.parent_id, f.name, f.created_at, f.updated_at,
+              (SELECT COUNT(*)::int FROM folders c WHERE c.parent_id = f.folder_id)    AS folder_count,
+              (SELECT COUNT(*)::int FROM documents d WHERE d.folder_id = f.folder_id) AS document_count
+         FROM folders f
+        WHERE f.owner_user_id = $1 AND f.parent_id IS NOT DISTINCT FROM $2::uuid
+        ORDER BY LOWER(f.name)`,
+      [ownerUserId, folderId]
+    ),
+    pool.query(
+      `SELECT d.document_id, d.folder_id, d.file_name, d.mime_type, d.file_size_bytes, d.current_version_no,
+              d.tags, d.created_at, cv.thumbnail_status
+         FROM documents d
+         LEFT JOIN document_versions cv ON cv.document_id = d.document_id AND cv.version_no = d.current_version_no
+        WHERE d.owner_user_id = $1 AND d.folder_id IS NOT DISTINCT FROM $2::uuid
+        ORDER BY d.created_at DESC`,
+      [ownerUserId, folderId]
+    ),
+  ]);
+  return { folders: folders.rows, documents: documents.rows };
+}
+
+/**
+ * Move documents owned by `userId` into `folderId` (null = top level).
+ * Returns the ids actually moved; ids the user does not own are ignored.
+ */
+export async function moveDocuments(userId, documentIds, folderId) {
+  const { rows } = await pool.query(
+    `UPDATE documents SET folder_id = $3
+      WHERE owner_user_id = $1 AND document_id = ANY($2::uuid[])
+      RETURNING document_id`,
+    [userId, documentIds, folderId]
+  );
+  return rows.map((r) => r.document_id);
+}
+
+/** Postgres unique violation on the sibling-name index */
+export const isDuplicateFolderName = (err) =>
+  err?.code === "23505" && String(err?.constraint || "").includes("folders_sibling_name");
@@ -0,0 +1,54 @@
+// utils/guests.js
+// Guest recipients: private shares addressed to an email that has no account.
+// The share OTP is mailed to the address itself and a verified guest is recorded in share_guests
+// (no users row). If the person registers later with that address, shares created with
+// attach_on_register move onto the new account and follow the registered-recipient rules from then on.
+import { pool } from "../db/db.js";
+
+/** Private share addressed by email only (no registered recipient) */
+export const isGuestShare = (share) => share.access === "private" && !share.to_user_id && !!share.to_user_email;
+
+/** Guest row for an address, created on first use */
+export async function guestForEmail(email, db = pool) {
+  const { rows } = await db.query(
+    `INSERT INTO share_guests (email) VALUES (LOWER($1))
+     ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+     RETURNING *`,
+    [email]
+  );
+  return rows[0];
+}
+
+/** Existing guest for an address (null when none) */
+export async function findGuest(email, db = pool) {
+  const { rows } = await db.query(`SELECT * FROM share_guests WHERE email = LOWER($1) LIMIT 1`, [email]);
+  return rows[0] || null;
+}
+
+/** Record a successful OTP check */
+export async function markGuestVerified(guestId, db = pool) {
+  await db.query(
+    `UPDATE share_guests
+        SET first_verified_at = COALESCE(first_verified_at, now()), last_verified_at = now()
+      WHERE guest_id = $1`,
+    [guestId]
+  );
+}
+
+/**
+ * After registration: link the guest identity to the new account and move the private shares
+ * addressed to it (where the owner allowed it) onto the account. Resolves with the number of shares moved.
+ */
+export async function attachGuestShares(user, db = pool) {
+  await db.query(
+    `UPDATE share_guests SET user_id = $1, attached_at = now() WHERE email = LOWER($2) AND user_id IS NULL`,
+    [user.user_id, user.email]
+  );
+  const { rowCount } = await db.query(
+    `UPDATE shares SET to_user_id = $1
+      WHERE access = 'private' AND to_user_id IS NULL AND attach_on_register
+        AND LOWER(to_user_email) = LOWER($2)`,
+    [user.user_id, user.email]
+  );
+  return rowCount;
+}
@@ -0,0 +1,17 @@
+// utils/jobHandlers.js
+// Every job type (and housekeeping task) the workers know about.
+// Imported by the API process and by `npm run worker`.
+import { registerJobType, registerPeriodicTask } from "./jobs.js";
+import { runConversionJob, cleanupConversionJob } from "./convert.js";
+import { runPdfPagesJob } from "./pdfPages.js";
+import { runReduceJob, cleanupReduceJob, sweepExpiredReductions } from "./reduce.js";
+import { runShareNotifyJob } from "./shareNotify.js";
+import { runAccessRequestNoticeJob } from "./accessRequests.js";
+
+registerJobType("convert", runConversionJob, { cleanup: cleanupConversionJob });
+registerJobType("pdf-pages", runPdfPagesJob);
+registerJobType("reduce", runReduceJob, { cleanup: cleanupReduceJob });
+registerJobType("share-notify", runShareNotifyJob, { timeoutMs: 60_000, maxAttempts: 4 });
+registerJobType("access-request-notify", runAccessRequestNoticeJob, { timeoutMs: 60_000, maxAttempts: 4 });
+
+registerPeriodicTask("expire-reductions", 15 * 60_000, sweepExpiredReductions);
@@ -0,0 +1,303 @@
+// utils/jobs.js
+// Postgres-backed job queue for heavy work (Ghostscript, LibreOffice, pdftoppm, sharp).
+//
+// The API process runs a worker by default (JOB_WORKER=0 to disable, e.g. when workers run apart):
+//   npm run worker   -> standalone worker process
+//
+// Handlers: registerJobType(type, handler, { timeoutMs, maxAttempts, cleanup })
+//   handler(job, { signal, progress(pct, message) }) -> result (stored as JSON)
+//   handlers must stop soon after `signal` aborts (timeout, cancel, shutdown): the slot is held until they settle;
+//   check `signal` before side effects (mail, new documents), since a handler that resolves counts as done
+//   cleanup(job) runs once when the job reaches a final state (staged inputs etc.)
+// Throw permanentError(msg) for failures a retry cannot fix.
+// Housekeeping: registerPeriodicTask(name, everyMs, fn) runs fn on each worker at most every everyMs.
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { v4 as uuid } from "uuid";
+import { pool } from "../db/db.js";
+
+const CONCURRENCY = Math.max(1, Number(process.env.JOB_CONCURRENCY || 1));
+const POLL_MS = Number(process.env.JOB_POLL_MS || 1000);
+const DEFAULT_TIMEOUT_MS = Number(process.env.JOB_TIMEOUT_MS || 10 * 60_000);
+const RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS || 14);
+const LEASE_GRACE_MS = 60_000; // a worker that died is detected this long after the job's timeout
+
+export const JOB_STATUSES = ["queued", "running", "succeeded", "failed", "cancelled"];
+const FINAL = ["succeeded", "failed", "cancelled"];
+
+/* ------------------------------- Registry ------------------------------ */
+const types = new Map();
+
+export function registerJobType(type, handler, { timeoutMs = DEFAULT_TIMEOUT_MS, maxAttempts = 3, cleanup = null } = {}) {
+  types.set(type, { handler, timeoutMs, maxAttempts, cleanup });
+}
+
+/** Error that fails the job straight away instead of retrying */
+export function permanentError(message) {
+  const err = new Error(message);
+  err.permanent = true;
+  return err;
+}
+
+async function runCleanup(job) {
+  const t = types.get(job.type);
+  if (!t?.cleanup) return;
+  try {
+    await t.cleanup(job);
+  } catch (err) {
+    console.error("JOB_CLEANUP_ERROR:", job.job_id, err?.message || err);
+  }
+}
+
+/* --------------------------------- API --------------------------------- */
+/** Public shape of a job row (payload stays internal) */
+export function jobView(j) {
+  return {
+    job_id: j.job_id,
+    type: j.type,
+    status: j.status,
+    progress: j.progress,
+    progress_message: j.progress_message,
+    attempts: j.attempts,
+    max_attempts: j.max_attempts,
+    result: j.result,
+    error: j.error,
+    cancel_requested: j.cancel_requested,
+    created_at: j.created_at,
+    started_at: j.started_at,
+    finished_at: j.finished_at,
+    status_url: `/jobs/${j.job_id}`,
+  };
+}
+
+/** Storage key for an uploaded input waiting for its job (removed by the job type's cleanup) */
+export const stagedUploadKey = (fileName) => `jobs/${uuid()}/source${path.extname(fileName || "").toLowerCase()}`;
+
+/** Queue a job (not before `runAfter` when given); resolves with the row */
+export async function enqueueJob({ type, userId = null, payload = {}, runAfter = null, db = pool }) {
+  const t = types.get(type);
+  if (!t) throw new Error(`Unknown job type "${type}"`);
+  const { rows } = await db.query(
+    `INSERT INTO jobs (user_id, type, payload, max_attempts, timeout_ms, run_after)
+     VALUES ($1,$2,$3,$4,$5,COALESCE($6, now()))
+     RETURNING *`,
+    [userId, type, JSON.stringify(payload), t.maxAttempts, t.timeoutMs, runAfter]
+  );
+  wake();
+  return rows[0];
+}
+
+/**
+ * Cancel a job. Queued jobs stop immediately; running ones are flagged and aborted by their
+ * worker within a poll interval. Resolves with the updated row, or null when not found.
+ */
+export async function cancelJob(jobId) {
+  const q = await pool.query(
+    `UPDATE jobs
+        SET status = 'cancelled', cancel_requested = TRUE, finished_at = now(), updated_at = now()
+      WHERE job_id = $1 AND status = 'queued'
+      RETURNING *`,
+    [jobId]
+  );
+  if (q.rowCount) {
+    await runCleanup(q.rows[0]);
+    return q.rows[0];
+  }
+  const r = await pool.query(
+    `UPDATE jobs SET cancel_requested = TRUE, updated_at = now()
+      WHERE job_id = $1 AND status = 'running'
+      RETURNING *`,
+    [jobId]
+  );
+  if (r.rowCount) return r.rows[0];
+  const cur = await pool.query(`SELECT * FROM jobs WHERE job_id = $1`, [jobId]);
+  return cur.rows[0] || null;
+}
+
+/* ---------------------------- Periodic tasks ---------------------------- */
+// Housekeeping that runs on every worker between polls (tasks must be idempotent)
+const periodic = new Map();
+
+export function registerPeriodicTask(name, everyMs, fn) {
+  periodic.set(name, { everyMs, fn, lastRun: 0 });
+}
+
+async function runPeriodicTasks() {
+  for (const [name, t] of periodic) {
+    if (Date.now() - t.lastRun < t.everyMs) continue;
+    t.lastRun = Date.now();
+    try {
+      await t.fn();
+    } catch (err) {
+      console.error("PERIODIC_TASK_ERROR:", name, err?.message || err);
+    }
+  }
+}
+
+registerPeriodicTask("prune-jobs", 3600_000, () =>
+  pool.query(
+    `DELETE FROM jobs WHERE status = ANY($1::text[]) AND finished_at < now() - make_interval(days => $2)`,
+    [FINAL, RETENTION_DAYS]
+  )
+);
+
+/* -------------------------------- Worker ------------------------------- */
+const WORKER_ID = `${os.hostname()}:${process.pid}:${uuid().slice(0, 8)}`;
+const running = new Map(); // job_id -> AbortController
+let active = false;
+let timer = null;
+let ticking = false;
+let again = false; // woken while a tick was in flight
+
+/** Poll right away (new job queued here, or a slot freed up) */
+function wake() {
+  if (!active) return;
+  if (ticking) {
+    again = true;
+    return;
+  }
+  clearTimeout(timer);
+  setImmediate(tick);
+}
+
+async function tick() {
+  if (ticking || !active) return;
+  ticking = true;
+  again = false;
+  try {
+    await recoverStale();
+    await checkCancellations();
+    const free = CONCURRENCY - running.size;
+    if (free > 0 && types.size) {
+      const { rows } = await pool.query(
+        `UPDATE jobs j
+            SET status = 'running', attempts = j.attempts + 1, locked_by = $1,
+                locked_until = now() + make_interval(secs => (j.timeout_ms + ${LEASE_GRACE_MS}) / 1000.0),
+                started_at = COALESCE(j.started_at, now()), updated_at = now()
+          WHERE j.job_id IN (
+                SELECT job_id FROM jobs
+                 WHERE status = 'queued' AND run_after <= now() AND type = ANY($2::text[])
+                 ORDER BY run_after, created_at
+                 FOR UPDATE SKIP LOCKED
+                 LIMIT $3)
+          RETURNING j.*`,
+        [WORKER_ID, [...types.keys()], free]
+      );
+      for (const job of rows) runJob(job);
+    }
+    await runPeriodicTasks();
+  } catch (err) {
+    console.error("JOB_WORKER_ERROR:", err?.message || err);
+  } finally {
+    ticking = false;
+    if (active) timer = setTimeout(tick, again ? 0 : POLL_MS);
+  }
+}
+
+/** Jobs whose worker vanished (lease expired) go back to the queue, or fail when out of attempts */
+async function recoverStale() {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = CASE WHEN attempts >= max_attempts OR cancel_requested THEN
+                       CASE WHEN cancel_requested THEN 'cancelled' ELSE 'failed' END
+                     ELSE 'queued' END,
+            error = 'Worker stopped responding',
+            locked_by = NULL, locked_until = NULL, run_after = now(), updated_at = now(),
+            finished_at = CASE WHEN attempts >= max_attempts OR cancel_requested THEN now() END
+      WHERE status = 'running' AND locked_until < now()
+      RETURNING *`
+  );
+  for (const job of rows) if (FINAL.includes(job.status)) await runCleanup(job);
+}
+
+async function checkCancellations() {
+  if (!running.size) return;
+  const { rows } = await pool.query(
+    `SELECT job_id FROM jobs WHERE job_id = ANY($1::uuid[]) AND cancel_requested`,
+    [[...running.keys()]]
+  );
+  for (const { job_id } of rows) running.get(job_id)?.abort(new Error("cancelled"));
+}
+
+async function finish(job, fields) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = $3, result = $4, error = $5, progress = COALESCE($6, progress),
+            run_after = now() + make_interval(secs => $7), finished_at = $8,
+            locked_by = NULL, locked_until = NULL, updated_at = now()
+      WHERE job_id = $1 AND locked_by = $2
+      RETURNING *`,
+    [
+      job.job_id, WORKER_ID, fields.status, fields.result == null ? null : JSON.stringify(fields.result), fields.error ?? null,
+      fields.progress ?? null, fields.retryInSec ?? 0, FINAL.includes(fields.status) ? new Date() : null,
+    ]
+  );
+  if (rows[0] && FINAL.includes(rows[0].status)) await runCleanup(rows[0]);
+}
+
+async function runJob(job) {
+  const t = types.get(job.type);
+  const ac = new AbortController();
+  running.set(job.job_id, ac);
+  const timeout = setTimeout(() => ac.abort(new Error(`Timed out after ${job.timeout_ms} ms`)), job.timeout_ms);
+
+  const progress = (pct, message = null) =>
+    pool
+      .query(
+        `UPDATE jobs SET progress = $2, progress_message = $3, updated_at = now() WHERE job_id = $1`,
+        [job.job_id, Math.max(0, Math.min(100, Math.round(pct))), message]
+      )
+      .catch(() => {});
+
+  try {
+    // Wait for the handler even once aborted (it stops via `signal`) so a retry never overlaps it.
+    // A handler that resolves did its work, late or not: record it rather than repeat its side effects.
+    const result = await t.handler(job, { signal: ac.signal, progress });
+    await finish(job, { status: "succeeded", result: result ?? null, progress: 100 });
+  } catch (err) {
+    const cancelled = ac.signal.aborted && ac.signal.reason?.message === "cancelled";
+    const message = String(err?.shortMessage || err?.message || err).slice(0, 1000);
+    if (cancelled) {
+      await finish(job, { status: "cancelled", error: "Cancelled" });
+    } else if (!err?.permanent && job.attempts < job.max_attempts) {
+      // Back off 10s, 40s, 90s, ...
+      await finish(job, { status: "queued", error: message, retryInSec: 10 * job.attempts ** 2 });
+    } else {
+      await finish(job, { status: "failed", error: message });
+      console.error("JOB_FAILED:", job.type, job.job_id, message);
+    }
+  } finally {
+    clearTimeout(timeout);
+    running.delete(job.job_id);
+    wake();
+  }
+}
+
+/** Start polling for jobs in this process */
+export function startJobWorker() {
+  if (active) return;
+  active = true;
+  timer = setTimeout(tick, 0);
+  console.log(`⚙️  Job worker ${WORKER_ID} started (concurrency ${CONCURRENCY})`);
+}
+
+/** Stop claiming new jobs; running ones are aborted and retried by the next worker */
+export function stopJobWorker() {
+  active = false;
+  clearTimeout(timer);
+  for (const ac of running.values()) ac.abort(new Error("Worker shutting down"));
+}
+
+/* --------------------------------- CLI --------------------------------- */
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  await import("./jobHandlers.js");
+  startJobWorker();
+  for (const sig of ["SIGINT", "SIGTERM"]) {
+    process.on(sig, async () => {
+      stopJobWorker();
+      await pool.end().catch(() => {});
+      process.exit(0);
+    });
+  }
+}
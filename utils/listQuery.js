@@ -0,0 +1,171 @@
+// utils/listQuery.js
+// Search / filter / sort / keyset-paging for the document and share listings.
+import { PREVIEW_STRATEGIES } from "./preview.js";
+
+const MAX_LIMIT = 200;
+const DEFAULT_LIMIT = 50;
+
+/* -------------------------------- Tags --------------------------------- */
+const MAX_TAGS = 20;
+
+/** Lowercase, trimmed, de-duplicated tags from an array or "a,b" string; { tags } or { error } */
+export function normalizeTags(input) {
+  const raw = Array.isArray(input) ? input : String(input ?? "").split(",");
+  const tags = [...new Set(raw.map((t) => String(t ?? "").trim().toLowerCase()).filter(Boolean))];
+  if (tags.length > MAX_TAGS) return { error: `At most ${MAX_TAGS} tags` };
+  const bad = tags.find((t) => t.length > 32 || !/^[\p{L}\p{N}][\p{L}\p{N} _.-]*$/u.test(t));
+  if (bad) return { error: `Invalid tag "${bad}" (letters, digits, space, _ . - ; max 32 chars)` };
+  return { tags };
+}
+
+/* ------------------------------- Cursor -------------------------------- */
+// The sort value travels as Postgres text so timestamps keep their microseconds
+const encodeCursor = (sortValue, id) => Buffer.from(JSON.stringify([sortValue, id]), "utf8").toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [v, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (v === undefined || v === null || !id) return null;
+    return { v: String(v), id: String(id) };
+  } catch {
+    return null;
+  }
+}
+
+/* ------------------------------- Parsing ------------------------------- */
+/**
+ * Parse listing query parameters.
+ * ?q=  ?tag=a,b  ?mime=image/*|application/pdf  ?preview_strategy=pdf,image
+ * ?min_size=  ?max_size=  ?from=<iso>  ?to=<iso>  ?sort=<key>  ?order=asc|desc  ?limit=  ?cursor=
+ * `sortKeys` are the keys the endpoint supports (the first one is the default).
+ * Returns { opts } or { error }.
+ */
+export function parseListQuery(q = {}, sortKeys = ["created_at"]) {
+  const search = String(q.q || "").trim().slice(0, 200);
+
+  const { tags, error: tagError } = normalizeTags(q.tag || q.tags || "");
+  if (tagError) return { error: tagError };
+
+  const mimes = String(q.mime || "").split(",").map((m) => m.trim().toLowerCase()).filter(Boolean);
+  if (mimes.some((m) => !/^[a-z0-9.+-]+\/([a-z0-9.+-]+|\*)$/.test(m))) return { error: "Invalid mime filter" };
+
+  const strategies = String(q.preview_strategy || "").split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+  if (strategies.some((s) => !PREVIEW_STRATEGIES.includes(s))) {
+    return { error: `preview_strategy must be one of ${PREVIEW_STRATEGIES.join(", ")}` };
+  }
+
+  const size = (v, name) => {
+    if (v === undefined || v === "") return { value: null };
+    const n = Number(v);
+    return Number.isFinite(n) && n >= 0 ? { value: Math.floor(n) } : { error: `Invalid ${name}` };
+  };
+  const minSize = size(q.min_size, "min_size");
+  const maxSize = size(q.max_size, "max_size");
+  if (minSize.error || maxSize.error) return { error: minSize.error || maxSize.error };
+
+  const from = q.from ? new Date(q.from) : null;
+  const to = q.to ? new Date(q.to) : null;
+  if (from && isNaN(from.getTime())) return { error: "Invalid from date" };
+  if (to && isNaN(to.getTime())) return { error: "Invalid to date" };
+
+  const sort = q.sort === undefined || q.sort === "" ? sortKeys[0] : String(q.sort).toLowerCase();
+  if (!sortKeys.includes(sort)) return { error: `sort must be one of ${sortKeys.join(", ")}` };
+  const order = String(q.order || "").toLowerCase() === "asc" ? "asc" : "desc";
+
+  let cursor = null;
+  if (q.cursor) {
+    cursor = decodeCursor(q.cursor);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  // Without ?limit or ?cursor the listing returns every match (the historical behaviour)
+  const paged = q.limit !== undefined || !!cursor;
+  const limit = Math.max(1, Math.min(MAX_LIMIT, parseInt(q.limit, 10) || DEFAULT_LIMIT));
+
+  return {
+    opts: {
+      search, tags, mimes, strategies,
+      minSize: minSize.value, maxSize: maxSize.value,
+      from, to, sort, order, cursor, paged, limit,
+    },
+  };
+}
+
+/* --------------------------------- SQL --------------------------------- */
+const likeEscape = (s) => s.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+/**
+ * Build one listing query.
+ * `spec` maps the filters onto the endpoint's columns:
+ *   { id, search: [cols], tags, mime, strategy, size, created, sorts: { key: { expr, type } } }
+ * Filters whose column is not in the spec are ignored. `base` = { where: [], args: [] } with the
+ * endpoint's own conditions (its $n placeholders first). With `withCursor`, the keyset condition
+ * for the next page is added too.
+ */
+export function buildListSql(opts, spec, base, { withCursor = false } = {}) {
+  const where = [...base.where];
+  const args = [...base.args];
+  const arg = (v) => {
+    args.push(v);
+    return `$${args.length}`;
+  };
+
+  if (opts.search && spec.search?.length) {
+    const p = arg(`%${likeEscape(opts.search)}%`);
+    where.push(`(${spec.search.map((c) => `${c} ILIKE ${p}`).join(" OR ")})`);
+  }
+  if (opts.tags.length && spec.tags) where.push(`${spec.tags} @> ${arg(opts.tags)}::text[]`);
+  if (opts.mimes.length && spec.mime) {
+    const exact = opts.mimes.filter((m) => !m.endsWith("/*"));
+    const prefixes = opts.mimes.filter((m) => m.endsWith("/*")).map((m) => `${likeEscape(m.slice(0, -1))}%`);
+    const parts = [];
+    if (exact.length) parts.push(`LOWER(${spec.mime}) = ANY(${arg(exact)}::text[])`);
+    if (prefixes.length) parts.push(`LOWER(${spec.mime}) LIKE ANY(${arg(prefixes)}::text[])`);
+    where.push(`(${parts.join(" OR ")})`);
+  }
+  if (opts.strategies.length && spec.strategy) where.push(`${spec.strategy} = ANY(${arg(opts.strategies)}::text[])`);
+  if (opts.minSize !== null && spec.size) where.push(`${spec.size} >= ${arg(opts.minSize)}`);
+  if (opts.maxSize !== null && spec.size) where.push(`${spec.size} <= ${arg(opts.maxSize)}`);
+  if (opts.from && spec.created) where.push(`${spec.created} >= ${arg(opts.from)}`);
+  if (opts.to && spec.created) where.push(`${spec.created} < ${arg(opts.to)}`);
+
+  const sort = spec.sorts[opts.sort];
+  const dir = opts.order === "asc" ? "ASC" : "DESC";
+  if (withCursor && opts.cursor) {
+    const cmp = opts.order === "asc" ? ">" : "<";
+    where.push(`(${sort.expr}, ${spec.id}) ${cmp} (${arg(opts.cursor.v)}::${sort.type}, ${arg(opts.cursor.id)}::uuid)`);
+  }
+
+  return {
+    where: where.length ? where.join(" AND ") : "TRUE",
+    args,
+    sortKey: `(${sort.expr})::text`,
+    orderBy: `${sort.expr} ${dir}, ${spec.id} ${dir}`,
+  };
+}
+
+/**
+ * Run a listing: `select({ where, orderBy, sortKey, limit })` and `count(where)` return SQL text
+ * for the endpoint's own SELECT, which must expose `${sortKey} AS sort_key` and its id AS `list_id`.
+ * Resolves with { total, next_cursor, items }.
+ */
+export async function runListQuery(db, opts, spec, base, { select, count }) {
+  const page = buildListSql(opts, spec, base, { withCursor: true });
+  const totalQ = buildListSql(opts, spec, base);
+
+  const limitSql = opts.paged ? `LIMIT ${opts.limit + 1}` : "";
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(select({ where: page.where, orderBy: page.orderBy, sortKey: page.sortKey, limit: limitSql }), page.args),
+    db.query(count(totalQ.where), totalQ.args),
+  ]);
+
+  let rows = rowsRes.rows;
+  let next_cursor = null;
+  if (opts.paged && rows.length > opts.limit) {
+    rows = rows.slice(0, opts.limit);
+    const last = rows[rows.length - 1];
+    next_cursor = encodeCursor(last.sort_key, last.list_id);
+  }
+  const items = rows.map(({ sort_key, list_id, ...rest }) => rest);
+  return { total: countRes.rows[0]?.total ?? 0, next_cursor, items };
+}
@@ -4,19 +4,16 @@ import 'dotenv/config'; // safe to keep; ensures envs are present even if caller
 
 const isEmail = (s) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(String(s || "").trim());
 
-function buildRaw({ from, to, subject, html, text }) {
+function buildRaw({ from, to, subject, html, text, attachments = [] }) {
   const toList = Array.isArray(to) ? to.join(", ") : String(to);
   const needsEncoded = /[^\x00-\x7F]/.test(subject || "");
   const encSubject = needsEncoded
     ? `=?UTF-8?B?${Buffer.from(subject || "", "utf8").toString("base64")}?=`
     : (subject || "");
   const boundary = "=_mime_" + Math.random().toString(36).slice(2);
+  const related = attachments.length ? "=_rel_" + Math.random().toString(36).slice(2) : null;
 
-  const lines = [
-    `From: ${from}`,
-    `To: ${toList}`,
-    `Subject: ${encSubject}`,
-    `MIME-Version: 1.0`,
+  const alternative = [
     `Content-Type: multipart/alternative; boundary="${boundary}"`,
     ``,
     `--${boundary}`,
@@ -32,9 +29,36 @@ function buildRaw({ from, to, subject, html, text }) {
     html || "<p></p>",
     ``,
     `--${boundary}--`,
-    ``,
   ];
 
+  const lines = [
+    `From: ${from}`,
+    `To: ${toList}`,
+    `Subject: ${encSubject}`,
+    `MIME-Version: 1.0`,
+  ];
+
+  if (!related) {
+    lines.push(...alternative, ``);
+  } else {
+    // Inline parts (e.g. QR images) referenced from the HTML as cid:<cid>
+    lines.push(`Content-Type: multipart/related; boundary="${related}"`, ``, `--${related}`, ...alternative, ``);
+    for (const a of attachments) {
+      const b64 = Buffer.from(a.content).toString("base64").replace(/(.{76})/g, "$1\r\n");
+      lines.push(
+        `--${related}`,
+        `Content-Type: ${a.contentType || "application/octet-stream"}; name="${a.filename || "attachment"}"`,
+        `Content-Transfer-Encoding: base64`,
+        `Content-ID: <${a.cid}>`,
+        `Content-Disposition: inline; filename="${a.filename || "attachment"}"`,
+        ``,
+        b64,
+        ``
+      );
+    }
+    lines.push(`--${related}--`, ``);
+  }
+
   return Buffer.from(lines.join("\r\n"), "utf8")
     .toString("base64")
     .replace(/\+/g, "-")
@@ -45,8 +69,9 @@ function buildRaw({ from, to, subject, html, text }) {
 /**
  * HTTPS-only Gmail API sender (no SMTP).
  * Keeps the same signature used by your routes.
+ * Optional `attachments`: [{ filename, contentType, content: Buffer, cid }] are sent inline.
  */
-export async function sendEmail({ to, subject, html, text = "" }) {
+export async function sendEmail({ to, subject, html, text = "", attachments = [] }) {
   const {
     CLIENT_ID,
     CLIENT_SECRET,
@@ -73,6 +98,7 @@ export async function sendEmail({ to, subject, html, text = "" }) {
       subject,
       html,
       text,
+      attachments,
     });
 
     const { data } = await gmail.users.messages.send({
@@ -0,0 +1,166 @@
+// utils/pdfPages.js
+// PDF page tools (merge, split, extract, rotate, reorder), run as "pdf-pages" jobs.
+// Pages are copied with pdf-lib, so text, fonts, links and images come through untouched
+// (no re-distilling as with Ghostscript).
+//
+// Job payload:
+//   { operation, sources: [{ document_id, version_no }], save_as: "document" | "version", folder_id,
+//     options: { pages, ranges, angle, order } }
+// Page specs are 1-based: "1,3,5-7", "9-" (to the last page), "7-5" (backwards).
+import path from "node:path";
+import fsp from "node:fs/promises";
+import { PDFDocument, degrees } from "pdf-lib";
+import { storage, tmpPath } from "./storage/index.js";
+import { permanentError } from "./jobs.js";
+import { ownedSource, saveOutputs, baseName, isPdf } from "./convert.js";
+
+const MAX_PAGES = Number(process.env.PDF_TOOLS_MAX_PAGES || 2000); // pages in any one result
+export const MAX_MERGE = 20;
+export const ROTATIONS = [90, 180, 270];
+
+/* ------------------------------ Page specs ------------------------------ */
+/** "1,3,5-7,9-" -> [[1,1],[3,3],[5,7],[9,null]], or null when malformed */
+export function parsePageSpec(spec) {
+  const parts = String(spec ?? "").split(",").map((p) => p.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  const ranges = [];
+  for (const part of parts) {
+    const m = part.match(/^(\d+)(?:\s*(-)\s*(\d+)?)?$/);
+    if (!m || Number(m[1]) < 1 || (m[3] && Number(m[3]) < 1)) return null;
+    const from = Number(m[1]);
+    ranges.push([from, m[2] ? (m[3] ? Number(m[3]) : null) : from]);
+  }
+  return ranges;
+}
+
+/** Parsed spec -> 0-based page indices for a document of `count` pages */
+function expandPages(ranges, count, label) {
+  const out = [];
+  for (const [from, end] of ranges) {
+    const to = end ?? count;
+    if (from > count || to > count) throw permanentError(`${label}: the document has only ${count} pages`);
+    const step = to >= from ? 1 : -1;
+    for (let p = from; p !== to + step; p += step) out.push(p - 1);
+  }
+  if (out.length > MAX_PAGES) throw permanentError(`${label}: at most ${MAX_PAGES} pages per result`);
+  return out;
+}
+
+/* ------------------------------ Operations ------------------------------
+   run(docs, options) -> [{ suffix, pdf: PDFDocument }]
+   docs: [{ src, pdf }] in the order given by the caller
+------------------------------------------------------------------------- */
+async function copyInto(out, pdf, indices) {
+  const pages = await out.copyPages(pdf, indices);
+  for (const page of pages) out.addPage(page);
+  return pages;
+}
+
+async function merge(docs) {
+  const total = docs.reduce((n, d) => n + d.pdf.getPageCount(), 0);
+  if (total > MAX_PAGES) throw permanentError(`Merged document would have ${total} pages (max ${MAX_PAGES})`);
+  const out = await PDFDocument.create();
+  for (const { pdf } of docs) await copyInto(out, pdf, pdf.getPageIndices());
+  return [{ suffix: "merged", pdf: out }];
+}
+
+async function split([{ pdf }], { ranges }) {
+  const parts = [];
+  for (let i = 0; i < ranges.length; i++) {
+    const out = await PDFDocument.create();
+    await copyInto(out, pdf, expandPages(parsePageSpec(ranges[i]), pdf.getPageCount(), `Part ${i + 1}`));
+    parts.push({ suffix: `part-${i + 1}`, pdf: out });
+  }
+  return parts;
+}
+
+async function extract([{ pdf }], { pages }) {
+  const out = await PDFDocument.create();
+  await copyInto(out, pdf, expandPages(parsePageSpec(pages), pdf.getPageCount(), "pages"));
+  return [{ suffix: "pages", pdf: out }];
+}
+
+async function rotate([{ pdf }], { angle, pages }) {
+  const count = pdf.getPageCount();
+  const targets = new Set(pages ? expandPages(parsePageSpec(pages), count, "pages") : pdf.getPageIndices());
+  const out = await PDFDocument.create();
+  const copied = await copyInto(out, pdf, pdf.getPageIndices());
+  copied.forEach((page, i) => {
+    if (targets.has(i)) page.setRotation(degrees((page.getRotation().angle + angle) % 360));
+  });
+  return [{ suffix: "rotated", pdf: out }];
+}
+
+async function reorder([{ pdf }], { order }) {
+  const count = pdf.getPageCount();
+  const indices = expandPages(parsePageSpec(order), count, "order");
+  const seen = new Set(indices);
+  if (indices.length !== count || seen.size !== count) {
+    throw permanentError(`order must list each of the ${count} pages exactly once`);
+  }
+  const out = await PDFDocument.create();
+  await copyInto(out, pdf, indices);
+  return [{ suffix: "reordered", pdf: out }];
+}
+
+/** operation -> { run, multiOutput, multiSource } */
+export const PDF_PAGE_OPERATIONS = {
+  merge: { run: merge, multiSource: true },
+  split: { run: split, multiOutput: true },
+  extract: { run: extract },
+  rotate: { run: rotate },
+  reorder: { run: reorder },
+};
+
+/* ---------------------------------- Job --------------------------------- */
+async function loadPdf(file, src) {
+  try {
+    return await PDFDocument.load(await fsp.readFile(file), { updateMetadata: false });
+  } catch (err) {
+    if (/encrypted/i.test(err?.message || "")) throw permanentError(`"${src.file_name}" is password protected`);
+    throw permanentError(`"${src.file_name}" is not a readable PDF`);
+  }
+}
+
+export async function runPdfPagesJob(job, { signal, progress }) {
+  const { operation, sources, save_as: saveAs, options = {} } = job.payload;
+  const op = PDF_PAGE_OPERATIONS[operation];
+  if (!op) throw permanentError(`Unknown operation "${operation}"`);
+
+  const workDir = tmpPath("-pdfpages");
+  try {
+    await fsp.mkdir(workDir, { recursive: true });
+
+    const docs = [];
+    for (const [i, s] of sources.entries()) {
+      signal.throwIfAborted();
+      const src = await ownedSource(job.user_id, s.document_id, s.version_no);
+      if (!src) throw permanentError("Source document no longer exists");
+      if (!isPdf(src.mime_type, src.file_name)) throw permanentError(`"${src.file_name}" is not a PDF`);
+      const file = path.join(workDir, `source-${i}.pdf`);
+      await storage.downloadToFile(src.file_path, file);
+      docs.push({ src, pdf: await loadPdf(file, src) });
+      await progress(10 + Math.round((40 * (i + 1)) / sources.length), "reading");
+    }
+
+    const results = await op.run(docs, options);
+    signal.throwIfAborted();
+    await progress(70, "saving");
+
+    const src = docs[0].src;
+    const outputs = [];
+    for (const [i, r] of results.entries()) {
+      const localPath = path.join(workDir, `out-${i}.pdf`);
+      await fsp.writeFile(localPath, await r.pdf.save());
+      outputs.push({ localPath, file_name: `${baseName(src.file_name)}-${r.suffix}.pdf`, mime_type: "application/pdf" });
+    }
+
+    const note = operation === "merge"
+      ? `merge of ${docs.map((d) => `"${d.src.file_name}"`).join(", ")}`
+      : `${operation} of v${src.version_no} "${src.file_name}"`;
+    const result = await saveOutputs(job, outputs, { operation, src, saveAs, note });
+    return operation === "merge" ? { ...result, source_document_ids: docs.map((d) => d.src.document_id) } : result;
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
@@ -0,0 +1,38 @@
+// utils/preview.js
+import path from "node:path";
+
+const TEXT_EXTS = ["txt", "md", "json", "xml", "yaml", "yml", "csv", "log"];
+const OFFICE_EXTS = ["doc", "docx", "ppt", "pptx", "xls", "xlsx"];
+
+export const PREVIEW_STRATEGIES = ["pdf", "image", "text", "audio", "video", "office", "other"];
+
+/** Decide how frontend should preview file */
+export function decidePreviewStrategy({ mime = "", file_name = "" }) {
+  const ext = (path.extname(file_name || "").slice(1) || "").toLowerCase();
+  if (/^application\/pdf$/i.test(mime) || ext === "pdf") return "pdf";
+  if (/^image\//i.test(mime)) return "image";
+  if (
+    /^text\//i.test(mime) ||
+    /(json|xml|yaml)/i.test(mime) ||
+    TEXT_EXTS.includes(ext)
+  ) return "text";
+  if (/^audio\//i.test(mime)) return "audio";
+  if (/^video\//i.test(mime)) return "video";
+  if (/(msword|officedocument|excel|powerpoint)/i.test(mime) || OFFICE_EXTS.includes(ext)) return "office";
+  return "other";
+}
+
+/** The same decision as a SQL expression, so listings can filter on it (keep both in sync) */
+export function previewStrategySql(mimeCol, nameCol) {
+  const mime = `COALESCE(${mimeCol}, '')`;
+  const ext = `LOWER(COALESCE(substring(${nameCol} from '[^/]\\.([^./]+)$'), ''))`;
+  const list = (exts) => exts.map((e) => `'${e}'`).join(", ");
+  return `(CASE
+    WHEN ${mime} ~* '^application/pdf$' OR ${ext} = 'pdf' THEN 'pdf'
+    WHEN ${mime} ~* '^image/' THEN 'image'
+    WHEN ${mime} ~* '^text/' OR ${mime} ~* '(json|xml|yaml)' OR ${ext} IN (${list(TEXT_EXTS)}) THEN 'text'
+    WHEN ${mime} ~* '^audio/' THEN 'audio'
+    WHEN ${mime} ~* '^video/' THEN 'video'
+    WHEN ${mime} ~* '(msword|officedocument|excel|powerpoint)' OR ${ext} IN (${list(OFFICE_EXTS)}) THEN 'office'
+    ELSE 'other' END)`;
+}
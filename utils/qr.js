@@ -0,0 +1,132 @@
+// utils/qr.js
+import QRCode from "qrcode";
+import sharp from "sharp";
+
+export const QR_FORMATS = new Set(["png", "svg", "dataurl"]);
+const EC_LEVELS = new Set(["L", "M", "Q", "H"]);
+
+export const clampInt = (v, min, max, fallback) => {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+};
+
+/** Normalize user-supplied QR options (query string or body) */
+export function parseQrOptions(src = {}) {
+  const format = String(src.format || "png").toLowerCase();
+  const ecl = String(src.ecl || src.error_correction || "M").toUpperCase();
+  return {
+    format: QR_FORMATS.has(format) ? format : "png",
+    size: clampInt(src.size, 64, 2048, 320),
+    margin: clampInt(src.margin, 0, 16, 2),
+    errorCorrectionLevel: EC_LEVELS.has(ecl) ? ecl : "M",
+  };
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+export const isHexColor = (s) => HEX_COLOR.test(String(s || ""));
+
+const escXml = (s) =>
+  String(s ?? "").replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" }[c]));
+
+/**
+ * Branded QR as SVG: custom colours, optional rounded modules, a cleared centre box
+ * for the logo and caption lines drawn under the code.
+ */
+function buildStyledSvg(text, { size, margin, errorCorrectionLevel }, style, logoDataUri = null) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel });
+  const n = modules.size;
+  const cell = size / (n + margin * 2);
+  const fg = isHexColor(style.fg_color) ? style.fg_color : "#000000";
+  const bg = isHexColor(style.bg_color) ? style.bg_color : "#ffffff";
+
+  // Centre box (in modules) kept free for the logo
+  const hasLogo = !!style.logo;
+  const logoModules = hasLogo ? Math.floor(n * 0.24) | 1 : 0;
+  const logoStart = Math.floor((n - logoModules) / 2);
+  const inLogo = (r, c) =>
+    hasLogo && r >= logoStart && r < logoStart + logoModules && c >= logoStart && c < logoStart + logoModules;
+
+  const radius = style.rounded ? cell * 0.45 : 0;
+  const rects = [];
+  for (let r = 0; r < n; r++) {
+    for (let c = 0; c < n; c++) {
+      if (!modules.get(r, c) || inLogo(r, c)) continue;
+      const x = ((c + margin) * cell).toFixed(2);
+      const y = ((r + margin) * cell).toFixed(2);
+      rects.push(`<rect x="${x}" y="${y}" width="${cell.toFixed(2)}" height="${cell.toFixed(2)}"${radius ? ` rx="${radius.toFixed(2)}"` : ""}/>`);
+    }
+  }
+
+  const lines = (style.caption_lines || []).filter(Boolean);
+  const fontSize = Math.max(12, Math.round(size / 22));
+  const captionH = lines.length ? Math.round(lines.length * fontSize * 1.4 + fontSize * 0.6) : 0;
+  const caption = lines
+    .map((l, i) => `<text x="${size / 2}" y="${size + fontSize * 1.2 + i * fontSize * 1.4}" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" fill="${fg}">${escXml(l)}</text>`)
+    .join("");
+
+  const logoPx = logoModules * cell;
+  const logoXY = (logoStart + margin) * cell;
+  const logoImg = logoDataUri
+    ? `<image x="${logoXY.toFixed(2)}" y="${logoXY.toFixed(2)}" width="${logoPx.toFixed(2)}" height="${logoPx.toFixed(2)}" href="${logoDataUri}" preserveAspectRatio="xMidYMid meet"/>`
+    : "";
+
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size + captionH}" viewBox="0 0 ${size} ${size + captionH}">` +
+    `<rect width="100%" height="100%" fill="${bg}"/>` +
+    `<g fill="${fg}">${rects.join("")}</g>${logoImg}${caption}</svg>`;
+
+  return { svg, logoBox: hasLogo ? { left: Math.round(logoXY), top: Math.round(logoXY), px: Math.round(logoPx) } : null };
+}
+
+async function renderStyledQr(text, opts, style) {
+  const { format } = opts;
+  // A centre logo hides modules, so force the highest error correction
+  const eff = style.logo ? { ...opts, errorCorrectionLevel: "H" } : opts;
+
+  if (format === "svg") {
+    let logoUri = null;
+    if (style.logo) {
+      const png = await sharp(style.logo).png().toBuffer();
+      logoUri = `data:image/png;base64,${png.toString("base64")}`;
+    }
+    const { svg } = buildStyledSvg(text, eff, style, logoUri);
+    return { body: svg, contentType: "image/svg+xml" };
+  }
+
+  const { svg, logoBox } = buildStyledSvg(text, eff, style);
+  let img = sharp(Buffer.from(svg));
+  if (logoBox && logoBox.px > 0) {
+    const logo = await sharp(style.logo)
+      .resize(logoBox.px, logoBox.px, { fit: "contain", background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    img = sharp(await img.png().toBuffer()).composite([{ input: logo, left: logoBox.left, top: logoBox.top }]);
+  }
+  const png = await img.png().toBuffer();
+  if (format === "dataurl") return { body: `data:image/png;base64,${png.toString("base64")}`, contentType: "text/plain" };
+  return { body: png, contentType: "image/png" };
+}
+
+/**
+ * Render `text` as a QR code locally (no third-party image service).
+ * Pass a `style` ({ fg_color, bg_color, rounded, logo: Buffer, caption_lines: [] }) for a branded code.
+ * Returns { body, contentType } where body is a Buffer (png), or a string (svg / data URI).
+ */
+export async function renderQr(text, opts = {}, style = null) {
+  const parsed = parseQrOptions(opts);
+  if (style) return renderStyledQr(text, parsed, style);
+
+  const { format, size, margin, errorCorrectionLevel } = parsed;
+  const base = { width: size, margin, errorCorrectionLevel };
+
+  if (format === "svg") {
+    const body = await QRCode.toString(text, { ...base, type: "svg" });
+    return { body, contentType: "image/svg+xml" };
+  }
+  if (format === "dataurl") {
+    const body = await QRCode.toDataURL(text, { ...base, type: "image/png" });
+    return { body, contentType: "text/plain" };
+  }
+  const body = await QRCode.toBuffer(text, { ...base, type: "png" });
+  return { body, contentType: "image/png" };
+}
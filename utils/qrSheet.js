@@ -0,0 +1,80 @@
+// utils/qrSheet.js
+import PDFDocument from "pdfkit";
+import { clampInt } from "./qr.js";
+
+// Page sizes in PDF points (1pt = 1/72in)
+const PAPER = {
+  a4: [595.28, 841.89],
+  letter: [612, 792],
+};
+
+/** Normalize layout options for a QR sheet */
+export function parseSheetLayout(src = {}) {
+  const paper = String(src.paper || "a4").toLowerCase();
+  return {
+    paper: PAPER[paper] ? paper : "a4",
+    columns: clampInt(src.columns, 1, 6, 3),
+    labelSize: clampInt(src.label_size, 6, 16, 9),
+    margin: clampInt(src.margin, 18, 72, 36),
+    title: String(src.title || "").trim().slice(0, 120),
+  };
+}
+
+/**
+ * Build a printable grid of QR codes.
+ * `cells`: [{ png: Buffer, file_name, access, expiry_time }] — one per share.
+ * Resolves with the finished PDF as a Buffer.
+ */
+export function buildQrSheetPdf(cells, layout) {
+  const { paper, columns, labelSize, margin, title } = layout;
+  const [pageW, pageH] = PAPER[paper];
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: [pageW, pageH], margin, info: { Title: title || "QR sheet" } });
+    const chunks = [];
+    doc.on("data", (c) => chunks.push(c));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const gap = 12;
+    const usableW = pageW - margin * 2;
+    const cellW = (usableW - gap * (columns - 1)) / columns;
+    const qrSize = cellW - 8;
+    const labelLines = 3;
+    const cellH = qrSize + labelLines * labelSize * 1.35 + 14;
+    const titleH = title ? 28 : 0;
+    const rowsPerPage = Math.max(1, Math.floor((pageH - margin * 2 - titleH + gap) / (cellH + gap)));
+    const perPage = rowsPerPage * columns;
+
+    cells.forEach((cell, i) => {
+      const onPage = i % perPage;
+      if (i > 0 && onPage === 0) doc.addPage();
+      if (onPage === 0 && title) {
+        doc.font("Helvetica-Bold").fontSize(14).fillColor("#000000")
+          .text(title, margin, margin, { width: usableW, align: "center" });
+      }
+
+      const col = onPage % columns;
+      const row = Math.floor(onPage / columns);
+      const x = margin + col * (cellW + gap);
+      const y = margin + titleH + row * (cellH + gap);
+
+      doc.roundedRect(x, y, cellW, cellH, 4).lineWidth(0.5).strokeColor("#cccccc").stroke();
+      doc.image(cell.png, x + 4, y + 4, { fit: [qrSize, qrSize], align: "center" });
+
+      const expiry = cell.expiry_time
+        ? `Expires ${new Date(cell.expiry_time).toISOString().slice(0, 16).replace("T", " ")} UTC`
+        : "No expiry";
+      let ty = y + qrSize + 8;
+      doc.font("Helvetica-Bold").fontSize(labelSize).fillColor("#000000")
+        .text(cell.file_name || "Document", x + 4, ty, { width: cellW - 8, align: "center", lineBreak: false, ellipsis: true });
+      ty += labelSize * 1.35;
+      doc.font("Helvetica").fontSize(labelSize).fillColor("#444444")
+        .text(String(cell.access || "").toUpperCase(), x + 4, ty, { width: cellW - 8, align: "center", lineBreak: false });
+      ty += labelSize * 1.35;
+      doc.text(expiry, x + 4, ty, { width: cellW - 8, align: "center", lineBreak: false });
+    });
+
+    doc.end();
+  });
+}
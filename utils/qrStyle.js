@@ -0,0 +1,59 @@
+// utils/qrStyle.js
+// QR style presets (qr_presets) resolved for rendering with renderQr() from utils/qr.js.
+import { pool } from "../db/db.js";
+import { storage } from "./storage/index.js";
+
+/**
+ * Load a QR style preset for rendering.
+ * Uses the given preset_id if it belongs to the user, otherwise the user's default preset.
+ * Returns null when the user has no applicable preset (plain black/white code).
+ */
+export async function loadQrStyle(userId, presetId = null) {
+  const { rows } = await pool.query(
+    `SELECT preset_id, fg_color, bg_color, rounded, show_caption, logo_path
+       FROM qr_presets
+      WHERE user_id = $1
+        AND (($2::uuid IS NOT NULL AND preset_id = $2::uuid) OR ($2::uuid IS NULL AND is_default = TRUE))
+      LIMIT 1`,
+    [userId, presetId]
+  );
+  if (!rows.length) return null;
+  const p = rows[0];
+
+  let logo = null;
+  if (p.logo_path) {
+    try { logo = await storage.getBuffer(p.logo_path); } catch {}
+  }
+  return {
+    preset_id: p.preset_id,
+    fg_color: p.fg_color,
+    bg_color: p.bg_color,
+    rounded: p.rounded,
+    show_caption: p.show_caption,
+    logo,
+  };
+}
+
+/** Caption lines drawn under a share's code: file name and expiry */
+export function shareCaptionLines({ file_name, expiry_time }) {
+  return [
+    file_name || "Shared document",
+    expiry_time ? `Expires ${new Date(expiry_time).toISOString().slice(0, 16).replace("T", " ")} UTC` : "No expiry",
+  ];
+}
+
+/**
+ * Resolve the QR style for a share: explicit ?preset_id, else the preset stored on the share,
+ * else the owner's current default. ?plain=1 skips styling altogether.
+ */
+export async function shareQrStyle(share, query = {}) {
+  if (query.plain === "1" || query.plain === "true") return null;
+  const presetId = /^[0-9a-f-]{36}$/i.test(String(query.preset_id || "")) ? query.preset_id : share.qr_preset_id;
+  const style = (await loadQrStyle(share.from_user_id, presetId || null)) ||
+    (presetId ? await loadQrStyle(share.from_user_id, null) : null);
+  if (!style) return null;
+
+  const wantCaption = query.caption !== undefined ? query.caption === "1" || query.caption === "true" : style.show_caption;
+  if (wantCaption) style.caption_lines = shareCaptionLines(share);
+  return style;
+}
@@ -0,0 +1,302 @@
+// utils/reduce.js
+// File size reduction, run as "reduce" jobs:
+//   PDF    -> Ghostscript pdfwrite presets
+//   images -> sharp: resized to a max dimension, re-encoded (mozjpeg/webp/avif), metadata stripped
+//   Office -> DOCX/PPTX/XLSX with their embedded JPEG/PNG media recompressed by sharp
+//
+// Job payload: { upload_key, original_filename, original_mime, original_size, options }
+//   options: { target_size, format, quality, max_dimension } (see parseReduceOptions)
+// Presets are tried from mildest to strongest until the result is under target_size (or simply
+// smaller than the original when no target is given); the smallest attempt is kept otherwise.
+// The job's user owns the result. Reduced files expire after REDUCE_RETENTION_DAYS (default 7, 0 = keep forever).
+import path from "node:path";
+import fsp from "node:fs/promises";
+import { execa } from "execa";
+import sharp from "sharp";
+import JSZip from "jszip";
+import { pool } from "../db/db.js";
+import { storage, tmpPath } from "./storage/index.js";
+import { permanentError } from "./jobs.js";
+import { GS_BIN, TOOL_TIMEOUT_MS } from "./tools.js";
+
+// Reduced files live in the storage driver under reduced/<optimized_filename>
+export const reducedKey = (name) => `reduced/${name}`;
+
+export const RETENTION_DAYS = Number(process.env.REDUCE_RETENTION_DAYS ?? 7);
+
+/* -------------------------------- Kinds -------------------------------- */
+const IMAGE_EXT = [".jpg", ".jpeg", ".png", ".webp", ".avif", ".tif", ".tiff", ".gif"];
+const OFFICE_MIME = {
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+const OFFICE_EXT = Object.keys(OFFICE_MIME);
+
+/** "pdf" | "image" | "office" | null */
+export function reductionKind(mime, name) {
+  const ext = path.extname(name || "").toLowerCase();
+  if (ext === ".pdf" || /pdf/i.test(mime || "")) return "pdf";
+  if (IMAGE_EXT.includes(ext) || /^image\/(jpeg|png|webp|avif|tiff|gif)$/i.test(mime || "")) return "image";
+  if (OFFICE_EXT.includes(ext)) return "office";
+  return null;
+}
+
+export const REDUCE_FORMATS = ["jpeg", "webp", "avif"];
+const FORMAT_EXT = { jpeg: ".jpg", webp: ".webp", avif: ".avif" };
+const FORMAT_MIME = { jpeg: "image/jpeg", webp: "image/webp", avif: "image/avif" };
+
+/** "500000", "500KB", "1.5 MB" -> bytes, or NaN */
+function parseSize(v) {
+  const m = String(v).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|k|mb|m)?$/i);
+  if (!m) return NaN;
+  const mult = { b: 1, k: 1024, kb: 1024, m: 1024 ** 2, mb: 1024 ** 2 }[(m[2] || "b").toLowerCase()];
+  return Math.round(Number(m[1]) * mult);
+}
+
+/** Upload fields -> { options } or { error } */
+export function parseReduceOptions(body = {}) {
+  const options = {};
+  const given = (v) => v !== undefined && v !== null && v !== "";
+
+  if (given(body.target_size)) {
+    const n = parseSize(body.target_size);
+    if (!(n >= 1024)) return { error: "target_size must be at least 1KB (e.g. 500000, 500KB, 2MB)" };
+    options.target_size = n;
+  }
+  if (given(body.format)) {
+    const f = String(body.format).toLowerCase().replace(/^jpg$/, "jpeg");
+    if (!REDUCE_FORMATS.includes(f)) return { error: `format must be one of ${REDUCE_FORMATS.join(", ")}` };
+    options.format = f;
+  }
+  if (given(body.quality)) {
+    const q = Number(body.quality);
+    if (!Number.isInteger(q) || q < 1 || q > 100) return { error: "quality must be 1..100" };
+    options.quality = q;
+  }
+  if (given(body.max_dimension)) {
+    const d = Number(body.max_dimension);
+    if (!Number.isInteger(d) || d < 64 || d > 10000) return { error: "max_dimension must be 64..10000 pixels" };
+    options.max_dimension = d;
+  }
+  return { options };
+}
+
+/* ------------------------------- Presets ------------------------------- */
+const PDF_LADDER = ["/ebook", "/screen"];
+
+const IMAGE_LADDER = [
+  { quality: 80, maxDim: 2560 },
+  { quality: 70, maxDim: 2048 },
+  { quality: 60, maxDim: 1600 },
+  { quality: 50, maxDim: 1280 },
+  { quality: 40, maxDim: 1024 },
+  { quality: 30, maxDim: 800 },
+];
+
+/** Image presets adjusted to the caller's quality (first attempt) and max_dimension (cap on every attempt) */
+function imageLadder({ quality, max_dimension: cap } = {}) {
+  let steps = IMAGE_LADDER;
+  if (quality) steps = [{ quality, maxDim: steps[0].maxDim }, ...steps.filter((s) => s.quality < quality)];
+  if (cap) steps = steps.map((s) => ({ ...s, maxDim: Math.min(s.maxDim, cap) }));
+  return steps.filter((s, i) => !i || s.quality !== steps[i - 1].quality || s.maxDim !== steps[i - 1].maxDim);
+}
+
+/* ------------------------------- Reducers ------------------------------
+   reduce(inPath, outPath, step, options, signal) -> { mime_type, ext, method }
+------------------------------------------------------------------------ */
+export async function compressPdf(input, output, preset = "/ebook", { signal } = {}) {
+  const args = [
+    "-sDEVICE=pdfwrite",
+    "-dCompatibilityLevel=1.4",
+    `-dPDFSETTINGS=${preset}`,   // /screen /ebook /printer /prepress
+    "-dDetectDuplicateImages=true",
+    "-dColorImageDownsampleType=/Average",
+    "-dColorImageResolution=110",
+    "-dGrayImageDownsampleType=/Average",
+    "-dGrayImageResolution=110",
+    "-dMonoImageDownsampleType=/Subsample",
+    "-dMonoImageResolution=300",
+    "-dCompressFonts=true",
+    "-dNOPAUSE",
+    "-dQUIET",
+    "-dBATCH",
+    `-sOutputFile=${output}`,
+    input,
+  ];
+  await execa(GS_BIN, args, { timeout: TOOL_TIMEOUT_MS, cancelSignal: signal });
+  const ok = await fsp.stat(output).then(() => true, () => false);
+  if (!ok) throw new Error("Ghostscript did not produce output");
+}
+
+async function reducePdf(inPath, outPath, preset, _options, signal) {
+  await compressPdf(inPath, outPath, preset, { signal });
+  return { mime_type: "application/pdf", ext: ".pdf", method: `ghostscript_pdf ${preset}` };
+}
+
+/** Resize and re-encode one image; sharp drops EXIF/XMP/ICC unless asked to keep them */
+function encodeImage(input, { quality, maxDim }, format) {
+  const img = sharp(input)
+    .rotate()
+    .resize({ width: maxDim, height: maxDim, fit: "inside", withoutEnlargement: true });
+  if (format === "webp") return img.webp({ quality, effort: 5 });
+  if (format === "avif") return img.avif({ quality, effort: 4 });
+  if (format === "png") return img.png({ quality, palette: true, compressionLevel: 9, effort: 7 });
+  return img.flatten({ background: "#ffffff" }).jpeg({ quality, mozjpeg: true });
+}
+
+async function reduceImage(inPath, outPath, step, options) {
+  // Without an explicit format, transparent images go to WebP so they keep their alpha channel
+  let format = options.format;
+  if (!format) format = (await sharp(inPath).metadata()).hasAlpha ? "webp" : "jpeg";
+  await encodeImage(inPath, step, format).toFile(outPath);
+  return {
+    mime_type: FORMAT_MIME[format],
+    ext: FORMAT_EXT[format],
+    method: `sharp_${format} q${step.quality} ${step.maxDim}px`,
+  };
+}
+
+/**
+ * Recompress JPEG/PNG media inside an OOXML package (word/media, ppt/media, xl/media).
+ * Formats stay the same so the package's relationships and content types still match;
+ * an image is only replaced when the new one is smaller.
+ */
+async function reduceOffice(inPath, outPath, step, _options, signal) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(await fsp.readFile(inPath));
+  } catch {
+    throw permanentError("Not a valid DOCX/PPTX/XLSX file");
+  }
+
+  const media = Object.values(zip.files).filter(
+    (f) => !f.dir && /^(word|ppt|xl)\/media\/[^/]+\.(jpe?g|png)$/i.test(f.name)
+  );
+  let replaced = 0;
+  for (const entry of media) {
+    signal?.throwIfAborted();
+    const original = await entry.async("nodebuffer");
+    const format = /\.png$/i.test(entry.name) ? "png" : "jpeg";
+    try {
+      const out = await encodeImage(original, step, format).toBuffer();
+      if (out.length < original.length) {
+        zip.file(entry.name, out);
+        replaced++;
+      }
+    } catch {
+      // Unreadable or exotic image: leave it as it was
+    }
+  }
+
+  const buf = await zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE", compressionOptions: { level: 9 } });
+  await fsp.writeFile(outPath, buf);
+  return {
+    mime_type: OFFICE_MIME[path.extname(outPath)],
+    ext: path.extname(outPath),
+    method: `office_media q${step.quality} ${step.maxDim}px (${replaced}/${media.length} images)`,
+  };
+}
+
+const REDUCERS = {
+  pdf: { reduce: reducePdf, ladder: () => PDF_LADDER },
+  image: { reduce: reduceImage, ladder: imageLadder },
+  office: { reduce: reduceOffice, ladder: imageLadder },
+};
+
+/* ---------------------------------- Job --------------------------------- */
+export async function runReduceJob(job, { signal, progress }) {
+  const p = job.payload;
+  const options = p.options || {};
+  const kind = reductionKind(p.original_mime, p.original_filename);
+  if (!kind) throw permanentError("Unsupported file type");
+  const { reduce, ladder } = REDUCERS[kind];
+
+  const ext = path.extname(p.original_filename || "").toLowerCase();
+  const workDir = tmpPath("-reduce");
+  try {
+    await fsp.mkdir(workDir, { recursive: true });
+    const inputPath = path.join(workDir, `source${ext}`);
+    await storage.downloadToFile(p.upload_key, inputPath);
+    const origSize = p.original_size ?? (await fsp.stat(inputPath)).size;
+    const goal = options.target_size || origSize - 1;
+
+    // Try each preset until one fits; keep the smallest attempt
+    const steps = ladder(options);
+    let best = null;
+    for (let i = 0; i < steps.length; i++) {
+      signal.throwIfAborted();
+      await progress(10 + Math.round((80 * i) / steps.length), `attempt ${i + 1} of ${steps.length}`);
+      const outPath = path.join(workDir, `out-${i}${ext}`);
+      const info = await reduce(inputPath, outPath, steps[i], options, signal);
+      const size = (await fsp.stat(outPath)).size;
+      if (!best || size < best.size) best = { ...info, outPath, size };
+      if (size <= goal) break;
+    }
+    signal.throwIfAborted();
+
+    // Nothing beat the original: hand the original back rather than a bigger file
+    const shrunk = best.size < origSize;
+    const outFile = shrunk ? best.outPath : inputPath;
+    const newSize = shrunk ? best.size : origSize;
+    const outMime = (shrunk && best.mime_type) || p.original_mime || "application/octet-stream";
+    const outExt = shrunk ? best.ext : ext;
+
+    const base = path.parse(p.original_filename || "file").name.replace(/[^\w.\-() ]+/g, "_");
+    const outName = `${Date.now()}-${base}${outExt}`;
+    await storage.putFile(reducedKey(outName), outFile, { contentType: outMime });
+
+    const { rows } = await pool.query(
+      `INSERT INTO size_reductions
+       (user_id, original_filename, original_mime, original_size_bytes,
+        optimized_filename, optimized_mime, optimized_size_bytes,
+        method, status, target_size_bytes, expires_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,
+               CASE WHEN $11::int > 0 THEN now() + make_interval(days => $11::int) END)
+       RETURNING *`,
+      [
+        job.user_id,
+        p.original_filename,
+        p.original_mime || null,
+        origSize,
+        outName,
+        outMime,
+        newSize,
+        shrunk ? best.method : "none",
+        "success",
+        options.target_size || null,
+        RETENTION_DAYS,
+      ]
+    );
+
+    return {
+      ...rows[0],
+      saving_bytes: origSize - newSize,
+      saving_percent: origSize > 0 ? Math.round(((origSize - newSize) / origSize) * 100) : 0,
+      target_met: options.target_size ? newSize <= options.target_size : null,
+      note: !shrunk
+        ? "No significant reduction (file may already be optimized)."
+        : options.target_size && newSize > options.target_size
+          ? "Compressed, but the target size could not be reached"
+          : "Compressed",
+    };
+  } finally {
+    await fsp.rm(workDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/** Final-state hook: drop the staged upload */
+export async function cleanupReduceJob(job) {
+  if (job.payload?.upload_key) await storage.remove(job.payload.upload_key);
+}
+
+/** Delete expired reductions and their files; resolves with the number removed */
+export async function sweepExpiredReductions() {
+  const { rows } = await pool.query(
+    `DELETE FROM size_reductions
+      WHERE id IN (SELECT id FROM size_reductions WHERE expires_at < now() LIMIT 500)
+      RETURNING optimized_filename`
+  );
+  for (const r of rows) await storage.remove(reducedKey(r.optimized_filename)).catch(() => {});
+  return rows.length;
+}
@@ -0,0 +1,217 @@
+// utils/shareAccess.js
+import crypto from "node:crypto";
+import jwt from "jsonwebtoken";
+import { pool } from "../db/db.js";
+import { isWithinFolder } from "./folders.js";
+import { isGuestShare } from "./guests.js";
+
+/* --------------------------- Password grants ---------------------------
+   POST /shares/:share_id/password/verify trades the passphrase for a short-lived signed grant.
+   Callers send it back as the X-Share-Grant header or ?grant=. Changing the passphrase
+   invalidates outstanding grants; revocation and expiry are checked on every request anyway.
+------------------------------------------------------------------------- */
+export const GRANT_TTL_MIN = Number(process.env.SHARE_GRANT_TTL_MIN || 30);
+
+// Own key so a grant can never pass as a login token (and vice versa)
+const grantSecret = () => `${process.env.JWT_SECRET || "dev-secret"}:share-grant`;
+const passwordStamp = (share) =>
+  crypto.createHash("sha256").update(String(share.password_hash || "")).digest("hex").slice(0, 16);
+
+/** Signed viewing grant for a password share: { grant, expires_at } */
+export function issueShareGrant(share) {
+  const grant = jwt.sign({ sid: share.share_id, pw: passwordStamp(share) }, grantSecret(), {
+    expiresIn: GRANT_TTL_MIN * 60,
+  });
+  return { grant, expires_at: new Date(Date.now() + GRANT_TTL_MIN * 60_000).toISOString() };
+}
+
+function grantValidFor(token, share) {
+  try {
+    const p = jwt.verify(token, grantSecret());
+    return p.sid === share.share_id && p.pw === passwordStamp(share);
+  } catch {
+    return false;
+  }
+}
+
+/* ------------------------------ Permissions -----------------------------
+   shares.permissions: { view, download, print, reshare, see_recipients }. print serves a (watermarked)
+   PDF, reshare lets the recipient pass the share on, see_recipients lists the other recipients.
+   Public shares are view-only; owners always have every permission.
+------------------------------------------------------------------------- */
+export const SHARE_PERMISSIONS = ["view", "download", "print", "reshare", "see_recipients"];
+export const OWNER_PERMISSIONS = Object.fromEntries(SHARE_PERMISSIONS.map((p) => [p, true]));
+
+/** What a new share allows unless told otherwise (the behaviour before explicit permissions) */
+export function defaultPermissions(access) {
+  return { view: true, download: access !== "public", print: false, reshare: false, see_recipients: false };
+}
+
+/**
+ * Request value -> { permissions } or { error }. Missing flags take the defaults for `access`
+ * (pass the current flags as `base` to change only some of them).
+ */
+export function parsePermissions(input, access, base = defaultPermissions(access)) {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: `permissions must be an object with ${SHARE_PERMISSIONS.join(", ")}` };
+  }
+  const unknown = Object.keys(input).filter((k) => !SHARE_PERMISSIONS.includes(k));
+  if (unknown.length) return { error: `Unknown permission: ${unknown.join(", ")}` };
+
+  const permissions = {};
+  for (const p of SHARE_PERMISSIONS) {
+    const v = input[p];
+    if (v === undefined || v === null) permissions[p] = !!base[p];
+    else if (v === true || v === "true") permissions[p] = true;
+    else if (v === false || v === "false") permissions[p] = false;
+    else return { error: `permissions.${p} must be true or false` };
+  }
+  if (!permissions.view && !permissions.download && !permissions.print) {
+    return { error: "A share must allow at least one of view, download or print" };
+  }
+  if (access === "public" && SHARE_PERMISSIONS.some((p) => p !== "view" && permissions[p])) {
+    return { error: "Public shares are view-only; download, print, reshare and see_recipients need a private or password share" };
+  }
+  return { permissions };
+}
+
+/** A share row's flags (every flag present) */
+export const sharePermissions = (share) => ({ ...defaultPermissions(share.access), ...(share.permissions || {}) });
+
+/* ------------------------------ Allowances ------------------------------
+   max_views / max_downloads (NULL = unlimited) are spent when a view or download starts;
+   the routes decide what counts as a start (see spendAllowance in documents.routes.js).
+------------------------------------------------------------------------- */
+/** { remaining_views, remaining_downloads } of a share row (null = unlimited) */
+export function shareAllowance(share) {
+  const left = (max, used) => (max == null ? null : Math.max(0, max - (used || 0)));
+  return {
+    remaining_views: left(share.max_views, share.views_used),
+    remaining_downloads: left(share.max_downloads, share.downloads_used),
+  };
+}
+
+// Nothing left to open: views used up and no downloads either (or downloads not permitted)
+function allowanceSpent(share) {
+  const { remaining_views, remaining_downloads } = shareAllowance(share);
+  return remaining_views === 0 && (remaining_downloads === 0 || !sharePermissions(share).download);
+}
+
+/**
+ * Atomically spend one view or download. Resolves false when the allowance is used up
+ * (or the share was revoked meanwhile); concurrent requests can never overspend.
+ */
+export async function consumeShareAllowance(share, kind) {
+  const [used, max] = kind === "download" ? ["downloads_used", "max_downloads"] : ["views_used", "max_views"];
+  const { rowCount } = await pool.query(
+    `UPDATE shares SET ${used} = ${used} + 1
+      WHERE share_id = $1 AND is_revoked = FALSE AND (${max} IS NULL OR ${used} < ${max})
+      RETURNING share_id`,
+    [share.share_id]
+  );
+  return rowCount > 0;
+}
+
+/** Revoke a burn-after-reading share; resolves true for the request that actually burned it */
+export async function burnShare(share) {
+  const { rowCount } = await pool.query(
+    `UPDATE shares SET is_revoked = TRUE, revoked_at = now()
+      WHERE share_id = $1 AND burn_after_reading AND is_revoked = FALSE
+      RETURNING share_id`,
+    [share.share_id]
+  );
+  return rowCount > 0;
+}
+
+/** Load a share by its token (null when unknown) */
+export async function shareByToken(token) {
+  if (!token) return null;
+  const { rows } = await pool.query(`SELECT * FROM shares WHERE share_token = $1 LIMIT 1`, [token]);
+  return rows[0] || null;
+}
+
+/** Does this share reach the document? Folder shares cover everything below the folder. */
+export async function shareCoversDocument(share, documentId) {
+  if (share.document_id) return String(share.document_id) === String(documentId);
+  const { rows } = await pool.query(
+    `SELECT folder_id FROM documents WHERE document_id = $1 AND owner_user_id = $2 LIMIT 1`,
+    [documentId, share.from_user_id]
+  );
+  return !!rows[0]?.folder_id && isWithinFolder(rows[0].folder_id, share.folder_id);
+}
+
+/**
+ * Apply a share's rules to the caller: revoked/expired/allowance used up, then public, password (a valid grant),
+ * or private with the recipient (X-User-Email header) having verified an OTP for this share: a registered
+ * user, or a guest when the share is addressed to an email without an account (see utils/guests.js).
+ * Returns { mode: "public"|"password"|"private", share, permissions, userId?, guestId?, email?, viewOnly }
+ * or { mode: null, share, reason }. Routes check the flag they need in `permissions`.
+ */
+export async function checkShareAccess(req, share) {
+  // Denials still carry the share so they can be audited against it
+  const deny = (reason) => ({ mode: null, viewOnly: true, share, reason });
+  if (share.is_revoked) return deny("revoked");
+  if (share.expiry_time && new Date(share.expiry_time) <= new Date()) return deny("expired");
+  if (allowanceSpent(share)) return deny("limit_reached");
+  const permissions = sharePermissions(share);
+  const viewOnly = !permissions.download;
+
+  // Public share
+  if (share.access === "public") return { mode: "public", share, permissions, viewOnly };
+
+  // Password share (grant from the passphrase check)
+  if (share.access === "password") {
+    const grant = String(req.headers["x-share-grant"] || req.query?.grant || "").trim();
+    if (!grant) return deny("password_required");
+    if (!grantValidFor(grant, share)) return deny("invalid_grant");
+    return { mode: "password", share, permissions, viewOnly };
+  }
+
+  // Private share (OTP required)
+  const claimedEmail = String(req.headers["x-user-email"] || "").trim().toLowerCase();
+  if (!claimedEmail) return deny("email_required");
+
+  // Guest recipient: the OTP went to the share's own address
+  if (isGuestShare(share)) {
+    if (claimedEmail !== share.to_user_email.toLowerCase()) return deny("not_recipient");
+    const g = await pool.query(
+      `SELECT g.guest_id, g.email
+         FROM share_guests g
+        WHERE g.email = $1
+          AND EXISTS (SELECT 1 FROM otp_verifications o
+                       WHERE o.share_id = $2 AND o.guest_id = g.guest_id
+                         AND o.is_verified = TRUE AND o.expiry_time > now())
+        LIMIT 1`,
+      [claimedEmail, share.share_id]
+    );
+    if (!g.rowCount) return deny("otp_not_verified");
+    return { mode: "private", guestId: g.rows[0].guest_id, email: g.rows[0].email, share, permissions, viewOnly };
+  }
+
+  const ures = await pool.query(
+    `SELECT user_id, email FROM users WHERE LOWER(email)=LOWER($1) LIMIT 1`,
+    [claimedEmail]
+  );
+  if (!ures.rowCount) return deny("unknown_user");
+  const u = ures.rows[0];
+
+  // Intended recipient validation
+  if (share.to_user_id && String(share.to_user_id) !== String(u.user_id)) return deny("not_recipient");
+  if (!share.to_user_id && share.to_user_email && share.to_user_email.toLowerCase() !== u.email.toLowerCase())
+    return deny("not_recipient");
+
+  // OTP verification check
+  const verified = await pool.query(
+    `SELECT 1 FROM otp_verifications
+      WHERE share_id = $1 AND user_id = $2
+        AND is_verified = TRUE
+        AND expiry_time > now()
+      ORDER BY created_at DESC
+      LIMIT 1`,
+    [share.share_id, u.user_id]
+  );
+  if (!verified.rowCount) return deny("otp_not_verified");
+
+  return { mode: "private", userId: u.user_id, email: u.email, share, permissions, viewOnly };
+}
@@ -0,0 +1,126 @@
+// utils/shareNotify.js
+// "A document was shared with you" emails: sent right away by POST /shares/notify-share, or queued as
+// "share-notify" jobs (POST /shares/bulk). Queued mails from one sender are spaced NOTIFY_INTERVAL_MS
+// apart so a long recipient list does not trip the mail provider's rate limits.
+import 'dotenv/config';
+import { pool } from "../db/db.js";
+import { sendEmail } from "./mailer.js";
+import { renderQr } from "./qr.js";
+import { enqueueJob, permanentError } from "./jobs.js";
+import { isGuestShare } from "./guests.js";
+import { shareQrStyle } from "./qrStyle.js";
+
+const APP_URL = (process.env.FRONTEND_URL || "https://qr-project-react.vercel.app/").replace(/\/$/, "");
+export const NOTIFY_INTERVAL_MS = Number(process.env.SHARE_NOTIFY_INTERVAL_MS || 2000);
+
+// For text supplied by other people (recipient names, access request messages)
+export const htmlEscape = (v) =>
+  String(v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+export const buildShareUrl = (shareToken) => `${APP_URL}/share/${encodeURIComponent(shareToken)}`;
+
+/** Share row with everything the email needs (null when unknown) */
+export async function loadNotifyShare(shareId) {
+  const q = `
+    SELECT
+      s.share_id, s.share_token, s.access, s.expiry_time, s.is_revoked,
+      s.to_user_id, s.to_user_email, s.from_user_id, s.document_id, s.folder_id, s.qr_preset_id,
+      s.max_views, s.max_downloads, s.burn_after_reading,
+      COALESCE(d.file_name, f.name) AS file_name, CASE WHEN s.folder_id IS NOT NULL THEN 'folder' ELSE d.mime_type END AS mime_type,
+      uf.full_name AS from_full_name, uf.email AS from_email,
+      ur.email     AS to_email_resolved
+    FROM shares s
+LEFT JOIN documents d ON d.document_id = s.document_id
+LEFT JOIN folders f    ON f.folder_id  = s.folder_id
+    JOIN users uf     ON uf.user_id   = s.from_user_id
+LEFT JOIN users ur     ON ur.user_id   = s.to_user_id
+    WHERE s.share_id = $1
+    LIMIT 1;
+  `;
+  const { rows } = await pool.query(q, [shareId]);
+  return rows[0] || null;
+}
+
+/**
+ * Render and send the notification for a loaded share.
+ * meta: { document_name?, access?, frontend_link?, recipient_name? }
+ */
+export async function sendShareNotification(sh, recipient, meta = {}) {
+  const openUrl = meta.frontend_link || buildShareUrl(sh.share_token);
+  const qr      = await renderQr(openUrl, { format: "png", size: 240 }, await shareQrStyle(sh));
+  const qrCid   = `qr-${sh.share_id}@qr-docs`;
+  const noun    = sh.folder_id ? "folder" : "document";
+  const subject =
+    sh.access === "public" ? `A public ${noun} was shared with you` : `A ${sh.access} ${noun} was shared with you`;
+
+  await sendEmail({
+    to: recipient,
+    subject,
+    html: `
+      ${meta.recipient_name ? `<p>Hi ${htmlEscape(meta.recipient_name)},</p>` : ""}
+      <p><b>${sh.from_full_name}</b> (${sh.from_email}) shared a ${noun} with you.</p>
+      <p><b>File:</b> ${meta.document_name || sh.file_name} (${sh.mime_type || "file"})</p>
+      <p><b>Access:</b> ${(meta.access || sh.access || "").toUpperCase()}</p>
+      ${sh.expiry_time ? `<p><b>Expires:</b> ${new Date(sh.expiry_time).toLocaleString()}</p>` : ""}
+      ${sh.max_views ? `<p><b>Views allowed:</b> ${sh.max_views}</p>` : ""}
+      ${sh.max_downloads ? `<p><b>Downloads allowed:</b> ${sh.max_downloads}</p>` : ""}
+      ${sh.burn_after_reading ? `<p><b>One-time link:</b> it stops working after the first download.</p>` : ""}
+      <p>Open link: <a href="${openUrl}">${openUrl}</a></p>
+      <p><img src="cid:${qrCid}" width="240" alt="QR code to open the share" /></p>
+      <p>${
+        sh.access === "private"
+          ? isGuestShare(sh)
+            ? `This is <b>PRIVATE</b>. Enter this email address when asked; you'll receive an OTP to view & download (no account needed).`
+            : `This is <b>PRIVATE</b>. Use your registered email; you'll receive an OTP to view & download.`
+          : sh.access === "password"
+          ? `This is <b>PASSWORD PROTECTED</b>. The sender will give you the password separately; it is not included in this email.`
+          : `This is <b>PUBLIC (view-only)</b>.`
+      }</p>
+    `,
+    attachments: [{ filename: "share-qr.png", contentType: qr.contentType, content: qr.body, cid: qrCid }],
+  });
+}
+
+/* --------------------------------- Queue -------------------------------- */
+/**
+ * Queue one "share-notify" job per item ({ share_id, to_email, meta }), continuing after the
+ * sender's already queued notifications. Resolves with the jobs in the same order.
+ * Pass `db` (a transaction client) to queue atomically with the caller's changes.
+ */
+export async function queueShareNotifications(userId, items, db = pool) {
+  const { rows } = await db.query(
+    `SELECT GREATEST(now(), MAX(run_after) + make_interval(secs => $2 / 1000.0)) AS start
+       FROM jobs
+      WHERE type = 'share-notify' AND user_id = $1 AND status = 'queued'`,
+    [userId, NOTIFY_INTERVAL_MS]
+  );
+  const start = new Date(rows[0]?.start || Date.now()).getTime();
+
+  const jobs = [];
+  for (const [i, item] of items.entries()) {
+    jobs.push(
+      await enqueueJob({
+        type: "share-notify",
+        userId,
+        payload: item,
+        runAfter: new Date(start + i * NOTIFY_INTERVAL_MS),
+        db,
+      })
+    );
+  }
+  return jobs;
+}
+
+export async function runShareNotifyJob(job, { signal }) {
+  const { share_id, to_email, meta = {} } = job.payload;
+  const sh = await loadNotifyShare(share_id);
+  if (!sh || String(sh.from_user_id) !== String(job.user_id)) throw permanentError("Share no longer exists");
+  if (sh.is_revoked) throw permanentError("Share revoked");
+  if (sh.expiry_time && new Date(sh.expiry_time) <= new Date()) throw permanentError("Share expired");
+
+  const recipient = (to_email || sh.to_email_resolved || sh.to_user_email || "").trim();
+  if (!recipient) throw permanentError("No recipient email");
+  signal.throwIfAborted();
+  await sendShareNotification(sh, recipient, meta);
+  return { share_id, notified: recipient };
+}
@@ -0,0 +1,43 @@
+// utils/storage/index.js
+// One storage driver per process, picked by STORAGE_DRIVER=local|s3 (default local).
+//
+// Driver contract (all async, keys are "/"-separated relative paths):
+//   putFile(key, localPath, { contentType })  -> moves/uploads a local temp file (source is consumed)
+//   putBuffer(key, buffer, { contentType })
+//   stat(key)                                 -> { size } | null when missing
+//   createReadStream(key, { start, end }?)    -> Readable (inclusive byte range)
+//   getBuffer(key)
+//   downloadToFile(key, destPath)             -> for CLI tools (gs, soffice, pdftoppm) that need a real file
+//   remove(key)                               -> no-op when missing
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { v4 as uuid } from "uuid";
+import { createLocalDriver } from "./local.js";
+import { createS3Driver } from "./s3.js";
+
+const DRIVER = String(process.env.STORAGE_DRIVER || "local").toLowerCase();
+
+export const storage = DRIVER === "s3" ? createS3Driver() : createLocalDriver();
+
+/** Scratch directory for uploads and tool output before it is handed to the driver */
+export const TMP_ROOT = process.env.TMP_ROOT || path.join(os.tmpdir(), "qr-docs");
+fs.mkdirSync(TMP_ROOT, { recursive: true });
+
+/** Fresh path inside TMP_ROOT (file is not created) */
+export const tmpPath = (ext = "") => path.join(TMP_ROOT, `${Date.now()}-${uuid()}${ext}`);
+
+/**
+ * Run `fn(localPath)` against a temporary local copy of a stored object, then clean it up.
+ * Useful for Ghostscript/LibreOffice/sharp, which all want a file on disk.
+ */
+export async function withLocalCopy(key, fn) {
+  const local = tmpPath(path.extname(String(key)));
+  await storage.downloadToFile(key, local);
+  try {
+    return await fn(local);
+  } finally {
+    await fsp.unlink(local).catch(() => {});
+  }
+}
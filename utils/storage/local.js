@@ -0,0 +1,66 @@
+// utils/storage/local.js
+import path from "node:path";
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+
+export const FILE_ROOT = path.resolve(process.env.FILE_ROOT || "uploads");
+
+fs.mkdirSync(FILE_ROOT, { recursive: true });
+
+/** Resolve a storage key under FILE_ROOT, refusing keys that escape it */
+function resolveKey(key) {
+  const abs = path.resolve(FILE_ROOT, String(key || ""));
+  if (abs !== FILE_ROOT && !abs.startsWith(FILE_ROOT + path.sep)) throw new Error("Invalid storage key");
+  return abs;
+}
+
+/** Local-disk driver: keys are paths relative to FILE_ROOT (same layout as before drivers existed) */
+export function createLocalDriver() {
+  return {
+    name: "local",
+
+    async putFile(key, localPath) {
+      const abs = resolveKey(key);
+      await fsp.mkdir(path.dirname(abs), { recursive: true });
+      try {
+        await fsp.rename(localPath, abs);
+      } catch (err) {
+        // Temp dir may sit on another device
+        if (err.code !== "EXDEV") throw err;
+        await fsp.copyFile(localPath, abs);
+        await fsp.unlink(localPath).catch(() => {});
+      }
+    },
+
+    async putBuffer(key, buffer) {
+      const abs = resolveKey(key);
+      await fsp.mkdir(path.dirname(abs), { recursive: true });
+      await fsp.writeFile(abs, buffer);
+    },
+
+    async stat(key) {
+      try {
+        const st = await fsp.stat(resolveKey(key));
+        return st.isFile() ? { size: st.size } : null;
+      } catch {
+        return null;
+      }
+    },
+
+    async createReadStream(key, range = null) {
+      return fs.createReadStream(resolveKey(key), range || undefined);
+    },
+
+    async getBuffer(key) {
+      return fsp.readFile(resolveKey(key));
+    },
+
+    async downloadToFile(key, destPath) {
+      await fsp.copyFile(resolveKey(key), destPath);
+    },
+
+    async remove(key) {
+      try { await fsp.unlink(resolveKey(key)); } catch {}
+    },
+  };
+}
@@ -0,0 +1,100 @@
+// utils/storage/s3.js
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import { pipeline } from "node:stream/promises";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+
+/**
+ * S3-compatible driver (AWS S3, MinIO, R2, ...).
+ * Env: S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY,
+ *      S3_FORCE_PATH_STYLE (default true when S3_ENDPOINT is set, as MinIO needs), S3_PREFIX
+ */
+export function createS3Driver(env = process.env) {
+  const bucket = env.S3_BUCKET;
+  if (!bucket) throw new Error("S3_BUCKET is not configured");
+
+  const prefix = (env.S3_PREFIX || "").replace(/^\/+|\/+$/g, "");
+  const fullKey = (key) => (prefix ? `${prefix}/${key}` : String(key));
+
+  const client = new S3Client({
+    region: env.S3_REGION || "us-east-1",
+    endpoint: env.S3_ENDPOINT || undefined,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === "true" : !!env.S3_ENDPOINT,
+    // Default flexible checksums use aws-chunked uploads, which many S3-compatible servers reject
+    requestChecksumCalculation: "WHEN_REQUIRED",
+    responseChecksumValidation: "WHEN_REQUIRED",
+    credentials: env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY || "" }
+      : undefined,
+  });
+
+  const isNotFound = (err) => err?.name === "NotFound" || err?.name === "NoSuchKey" || err?.$metadata?.httpStatusCode === 404;
+
+  return {
+    name: "s3",
+
+    async putFile(key, localPath, { contentType } = {}) {
+      const { size } = await fsp.stat(localPath);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: fullKey(key),
+        Body: fs.createReadStream(localPath),
+        ContentLength: size,
+        ContentType: contentType || undefined,
+      }));
+      await fsp.unlink(localPath).catch(() => {});
+    },
+
+    async putBuffer(key, buffer, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: fullKey(key),
+        Body: buffer,
+        ContentType: contentType || undefined,
+      }));
+    },
+
+    async stat(key) {
+      try {
+        const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+        return { size: Number(head.ContentLength || 0) };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async createReadStream(key, range = null) {
+      const { Body } = await client.send(new GetObjectCommand({
+        Bucket: bucket,
+        Key: fullKey(key),
+        Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+      }));
+      return Body;
+    },
+
+    async getBuffer(key) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      return Buffer.from(await Body.transformToByteArray());
+    },
+
+    async downloadToFile(key, destPath) {
+      const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      await pipeline(Body, fs.createWriteStream(destPath));
+    },
+
+    async remove(key) {
+      try {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fullKey(key) }));
+      } catch (err) {
+        if (!isNotFound(err)) throw err;
+      }
+    },
+  };
+}
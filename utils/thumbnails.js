@@ -0,0 +1,150 @@
+// utils/thumbnails.js
+// Preview images per document version: sharp for images, pdftoppm for the first PDF page,
+// office files through a PDF conversion first.
+//
+//   npm run thumbnails          -> generate for current versions that never had a try
+//   npm run thumbnails -- --all -> regenerate for every current version
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import sharp from "sharp";
+import { pool } from "../db/db.js";
+import { storage, withLocalCopy } from "./storage/index.js";
+import { decidePreviewStrategy } from "./preview.js";
+import { officeToPdf, pdfFirstPageToPng, enqueueToolJob } from "./tools.js";
+
+/** Longest side in px per size name */
+export const THUMBNAIL_SIZES = { sm: 128, md: 320, lg: 640 };
+export const THUMBNAIL_MIME = "image/webp";
+
+const SUPPORTED = ["image", "pdf", "office"];
+
+/* ------------------------------- Rendering ----------------------------- */
+/** Local image of the first page/frame; `temp` paths are deleted by the caller */
+async function firstPageImage(localPath, strategy) {
+  if (strategy === "image") return { imagePath: localPath, temp: false };
+  if (strategy === "pdf") return { imagePath: await pdfFirstPageToPng(localPath), temp: true };
+
+  const pdf = await officeToPdf(localPath);
+  try {
+    return { imagePath: await pdfFirstPageToPng(pdf), temp: true };
+  } finally {
+    await fsp.unlink(pdf).catch(() => {});
+  }
+}
+
+/** WebP buffers for every size: [{ size, buffer, width, height }] */
+export async function renderThumbnails(localPath, strategy) {
+  const { imagePath, temp } = await firstPageImage(localPath, strategy);
+  try {
+    const out = [];
+    for (const [size, px] of Object.entries(THUMBNAIL_SIZES)) {
+      const { data, info } = await sharp(imagePath, { failOn: "none" })
+        .rotate() // honour EXIF orientation
+        .resize({ width: px, height: px, fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 78 })
+        .toBuffer({ resolveWithObject: true });
+      out.push({ size, buffer: data, width: info.width, height: info.height });
+    }
+    return out;
+  } finally {
+    if (temp) await fsp.unlink(imagePath).catch(() => {});
+  }
+}
+
+/* ------------------------------ Generation ----------------------------- */
+const setStatus = (versionId, status) =>
+  pool.query(`UPDATE document_versions SET thumbnail_status = $2 WHERE version_id = $1`, [versionId, status]);
+
+/** Generate and store the thumbnails of one version; resolves with the resulting status */
+export async function generateThumbnails(versionId) {
+  const { rows } = await pool.query(
+    `SELECT version_id, document_id, version_no, file_name, file_path, mime_type
+       FROM document_versions WHERE version_id = $1 LIMIT 1`,
+    [versionId]
+  );
+  if (!rows.length) return null;
+  const v = rows[0];
+
+  const strategy = decidePreviewStrategy({ mime: v.mime_type || "", file_name: v.file_name });
+  if (!SUPPORTED.includes(strategy)) {
+    await setStatus(v.version_id, "unsupported");
+    return "unsupported";
+  }
+
+  // A restored version points at the same file: reuse the thumbnails that already exist for it
+  const reused = await pool.query(
+    `INSERT INTO document_thumbnails (version_id, size, file_path, mime_type, width, height, file_size_bytes)
+     SELECT DISTINCT ON (t.size) $1, t.size, t.file_path, t.mime_type, t.width, t.height, t.file_size_bytes
+       FROM document_thumbnails t
+       JOIN document_versions o ON o.version_id = t.version_id
+      WHERE o.document_id = $2 AND o.file_path = $3 AND o.version_id <> $1
+      ORDER BY t.size, o.version_no DESC
+     ON CONFLICT (version_id, size) DO NOTHING`,
+    [v.version_id, v.document_id, v.file_path]
+  );
+  if (reused.rowCount >= Object.keys(THUMBNAIL_SIZES).length) {
+    await setStatus(v.version_id, "ready");
+    return "ready";
+  }
+
+  await setStatus(v.version_id, "pending");
+  const stored = [];
+  try {
+    const thumbs = await withLocalCopy(v.file_path, (local) => renderThumbnails(local, strategy));
+    for (const t of thumbs) {
+      const key = `thumbnails/${v.document_id}/${v.version_id}-${t.size}.webp`;
+      await storage.putBuffer(key, t.buffer, { contentType: THUMBNAIL_MIME });
+      stored.push(key);
+      await pool.query(
+        `INSERT INTO document_thumbnails (version_id, size, file_path, mime_type, width, height, file_size_bytes)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)
+         ON CONFLICT (version_id, size) DO UPDATE
+            SET file_path = EXCLUDED.file_path, mime_type = EXCLUDED.mime_type, width = EXCLUDED.width,
+                height = EXCLUDED.height, file_size_bytes = EXCLUDED.file_size_bytes, created_at = now()`,
+        [v.version_id, t.size, key, THUMBNAIL_MIME, t.width, t.height, t.buffer.length]
+      );
+    }
+    await setStatus(v.version_id, "ready");
+    return "ready";
+  } catch (err) {
+    // Version deleted meanwhile (FK) or the converter failed: don't keep orphaned images
+    await Promise.all(stored.map((k) => storage.remove(k).catch(() => {})));
+    await setStatus(v.version_id, "failed").catch(() => {});
+    console.error("THUMBNAIL_ERROR:", v.version_id, err?.shortMessage || err?.message || err);
+    return "failed";
+  }
+}
+
+/** Fire-and-forget thumbnail generation for a new version (upload, new version, restore) */
+export function queueThumbnails(versionId) {
+  enqueueToolJob(`thumb:${versionId}`, () => generateThumbnails(versionId));
+}
+
+/* --------------------------------- CLI --------------------------------- */
+async function main(argv) {
+  const all = argv.includes("--all");
+  const { rows } = await pool.query(
+    `SELECT v.version_id
+       FROM documents d
+       JOIN document_versions v ON v.document_id = d.document_id AND v.version_no = d.current_version_no
+      ${all ? "" : "WHERE v.thumbnail_status IS NULL"}
+      ORDER BY d.created_at`
+  );
+  const counts = {};
+  for (const { version_id } of rows) {
+    const status = await generateThumbnails(version_id);
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  console.log(`🖼  thumbnails for ${rows.length} version(s)`, counts);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then(() => pool.end())
+    .catch(async (err) => {
+      console.error("❌ THUMBNAIL_ERROR:", err.message);
+      await pool.end().catch(() => {});
+      process.exit(1);
+    });
+}
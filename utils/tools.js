@@ -0,0 +1,83 @@
+// utils/tools.js
+// External converters used for indexing and previews. Each binary can be overridden by env.
+import path from "node:path";
+import fsp from "node:fs/promises";
+import { execa } from "execa";
+import { tmpPath } from "./storage/index.js";
+
+export const SOFFICE_BIN = process.env.SOFFICE_BIN || "soffice";
+export const PDFTOTEXT_BIN = process.env.PDFTOTEXT_BIN || "pdftotext";
+export const PDFTOPPM_BIN = process.env.PDFTOPPM_BIN || "pdftoppm";
+export const GS_BIN = process.env.GS_BIN || (process.platform === "win32" ? "gswin64c" : "gs");
+
+// LibreOffice can hang on broken files; everything else is fast
+export const TOOL_TIMEOUT_MS = Number(process.env.TOOL_TIMEOUT_MS || 120_000);
+
+/** True when Ghostscript answers on GS_BIN */
+export async function hasGhostscript() {
+  try {
+    await execa(GS_BIN, ["-v"], { timeout: 10_000 });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert an office file to PDF with LibreOffice; resolves with the PDF path (caller deletes it).
+ * A private profile dir per call lets several conversions run without fighting over the lock.
+ */
+export async function officeToPdf(inPath, { signal } = {}) {
+  const outDir = tmpPath("-soffice");
+  const profile = path.join(outDir, "profile");
+  await fsp.mkdir(outDir, { recursive: true });
+  try {
+    await execa(
+      SOFFICE_BIN,
+      [`-env:UserInstallation=file://${profile}`, "--headless", "--convert-to", "pdf", "--outdir", outDir, inPath],
+      { timeout: TOOL_TIMEOUT_MS, cancelSignal: signal }
+    );
+    const produced = path.join(outDir, `${path.parse(inPath).name}.pdf`);
+    const pdfPath = tmpPath(".pdf");
+    await fsp.rename(produced, pdfPath);
+    return pdfPath;
+  } finally {
+    await fsp.rm(outDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/** First page of a PDF as a PNG no larger than `maxPx` on its long side; resolves with the PNG path (caller deletes it) */
+export async function pdfFirstPageToPng(inPath, { maxPx = 1024 } = {}) {
+  const prefix = tmpPath("");
+  await execa(PDFTOPPM_BIN, ["-png", "-f", "1", "-l", "1", "-singlefile", "-scale-to", String(maxPx), inPath, prefix], {
+    timeout: TOOL_TIMEOUT_MS,
+  });
+  return `${prefix}.png`;
+}
+
+/** Plain text of a PDF (UTF-8, layout-free) */
+export async function pdfToText(inPath, { maxChars = Infinity } = {}) {
+  const { stdout } = await execa(PDFTOTEXT_BIN, ["-enc", "UTF-8", "-q", inPath, "-"], {
+    timeout: TOOL_TIMEOUT_MS,
+    maxBuffer: 64 * 1024 * 1024,
+    stripFinalNewline: false,
+  });
+  return stdout.length > maxChars ? stdout.slice(0, maxChars) : stdout;
+}
+
+/* ------------------------------ Job queue ------------------------------ */
+// Converters are CPU heavy and uploads come in bursts: background jobs run one at a time per process.
+// A key that is already waiting is not queued twice.
+let chain = Promise.resolve();
+const waiting = new Set();
+
+export function enqueueToolJob(key, fn) {
+  if (waiting.has(key)) return;
+  waiting.add(key);
+  chain = chain
+    .then(() => {
+      waiting.delete(key);
+      return fn();
+    })
+    .catch((err) => console.error("TOOL_JOB_ERROR:", key, err?.message || err));
+}
@@ -0,0 +1,215 @@
+// utils/watermark.js
+// Visible watermarks stamped on PDFs and images at view/download time for shares that ask for one.
+// Other file types are served unchanged. The stored file is never modified.
+//
+// shares.watermark: null (off) or { text, opacity, position } — see parseWatermark.
+// Stamped lines: [custom text], recipient email (private) or "Shared via QR-Docs" (public), timestamp + share id.
+import path from "node:path";
+import sharp from "sharp";
+import { PDFDocument, StandardFonts, degrees, rgb } from "pdf-lib";
+
+export const WATERMARK_POSITIONS = ["diagonal", "center", "top", "bottom", "tiled"];
+export const WATERMARK_MAX_BYTES = Number(process.env.WATERMARK_MAX_BYTES || 50 * 1024 * 1024);
+const DEFAULTS = { text: null, opacity: 0.25, position: "diagonal" };
+
+/**
+ * Request value -> { watermark } (null = off) or { error }.
+ * Accepts true (defaults), false/null (off) or { text?, opacity? (0.05-1), position? }.
+ */
+export function parseWatermark(input) {
+  if (input === undefined || input === null || input === false || input === "false") return { watermark: null };
+  if (input === true || input === "true") return { watermark: { ...DEFAULTS } };
+  if (typeof input !== "object" || Array.isArray(input)) {
+    return { error: "watermark must be true, false/null or { text, opacity, position }" };
+  }
+
+  const wm = { ...DEFAULTS };
+  if (input.text !== undefined && input.text !== null && String(input.text).trim() !== "") {
+    wm.text = String(input.text).trim().replace(/\s+/g, " ");
+    if (wm.text.length > 120) return { error: "watermark.text must be at most 120 characters" };
+  }
+  if (input.opacity !== undefined && input.opacity !== null && input.opacity !== "") {
+    const o = Number(input.opacity);
+    if (!(o >= 0.05 && o <= 1)) return { error: "watermark.opacity must be between 0.05 and 1" };
+    wm.opacity = o;
+  }
+  if (input.position !== undefined && input.position !== null && input.position !== "") {
+    const p = String(input.position).toLowerCase();
+    if (!WATERMARK_POSITIONS.includes(p)) {
+      return { error: `watermark.position must be one of ${WATERMARK_POSITIONS.join(", ")}` };
+    }
+    wm.position = p;
+  }
+  return { watermark: wm };
+}
+
+/** "pdf" | "image" | null: what kind of watermark this file can carry */
+export function watermarkKind(mimeType, fileName) {
+  const ext = path.extname(fileName || "").toLowerCase();
+  if (/^application\/pdf$/i.test(mimeType || "") || ext === ".pdf") return "pdf";
+  if (/^image\//i.test(mimeType || "")) return "image";
+  return null;
+}
+
+/** Lines to stamp for this viewer */
+export function watermarkLines(wm, access, now = new Date()) {
+  const who = access.mode === "private" && access.email ? access.email : "Shared via QR-Docs";
+  const when = `${now.toISOString().slice(0, 16).replace("T", " ")} UTC`;
+  return [wm.text, who, `${when} | share ${access.share.share_id}`].filter(Boolean);
+}
+
+/* ------------------------------- Layout -------------------------------- */
+/**
+ * Where to put the text block on a w x h canvas (y grows upwards).
+ * Returns [{ cx, cy, angle }]: block centres and rotation in degrees (counter-clockwise).
+ */
+function placements(position, w, h, blockW, blockH) {
+  const margin = Math.max(blockH * 0.6, Math.min(w, h) * 0.03);
+  switch (position) {
+    case "center":
+      return [{ cx: w / 2, cy: h / 2, angle: 0 }];
+    case "top":
+      return [{ cx: w / 2, cy: h - margin - blockH / 2, angle: 0 }];
+    case "bottom":
+      return [{ cx: w / 2, cy: margin + blockH / 2, angle: 0 }];
+    case "tiled": {
+      const out = [];
+      const stepX = blockW * 1.2;
+      const stepY = blockH * 3;
+      for (let row = 0, cy = stepY / 2; cy < h + stepY; row++, cy += stepY) {
+        for (let cx = (row % 2 ? stepX / 2 : 0); cx < w + stepX; cx += stepX) out.push({ cx, cy, angle: 30 });
+      }
+      return out;
+    }
+    default: // diagonal, bottom-left to top-right
+      return [{ cx: w / 2, cy: h / 2, angle: (Math.atan2(h, w) * 180) / Math.PI }];
+  }
+}
+
+/* --------------------------------- PDF --------------------------------- */
+// Standard fonts only cover WinAnsi; anything else is replaced rather than failing the request
+const pdfSafe = (s) => String(s).replace(/[^\x20-\x7E]/g, "?");
+
+// View-space point -> page space for a page shown rotated clockwise by `rot` degrees
+function fromView(rot, box, vx, vy) {
+  const { x, y, width: W, height: H } = box;
+  if (rot === 90) return [x + W - vy, y + vx];
+  if (rot === 180) return [x + W - vx, y + H - vy];
+  if (rot === 270) return [x + vy, y + H - vx];
+  return [x + vx, y + vy];
+}
+
+export async function watermarkPdf(buffer, wm, lines) {
+  const pdf = await PDFDocument.load(buffer, { updateMetadata: false });
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const text = lines.map(pdfSafe);
+
+  for (const page of pdf.getPages()) {
+    const box = page.getMediaBox();
+    const rot = ((page.getRotation().angle % 360) + 360) % 360;
+    const [vw, vh] = rot === 90 || rot === 270 ? [box.height, box.width] : [box.width, box.height];
+
+    const size = Math.max(8, Math.min(36, Math.min(vw, vh) / 24));
+    const lineH = size * 1.3;
+    const widths = text.map((t) => font.widthOfTextAtSize(t, size));
+    const blockW = Math.max(...widths);
+    const blockH = lineH * text.length;
+
+    for (const { cx, cy, angle } of placements(wm.position, vw, vh, blockW, blockH)) {
+      const rad = (angle * Math.PI) / 180;
+      text.forEach((t, i) => {
+        // Line origin relative to the block centre, rotated with the block
+        const dx = -widths[i] / 2;
+        const dy = ((text.length - 1) / 2 - i) * lineH - size * 0.35;
+        const vx = cx + dx * Math.cos(rad) - dy * Math.sin(rad);
+        const vy = cy + dx * Math.sin(rad) + dy * Math.cos(rad);
+        const [px, py] = fromView(rot, box, vx, vy);
+        page.drawText(t, {
+          x: px,
+          y: py,
+          size,
+          font,
+          color: rgb(0.45, 0.45, 0.45),
+          opacity: wm.opacity,
+          rotate: degrees(angle + rot),
+        });
+      });
+    }
+  }
+  return Buffer.from(await pdf.save());
+}
+
+/* -------------------------------- Images -------------------------------- */
+const xmlEscape = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" })[c]);
+
+// Same formats out as in where browsers show them; everything else becomes PNG
+const IMAGE_OUT = {
+  jpeg: (img) => img.jpeg({ quality: 90, mozjpeg: true }),
+  png: (img) => img.png(),
+  webp: (img) => img.webp({ quality: 90 }),
+  avif: (img) => img.avif({ quality: 70 }),
+};
+
+/** Resolves with { buffer, mimeType } */
+export async function watermarkImage(buffer, wm, lines) {
+  const meta = await sharp(buffer).metadata();
+  const swap = (meta.orientation || 1) >= 5;
+  const w = swap ? meta.height : meta.width;
+  const h = swap ? meta.width : meta.height;
+
+  const size = Math.max(10, Math.round(Math.min(w, h) / 24));
+  const lineH = size * 1.3;
+  const blockW = Math.max(...lines.map((t) => t.length)) * size * 0.6;
+  const blockH = lineH * lines.length;
+
+  // SVG y grows downwards: flip the layout's y and angle
+  const groups = placements(wm.position, w, h, blockW, blockH).map(({ cx, cy, angle }) => {
+    const texts = lines
+      .map((t, i) => `<text y="${(((i - (lines.length - 1) / 2) * lineH) + size * 0.35).toFixed(1)}">${xmlEscape(t)}</text>`)
+      .join("");
+    return `<g transform="translate(${cx.toFixed(1)} ${(h - cy).toFixed(1)}) rotate(${(-angle).toFixed(2)})">${texts}</g>`;
+  });
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${w}" height="${h}">` +
+    `<g font-family="sans-serif" font-weight="bold" font-size="${size}" text-anchor="middle" ` +
+    `fill="#737373" fill-opacity="${wm.opacity}" stroke="#ffffff" stroke-opacity="${(wm.opacity * 0.5).toFixed(3)}" stroke-width="${Math.max(1, size / 20).toFixed(1)}">` +
+    groups.join("") +
+    `</g></svg>`;
+
+  const format = IMAGE_OUT[meta.format] ? meta.format : "png";
+  const img = sharp(buffer).rotate().composite([{ input: Buffer.from(svg), top: 0, left: 0 }]);
+  return { buffer: await IMAGE_OUT[format](img).toBuffer(), mimeType: `image/${format}` };
+}
+
+/**
+ * Watermark a file for a share viewer. Resolves with { buffer, mimeType },
+ * or null when the file type does not take a watermark (served as is).
+ */
+export async function renderWatermarked(buffer, { mimeType, fileName }, wm, access) {
+  const kind = watermarkKind(mimeType, fileName);
+  if (!kind) return null;
+  const lines = watermarkLines(wm, access);
+  if (kind === "pdf") return { buffer: await watermarkPdf(buffer, wm, lines), mimeType: "application/pdf" };
+  return watermarkImage(buffer, wm, lines);
+}
+
+/**
+ * Printable copy for the "print" share permission: the PDF itself, or an image on a page of its own,
+ * stamped with `wm` (null = unstamped, for the owner). Resolves with { buffer, mimeType } or null
+ * for file types that cannot be printed this way.
+ */
+export async function renderPrintPdf(buffer, { mimeType, fileName }, wm, access) {
+  const kind = watermarkKind(mimeType, fileName);
+  if (!kind) return null;
+  const lines = wm ? watermarkLines(wm, access) : null;
+  if (kind === "pdf") return { buffer: wm ? await watermarkPdf(buffer, wm, lines) : buffer, mimeType: "application/pdf" };
+
+  // PNG embeds whatever the source format was; one image pixel = one point
+  const stamped = wm ? (await watermarkImage(buffer, wm, lines)).buffer : buffer;
+  const { data, info } = await sharp(stamped).rotate().png().toBuffer({ resolveWithObject: true });
+  const pdf = await PDFDocument.create();
+  const page = pdf.addPage([info.width, info.height]);
+  page.drawImage(await pdf.embedPng(data), { x: 0, y: 0, width: info.width, height: info.height });
+  return { buffer: Buffer.from(await pdf.save()), mimeType: "application/pdf" };
+}